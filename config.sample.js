@@ -46,6 +46,20 @@ module.exports = {
   */
   setContentDisposition: false,
 
+  /*
+    Include slugified original file names in the URLs of uploads,
+    e.g. https://pepofiles.ddns.net/abc123/report-final.pdf instead of https://pepofiles.ddns.net/abc123.pdf.
+    Browsers will then save files into their original file names (sans special characters),
+    without having to query the DB on every access like setContentDisposition option above.
+
+    Uploads will still be accessible with their plain names.
+    Names with no Latin letters or numbers will fall back to plain names.
+
+    NOTE: If you do not serve files with node, you will need to configure your HTTP server
+    to resolve these URLs as well (refer to the sample nginx config files).
+  */
+  originalNameUrls: false,
+
   /*
     If you serve files with node, you can optionally choose to
     override Content-Type header for certain extension names.
@@ -193,7 +207,8 @@ module.exports = {
     {
       // 6 requests in 30 seconds
       routes: [
-        '/api/album/zip'
+        '/api/album/zip',
+        '/unlock'
       ],
       config: {
         windowMs: 30 * 1000,
@@ -233,6 +248,52 @@ module.exports = {
     */
     maxSize: '256MB',
 
+    /*
+      Override upload limits for each permission group (controllers/permissionController.js).
+      Users will use the limits of the highest group that they are in, if any,
+      and any options that are not specified will fall back to their global options.
+      Anonymous uploads will always use the global options.
+
+      maxSize and urlMaxSize: Needs to be in MB, same as their global options.
+      maxFilesPerUpload: Max number of files (or URLs) per upload request, defaults to 20.
+      temporaryUploadAges: Only effective when the global option is enabled.
+
+      NOTE: When using nginx as reverse proxy, client_max_body_size must be
+      at least as big as the highest maxSize.
+    */
+    groupLimits: {
+      /*
+      user: {
+        maxSize: '256MB',
+        temporaryUploadAges: [1, 24, 24 * 7]
+      },
+      moderator: {
+        maxSize: '2000MB',
+        urlMaxSize: '256MB',
+        maxFilesPerUpload: 50,
+        temporaryUploadAges: [0, 24, 24 * 7]
+      }
+      */
+    },
+
+    /*
+      Default storage quotas of each permission group, in total size (needs to be in MB)
+      and/or number of uploads. Set either one to null to not limit it.
+      Users will use the quotas of the highest group that they are in, if any.
+      Quotas of individual users can also be overridden through dashboard's Manage Users.
+      NOTE: "root" user will never be limited by quotas.
+    */
+    quotas: {
+      user: {
+        size: '10000MB',
+        count: null
+      },
+      moderator: {
+        size: null,
+        count: null
+      }
+    },
+
     /*
       Chunk size for chunked uploads. Needs to be in MB.
 
@@ -250,11 +311,18 @@ module.exports = {
       With "timeout", you can specify how long a particular chunked upload attempt
       can remain inactive before their temporary data gets cleared out
       (partially uploaded files or other internal data).
+      Chunked upload attempts that have not timed out will also be restored after a restart,
+      so their uploaders can continue where they left off.
 
       This option is mainly useful for hosters that use Cloudflare,
       since Cloudflare limits upload size to 100MB on their Free plan.
       https://support.cloudflare.com/hc/en-us/articles/200172516#h_51422705-42d0-450d-8eb1-5321dcadb5bc
 
+      Enabling chunked uploads will also enable the tus-compatible resumable uploads endpoint
+      (/api/upload/tus), which supports creation and termination extensions.
+      Its uploads share the same chunks folder and "timeout" option.
+      https://tus.io/protocols/resumable-upload.html
+
       NOTE: Set "default" or the option itself to falsy value to disable chunked uploads.
     */
     chunkSize: {
@@ -324,6 +392,60 @@ module.exports = {
       '.svg'
     ],
 
+    /*
+      Protection against server-side request forgery (SSRF) for URL uploads.
+      These only apply to requests that are not proxied (i.e. when "urlProxy" is disabled),
+      except for the allowed schemes and hosts filter, which will always be checked.
+
+      Hosts will be resolved before connecting to them, and will be rejected if any of
+      their addresses are in blocked ranges. Redirects will be checked in the same way.
+    */
+    urlAllowedSchemes: ['http', 'https'],
+    urlMaxRedirects: 5,
+
+    /*
+      Block private, loopback, link-local, and other special-purpose address ranges.
+      NOTE: Only set this to false if you really know what you are doing.
+    */
+    urlBlockPrivateAddresses: true,
+
+    /*
+      Additional CIDR ranges to block (e.g. '203.0.113.0/24', '2001:db8::/32').
+    */
+    urlBlockedRanges: [],
+
+    /*
+      Filter mode for hosts of URL uploads. Can be 'blacklist' or 'whitelist'.
+      Hosts will also match their subdomains (e.g. 'example.com' matches 'cdn.example.com').
+      NOTE: Set either option to falsy value to disable.
+    */
+    urlHostsFilterMode: 'blacklist',
+    urlHostsFilter: [
+      // 'localhost'
+    ],
+
+    /*
+      Asynchronous URL upload jobs.
+      When requested with "async" property set to true alongside "urls" in the request body,
+      /api/upload will respond with job IDs immediately, while the URLs will be downloaded
+      in a background queue. Their progress can then be polled from /api/upload/jobs/:ids
+      (comma-separated job IDs). The homepage uploader will always use this.
+
+      concurrency: Max number of URLs to download at the same time, across all users.
+      retention: How long finished jobs will be kept in memory for polling (in milliseconds).
+      maxPending: Max number of unfinished jobs (queued or downloading), across all users.
+      maxPendingPerUser: Max number of unfinished jobs of each user (or each IP for anonymous uploads),
+        which should not be lower than maxFilesPerUpload of any usergroups.
+      New jobs beyond either limit will be rejected with 429 Too Many Requests.
+      NOTE: Jobs are kept in memory, so they will not survive restarts.
+    */
+    urlJobs: {
+      concurrency: 3,
+      retention: 10 * 60 * 1000, // 10 minutes
+      maxPending: 500,
+      maxPendingPerUser: 50
+    },
+
     /*
       An array of allowed ages for uploads (in hours).
 
@@ -361,6 +483,44 @@ module.exports = {
     */
     temporaryUploadsInterval: 1 * 60000, // 1 minute
 
+    /*
+      Detect MIME types of uploads from their contents (i.e. magic bytes),
+      since the ones reported by uploaders (or remote servers for URL uploads) cannot be trusted.
+      Detected types will be stored alongside the reported ones,
+      and both will be listed in the dashboard's Manage Uploads for moderators.
+
+      filterMode: 'blacklist' or 'whitelist', which will be matched against detected types.
+      Types may end with a wildcard to match all of their subtypes (e.g. 'image/*').
+
+      NOTE: Only common binary formats can be detected. Files whose types could not be detected
+      (which includes most text-based files) will be treated as 'application/octet-stream'.
+    */
+    detectTypes: {
+      enabled: true,
+      filterMode: 'blacklist',
+      filter: [
+        'application/x-msdownload',
+        'application/x-elf',
+        'application/x-mach-binary'
+      ]
+    },
+
+    /*
+      Inspect entries of ZIP and tar (including .tar.gz and .tgz) uploads, without extracting them.
+      Archives containing files whose extensions are filtered by extensionsFilter will be rejected,
+      as well as archives exceeding maxEntries files, or maxSize MB of uncompressed files (zip bombs).
+      Uploaders will be told which entry triggered the rejection.
+
+      Entries with no extension will always be allowed, regardless of filterNoExtension.
+      Archives that could not be inspected (e.g. corrupted ones) will also be rejected.
+      Set any of the limits to 0 to disable them.
+    */
+    inspectArchives: {
+      enabled: false,
+      maxEntries: 10000,
+      maxSize: 10000 // Needs to be in MB
+    },
+
     /*
       Scan uploads for threats with ClamAV.
 
@@ -390,6 +550,24 @@ module.exports = {
       // Make sure maxSize is no bigger than the max size you configured for your ClamAV
       maxSize: null, // Needs to be in MB
 
+      /*
+        Scan uploads in background, instead of making uploaders wait for ClamAV.
+        Uploads will be stored immediately, but will respond with 404 until they have been scanned.
+        Scans that failed (e.g. ClamAV being unavailable) will be retried after asyncRetryDelay,
+        so uploads will no longer be deleted just because of ClamAV errors.
+
+        Infected uploads will be moved into quarantineFolder (and recorded in the database),
+        which moderators can then release or purge from the dashboard.
+        Keep quarantineFolder outside of the uploads folder, so that it will never be served.
+
+        NOTE: Pending uploads can only be withheld when lolisafe serves the uploads by itself,
+        so this should not be used if your HTTP server serves the uploads folder directly.
+      */
+      async: false,
+      asyncConcurrency: 1,
+      asyncRetryDelay: 60 * 1000, // 1 minute
+      quarantineFolder: 'quarantine',
+
       // https://github.com/kylefarris/clamscan/tree/v1.3.3#getting-started
       // Breaking options (do not use): remove_infected, quarantine_infected
       // Untested options (may work): scan_log, debug_mode, file_list, scan_recursively
@@ -417,6 +595,19 @@ module.exports = {
     */
     storeIP: true,
 
+    /*
+      Deduplicate uploads across all users.
+      Identical content will only be stored once in "blobs" subfolder within uploads folder,
+      and every upload of it will be a hard link to its blob, so that they can still be served
+      directly by a reverse proxy. Blobs will only be removed when all of their uploads are deleted.
+      Regardless of this option, re-uploading a file that the same user had already uploaded
+      will always return the existing upload instead.
+
+      NOTE: This requires the uploads folder to be on a filesystem that supports hard links.
+      Existing duplicates can be collapsed with "scripts/dedupe-blobs.js".
+    */
+    dedupeAcrossUsers: true,
+
     /*
       The length of the randomly generated identifier for uploaded files.
       If "force" is set to true, files will always use "default".
@@ -428,6 +619,27 @@ module.exports = {
       force: false
     },
 
+    /*
+      Let users choose their own identifiers for their uploads (e.g. "my-file" for "my-file.png"),
+      with "identifier" header (or "identifier" property of each file when finishing chunked uploads,
+      and "identifier" metadata for tus uploads).
+      They will go through the same collision checks as randomly generated identifiers,
+      but uploads will be rejected instead when their identifiers are already in use.
+
+      group: Minimum permission group that may choose identifiers. Set to falsy value to disable.
+      min / max: Length limits of the identifiers.
+      reserved: Additional identifiers that may not be used (case-insensitive),
+      on top of the built-in ones (e.g. thumbs, zips, api, a, v).
+
+      NOTE: Identifiers may only contain letters, numbers, dashes and underscores.
+    */
+    vanityIdentifiers: {
+      group: false, // e.g. 'user'
+      min: 3,
+      max: 32,
+      reserved: []
+    },
+
     /*
       Cache file identifiers.
 
@@ -521,6 +733,148 @@ module.exports = {
       ]
     },
 
+    /*
+      Transcode images into more efficient formats (e.g. WebP, AVIF), after stripping tags.
+
+      "default" decides the format to transcode into by default (false to not transcode),
+      as the behavior can be configured by users from home uploader's Config tab
+      (or with "transcode" header, e.g. 'webp', 'avif', or '0' to not transcode).
+      If "force" is set to true, the default behavior will be enforced.
+
+      "groups" can override "default" and "force" per permission group, the same way as
+      "groupLimits" option above. Anonymous uploads will always use the global options.
+
+      "formats" are the formats that users may choose from ('webp' and/or 'avif').
+      "quality" is the quality of each format (1-100), which will otherwise use sharp's defaults.
+      "extensions" are the extensions of images that will be transcoded.
+      Images will be kept as-is if their transcoded versions would not be any smaller.
+
+      If "keepOriginal" is set to true, original images will be kept in "originalsFolder",
+      and will be deleted alongside their uploads.
+      Keep originalsFolder outside of the uploads folder, so that they will never be served,
+      since they would otherwise bypass password protection, download limits and background scanning.
+
+      NOTE: This requires running "yarn migrate" to add the new column to the database.
+      This only applies to regular image uploads (i.e. not URL uploads).
+      You can also set this option itself to any falsy value to completely disable this feature.
+    */
+    transcodeImages: {
+      default: false,
+      force: false,
+      groups: {
+        /*
+        user: {
+          default: 'webp'
+        },
+        moderator: {
+          force: false
+        }
+        */
+      },
+      formats: ['webp', 'avif'],
+      quality: {
+        webp: 80,
+        avif: 50
+      },
+      extensions: ['.png', '.jpg', '.jpeg', '.tif', '.tiff'],
+      keepOriginal: false,
+      originalsFolder: 'originals'
+    },
+
+    /*
+      Allow setting passwords on uploads, either at upload time (with "password" header,
+      or "password" metadata with tus uploads), or later from the dashboard.
+
+      Requests of protected uploads will be redirected to a password prompt page (/unlock/:name),
+      and once unlocked, the uploads will be accessible with a signed cookie for "unlockAge" seconds.
+      Thumbnails of protected uploads will not be displayed in album pages,
+      and protected uploads will not be included in album ZIPs.
+
+      "secret" is used to sign the cookies. If not set, a random secret will be generated
+      whenever lolisafe starts, so all unlocked uploads will have to be unlocked again after restarts.
+
+      NOTE: This requires running "yarn migrate" to add the new column to the database.
+      This only works when serving files with node ("serveFilesWithNode" option),
+      otherwise the uploads will still be directly accessible from your web server.
+      It is also recommended to add "/unlock" route to "rateLimits" option above.
+    */
+    filePasswords: {
+      enabled: false,
+      unlockAge: 60 * 60, // 1 hour
+      secret: ''
+    },
+
+    /*
+      Allow limiting how many times uploads can be downloaded (e.g. 1 to make them viewable only once),
+      either at upload time (with "maxdownloads" header, or "maxdownloads" metadata with tus uploads),
+      or later from the dashboard. 0 means unlimited downloads.
+
+      Every full GET request of the uploads will count as a download (range and conditional requests
+      of these uploads will be responded with the whole files instead), and the uploads will be deleted
+      once they run out of downloads.
+
+      NOTE: This requires running "yarn migrate" to add the new column to the database.
+      This only works when serving files with node ("serveFilesWithNode" option),
+      and with "proxy" serve mode when not storing files locally.
+    */
+    maxDownloads: {
+      enabled: false,
+      max: 100
+    },
+
+    /*
+      Allow the homepage uploader to encrypt files in the browser (AES-GCM) before uploading them.
+      The server will only store their ciphertext, and their original names will not be sent.
+      Their links will point to an in-browser viewer (/e/:identifier), with the decryption keys
+      in the links' fragments (#...), which browsers never send to servers.
+
+      Other clients may upload encrypted files with "encrypted" header (or "encrypted" metadata
+      with tus uploads, or "encrypted" property of each file with finishchunks API),
+      as long as they use the same format as src/js/misc/encryption.js.
+
+      Type detection, archives inspection, scanning, tags stripping, images transcoding
+      and thumbnails generation will be skipped for encrypted uploads, since they cannot be read.
+      Files whose extensions are filtered by extensionsFilter will still be rejected,
+      so the uploader will keep the files' extensions, but they will be stored with .bin extension,
+      so that they will always be served as binary data. Files that do not start with the format's
+      magic bytes ("LSE1") will be rejected.
+
+      Files are encrypted as a whole in the uploaders' browsers, and are also downloaded and decrypted
+      as a whole by the viewer, so their sizes must be limited to what browsers can hold in memory.
+      "maxSize" is in MB, and will be checked against the sizes of the encrypted files,
+      which are slightly bigger than the original files (a small header, and 16 bytes for every 1 MiB).
+
+      NOTE: This requires running "yarn migrate" to add the new column to the database.
+      Web Crypto API is only available in secure contexts, so this requires serving the site over HTTPS.
+    */
+    clientEncryption: {
+      enabled: false,
+      maxSize: 100
+    },
+
+    /*
+      Viewer for text-like uploads (e.g. pastes from the homepage's Paste tab, logs and source files),
+      rendered by the server with syntax highlighting (highlight.js), line numbers and line anchors.
+      Available at /t/:identifier (or /text/:identifier), and line anchors are formatted as #L10.
+
+      Only uploads whose extensions are listed in "extensions", and are not larger than "maxSize" MB
+      will be rendered. The rest will be redirected to their raw files, as well as password-protected uploads
+      that have not been unlocked, and download-limited uploads (so that views will count as downloads).
+      Languages will be guessed from the extensions, and unknown ones will be rendered as plain text.
+    */
+    textViewer: {
+      enabled: false,
+      maxSize: 1,
+      extensions: [
+        '.txt', '.log', '.md', '.csv', '.diff', '.patch',
+        '.json', '.xml', '.yml', '.yaml', '.toml', '.ini', '.conf', '.cfg',
+        '.sh', '.bash', '.bat', '.ps1',
+        '.c', '.h', '.cpp', '.hpp', '.cs', '.go', '.java', '.kt', '.rs', '.swift',
+        '.js', '.mjs', '.ts', '.jsx', '.tsx', '.css', '.scss', '.html',
+        '.lua', '.php', '.pl', '.py', '.rb', '.sql'
+      ]
+    },
+
     /*
       Allow users to download a ZIP archive of all files in an album.
       The file is generated when the user clicks the download button in the view
@@ -542,6 +896,148 @@ module.exports = {
     }
   },
 
+  /*
+    Storage driver for uploads, thumbnails and album ZIPs.
+    Files will always be processed in their local folders first (uploads, thumbs, zips),
+    then stored by the driver.
+
+    "local" keeps files in their local folders, which is the default.
+
+    "s3" stores files in an S3-compatible bucket (e.g. AWS S3, MinIO, Backblaze B2),
+    in the same layout as the local uploads folder (i.e. thumbs/ and zips/ prefixes).
+    Files can then be served either by pointing "domain" option to the bucket
+    (or a CDN in front of it), or with node when "serveFilesWithNode" is enabled.
+
+    "serveMode" decides how node will serve the files when not stored locally:
+    "redirect" redirects to the bucket (presigned URLs, or "publicUrl" if set),
+    and "proxy" streams the files through node.
+
+    NOTE: Deduplicating uploads across users (uploads.dedupeAcrossUsers)
+    is only supported when storing files locally.
+  */
+  storage: {
+    driver: 'local',
+    serveMode: 'redirect',
+    s3: {
+      // e.g. http://127.0.0.1:9000 for a local MinIO instance
+      endpoint: 'https://s3.us-east-1.amazonaws.com',
+      region: 'us-east-1',
+      bucket: 'lolisafe',
+      accessKeyId: '',
+      secretAccessKey: '',
+      // Use path-style URLs (endpoint/bucket/key), which is required by MinIO by default.
+      // Set to false to use virtual-hosted-style URLs (bucket.endpoint/key) instead.
+      forcePathStyle: true,
+      // Optional prefix of all keys (e.g. 'lolisafe/')
+      prefix: '',
+      // Public URL of the bucket, if it allows anonymous reads.
+      // When set, "redirect" serve mode will redirect to this instead of presigned URLs.
+      publicUrl: null,
+      // Validity of presigned URLs in seconds (max 7 days)
+      presignExpiry: 60 * 60 // 1 hour
+    }
+  },
+
+  /*
+    Outgoing webhooks, which will POST JSON payloads to the configured URLs when something happens:
+    {
+      "event": "upload", // upload, delete, album.create, album.edit, album.disable, user.register, or test
+      "delivery": 1, // ID of the delivery, also sent in "Lolisafe-Delivery" header
+      "timestamp": 1600000000,
+      "userid": 1, // Owner of the uploads/albums, or null for anonymous uploads
+      "data": { ... } // e.g. "files" array for upload/delete events, "album" object for album events
+    }
+
+    The event name will also be sent in "Lolisafe-Event" header.
+    If the webhook has a secret, the payload will be signed with it in "Lolisafe-Signature" header,
+    as "sha256=" followed by HMAC-SHA256 hex digest of the request body.
+
+    Failed deliveries will be retried with exponential backoff (retryDelay, then twice as long, and so on).
+    Deliveries are logged in the database, which users can review in the dashboard.
+  */
+  webhooks: {
+    enabled: false,
+
+    /*
+      Global webhooks, which will receive events of all users.
+      "events" is optional, and webhooks without it will receive all events.
+      user.register events will only be delivered to these.
+    */
+    endpoints: [
+      /*
+      {
+        url: 'https://example.com/lolisafe-webhook',
+        secret: 'some-random-string',
+        events: ['upload', 'delete', 'user.register']
+      }
+      */
+    ],
+
+    /*
+      Usergroup that can manage their own webhooks in the dashboard, which will receive their own events.
+      Their URLs will be checked the same way as URL uploads (i.e. private addresses and filtered hosts).
+      Set to falsy value to only allow the global webhooks above.
+    */
+    userGroup: 'user',
+    maxPerUser: 5,
+
+    // Timeout of each delivery attempt in milliseconds
+    timeout: 10000,
+    // Max retries after the first failed attempt
+    retries: 5,
+    // Delay before the first retry in milliseconds
+    retryDelay: 10000,
+    // Days to keep the delivery log for
+    logRetention: 7
+  },
+
+  /*
+    Plugins, which can hook into the upload pipeline without patching the controllers.
+    All .js files in the folder will be loaded on startup, and will run in the order of their file names.
+
+    Each plugin should export an object of hooks, or a function that returns one.
+    Such function will be called with { ClientError, ServerError, config, logger }.
+    All hooks may be async functions, and will be called with a context object:
+
+    module.exports = ({ ClientError, logger }) => ({
+      name: 'example', // Optional, defaults to the file name
+
+      // Before receiving any files of the request (also on each chunk of chunked uploads).
+      // Context: { req, user, albumid, age } (tus uploads also include "metadata").
+      preAccept (ctx) {},
+
+      // After the files have been written to disk, but before type detection, ClamAV, strip tags, etc.
+      // Context: { req, user, files }, where each of files is { path, data }.
+      // "data.originalname", "data.mimetype" and such can still be modified.
+      postWrite (ctx) {},
+
+      // Right before the new files are inserted into the database (duplicates are excluded).
+      // Context: { req, user, files }, where each of files is its database row, which can still be modified.
+      preStore (ctx) {},
+
+      // After the new files have been inserted into the database.
+      // Context: { req, user, files }.
+      postStore (ctx) {},
+
+      // Right before uploads are deleted, including expired ones.
+      // Context: { user, files }, where each of files is its database row.
+      // Remove files from the array to keep them, or throw to keep all of them.
+      preDelete (ctx) {},
+
+      // After uploads have been deleted.
+      // Context: { user, files }.
+      postDelete (ctx) {}
+    })
+
+    preAccept, postWrite and preStore hooks can reject the uploads by throwing errors,
+    which will be responded to uploaders the same way as other errors (e.g. throw new ClientError('Not allowed.')).
+    postStore and postDelete hooks are only meant for side effects, so their errors will only be logged.
+  */
+  plugins: {
+    enabled: false,
+    folder: 'plugins'
+  },
+
   /*
     Cloudflare support.
   */
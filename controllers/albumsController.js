@@ -5,11 +5,14 @@ const randomstring = require('randomstring')
 const Zip = require('jszip')
 const paths = require('./pathsController')
 const perms = require('./permissionController')
+const scan = require('./scanController')
+const storage = require('./storageController')
 const uploadController = require('./uploadController')
 const utils = require('./utilsController')
 const apiErrorsHandler = require('./handlers/apiErrorsHandler.js')
 const ClientError = require('./utils/ClientError')
 const ServerError = require('./utils/ServerError')
+const webhooks = require('./utils/webhookDispatcher')
 const config = require('./../config')
 const logger = require('./../logger')
 const db = require('knex')(config.database)
@@ -136,11 +139,10 @@ self.list = async (req, res, next) => {
     const getAlbumZipSize = async album => {
       if (!album.zipGeneratedAt) return
       try {
-        const filePath = path.join(paths.zips, `${album.identifier}.zip`)
-        const stats = await paths.stat(filePath)
-        albumids[album.id].zipSize = stats.size
+        const stat = await storage.stat('zips', `${album.identifier}.zip`)
+        if (stat) albumids[album.id].zipSize = stat.size
       } catch (error) {
-        if (error.code !== 'ENOENT') logger.error(error)
+        logger.error(error)
       }
     }
 
@@ -225,6 +227,10 @@ self.create = async (req, res, next) => {
     utils.invalidateStatsCache('albums')
     self.onHold.delete(identifier)
 
+    webhooks.emit('album.create', user.id, {
+      album: { id: ids[0], name, identifier }
+    })
+
     await res.json({ success: true, id: ids[0] })
   } catch (error) {
     return apiErrorsHandler(error, req, res, next)
@@ -277,12 +283,13 @@ self.disable = async (req, res, next) => {
       .first()
       .then(row => row.identifier)
 
-    try {
-      await paths.unlink(path.join(paths.zips, `${identifier}.zip`))
-    } catch (error) {
-      // Re-throw non-ENOENT error
-      if (error.code !== 'ENOENT') throw error
-    }
+    await storage.remove('zips', `${identifier}.zip`)
+
+    webhooks.emit('album.disable', user.id, {
+      album: { id, identifier },
+      purge: Boolean(purge)
+    })
+
     await res.json({ success: true })
   } catch (error) {
     return apiErrorsHandler(error, req, res, next)
@@ -368,18 +375,23 @@ self.edit = async (req, res, next) => {
     utils.invalidateAlbumsCache([id])
     utils.invalidateStatsCache('albums')
 
+    // Moderators may edit other users' albums, so notify the album's owner instead
+    webhooks.emit('album.edit', album.userid, {
+      album: {
+        id,
+        name,
+        identifier: update.identifier || album.identifier,
+        enabled: update.enabled !== undefined ? update.enabled : Boolean(album.enabled),
+        download: update.download,
+        public: update.public
+      }
+    })
+
     if (req.body.requestLink) {
       self.onHold.delete(update.identifier)
 
       // Rename zip archive of the album if it exists
-      try {
-        const oldZip = path.join(paths.zips, `${album.identifier}.zip`)
-        const newZip = path.join(paths.zips, `${update.identifier}.zip`)
-        await paths.rename(oldZip, newZip)
-      } catch (error) {
-        // Re-throw non-ENOENT error
-        if (error.code !== 'ENOENT') throw error
-      }
+      await storage.rename('zips', `${album.identifier}.zip`, `${update.identifier}.zip`)
 
       await res.json({
         success: true,
@@ -419,22 +431,27 @@ self.get = async (req, res, next) => {
 
     const title = album.name
     const files = await db.table('files')
-      .select('name')
+      .select('name', 'original', 'password', 'encrypted', 'downloadsleft')
       .where('albumid', album.id)
+      .where(scan.whereServable)
       .orderBy('id', 'desc')
 
     for (const file of files) {
+      const isProtected = Boolean(file.password)
+      delete file.password
+
       if (req._upstreamCompat) {
-        file.url = `${config.domain}/${file.name}`
+        file.url = `${config.domain}/${utils.getFilePath(file)}`
       } else {
-        file.file = `${config.domain}/${file.name}`
+        file.file = `${config.domain}/${utils.getFilePath(file)}`
       }
 
       const extname = utils.extname(file.name)
-      if (utils.mayGenerateThumb(extname)) {
+      if (utils.mayGenerateThumb(extname) && !isProtected && !file.encrypted && !file.downloadsleft) {
         file.thumb = `${config.domain}/thumbs/${file.name.slice(0, -extname.length)}.png`
         if (req._upstreamCompat) file.thumbSquare = file.thumb
       }
+      delete file.downloadsleft
     }
 
     await res.json({
@@ -481,22 +498,17 @@ self.generateZip = async (req, res, next) => {
     }
 
     if (album.zipGeneratedAt > album.editedAt) {
-      try {
-        const filePath = path.join(paths.zips, `${identifier}.zip`)
-        await paths.access(filePath)
-        await res.download(filePath, `${album.name}.zip`)
+      if (await storage.stat('zips', `${identifier}.zip`)) {
+        await storage.send(req, res, 'zips', `${identifier}.zip`, `${album.name}.zip`)
         return
-      } catch (error) {
-        // Re-throw non-ENOENT error
-        if (error.code !== 'ENOENT') throw error
       }
     }
 
     if (self.zipEmitters.has(identifier)) {
       logger.log(`Waiting previous zip task for album: ${identifier}.`)
-      return self.zipEmitters.get(identifier).once('done', (filePath, fileName, clientErr) => {
-        if (filePath && fileName) {
-          res.download(filePath, fileName)
+      return self.zipEmitters.get(identifier).once('done', (zipName, fileName, clientErr) => {
+        if (zipName && fileName) {
+          storage.send(req, res, 'zips', zipName, fileName).catch(error => apiErrorsHandler(error, req, res, next))
         } else if (clientErr) {
           apiErrorsHandler(clientErr, req, res, next)
         }
@@ -508,8 +520,11 @@ self.generateZip = async (req, res, next) => {
     logger.log(`Starting zip task for album: ${identifier}.`)
 
     const files = await db.table('files')
-      .select('name', 'size')
+      .select('name', 'original', 'size')
       .where('albumid', album.id)
+      // Password-protected uploads must not be reachable through ZIPs either
+      .whereNull('password')
+      .where(scan.whereServable)
     if (files.length === 0) {
       logger.log(`Finished zip task for album: ${identifier} (no files).`)
       const clientErr = new ClientError('There are no files in the album.', { statusCode: 200 })
@@ -535,8 +550,9 @@ self.generateZip = async (req, res, next) => {
       // their order in the ZIP file may not be in alphabetical order.
       // However, ZIP viewers in general should sort the files themselves.
       await Promise.all(files.map(async file => {
-        const data = await paths.readFile(path.join(paths.uploads, file.name))
-        archive.file(file.name, data)
+        const data = await storage.readFile('uploads', file.name)
+        // Keep slugified original names in the ZIP file as well (e.g. "abc123-report-final.pdf")
+        archive.file(utils.getFilePath(file).replace('/', '-'), data)
       }))
       await new Promise((resolve, reject) => {
         archive.generateNodeStream(zipOptions)
@@ -544,6 +560,7 @@ self.generateZip = async (req, res, next) => {
           .on('error', error => reject(error))
           .on('finish', () => resolve())
       })
+      await storage.commit('zips', `${album.identifier}.zip`)
     } catch (error) {
       logger.error(error)
       throw new ServerError(error.message)
@@ -556,11 +573,11 @@ self.generateZip = async (req, res, next) => {
       .update('zipGeneratedAt', Math.floor(Date.now() / 1000))
     utils.invalidateStatsCache('albums')
 
-    const filePath = path.join(paths.zips, `${identifier}.zip`)
+    const zipName = `${identifier}.zip`
     const fileName = `${album.name}.zip`
 
-    self.zipEmitters.get(identifier).emit('done', filePath, fileName)
-    await res.download(filePath, fileName)
+    self.zipEmitters.get(identifier).emit('done', zipName, fileName)
+    await storage.send(req, res, 'zips', zipName, fileName)
   } catch (error) {
     return apiErrorsHandler(error, req, res, next)
   }
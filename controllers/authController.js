@@ -1,13 +1,13 @@
 const bcrypt = require('bcrypt')
-const path = require('path')
 const randomstring = require('randomstring')
-const paths = require('./pathsController')
 const perms = require('./permissionController')
+const storage = require('./storageController')
 const tokens = require('./tokenController')
 const utils = require('./utilsController')
 const apiErrorsHandler = require('./handlers/apiErrorsHandler.js')
 const ClientError = require('./utils/ClientError')
 const ServerError = require('./utils/ServerError')
+const webhooks = require('./utils/webhookDispatcher')
 const config = require('./../config')
 const db = require('knex')(config.database)
 
@@ -98,7 +98,7 @@ self.register = async (req, res, next) => {
       throw new ServerError('Failed to allocate a unique token. Try again?')
     }
 
-    await db.table('users')
+    const ids = await db.table('users')
       .insert({
         username,
         password: hash,
@@ -110,6 +110,10 @@ self.register = async (req, res, next) => {
     utils.invalidateStatsCache('users')
     tokens.onHold.delete(token)
 
+    webhooks.emit('user.register', ids[0], {
+      user: { id: ids[0], username }
+    })
+
     await res.json({ success: true, token })
   } catch (error) {
     return apiErrorsHandler(error, req, res, next)
@@ -250,6 +254,15 @@ self.editUser = async (req, res, next) => {
       }
     }
 
+    // Empty values will reset the user to their group's default quotas, and 0 means unlimited
+    if (req.body.quotasize !== undefined) {
+      update.quotasize = self.parseQuota(req.body.quotasize, 1e6)
+    }
+
+    if (req.body.quotacount !== undefined) {
+      update.quotacount = self.parseQuota(req.body.quotacount, 1)
+    }
+
     let password
     if (req.body.resetPassword) {
       password = randomstring.generate(self.pass.rand)
@@ -269,6 +282,15 @@ self.editUser = async (req, res, next) => {
   }
 }
 
+self.parseQuota = (value, multiplier) => {
+  if (value === null || value === '') return null
+  const parsed = Number(value)
+  if (!Number.isFinite(parsed) || parsed < 0) {
+    throw new ClientError('Quotas must be either empty or non-negative numbers.')
+  }
+  return Math.round(parsed * multiplier)
+}
+
 self.disableUser = async (req, res, next) => {
   req.body = { id: req.body.id, enabled: false }
   return self.editUser(req, res, next)
@@ -323,14 +345,9 @@ self.deleteUser = async (req, res, next) => {
       utils.invalidateAlbumsCache(albumids)
 
       // Unlink their archives
-      await Promise.all(albums.map(async album => {
-        try {
-          await paths.unlink(path.join(paths.zips, `${album.identifier}.zip`))
-        } catch (error) {
-          // Re-throw non-ENOENT error
-          if (error.code !== 'ENOENT') throw error
-        }
-      }))
+      await Promise.all(albums.map(album =>
+        storage.remove('zips', `${album.identifier}.zip`)
+      ))
     }
 
     await db.table('users')
@@ -367,11 +384,13 @@ self.listUsers = async (req, res, next) => {
     const users = await db.table('users')
       .limit(25)
       .offset(25 * offset)
-      .select('id', 'username', 'enabled', 'timestamp', 'permission', 'registration')
+      .select('id', 'username', 'enabled', 'timestamp', 'permission', 'registration', 'quotasize', 'quotacount')
 
     const pointers = {}
     for (const user of users) {
       user.groups = perms.mapPermissions(user)
+      // Effective quotas, whereas quotasize and quotacount are only the user's own overrides
+      user.quota = utils.getUserQuota(user)
       delete user.permission
       user.uploads = 0
       user.usage = 0
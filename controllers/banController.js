@@ -0,0 +1,251 @@
+const perms = require('./permissionController')
+const storage = require('./storageController')
+const utils = require('./utilsController')
+const apiErrorsHandler = require('./handlers/apiErrorsHandler')
+const ClientError = require('./utils/ClientError')
+const config = require('./../config')
+const logger = require('./../logger')
+const db = require('knex')(config.database)
+
+const self = {
+  reasonMaxLength: 255,
+  // BLAKE3 hex digests
+  hashPattern: /^[0-9a-f]{64}$/
+}
+
+// SQLITE_LIMIT_VARIABLE_NUMBER, which defaults to 999
+// Read more: https://www.sqlite.org/limits.html
+const MAX_VARIABLES_CHUNK_SIZE = 999
+
+self.authorize = async req => {
+  const user = await utils.authorize(req)
+
+  const ismoderator = perms.is(user, 'moderator')
+  if (!ismoderator) throw new ClientError('', { statusCode: 403 })
+
+  return user
+}
+
+self.parseReason = reason => {
+  if (typeof reason !== 'string') return null
+  return reason.trim().substring(0, self.reasonMaxLength) || null
+}
+
+self.parseHashes = hashes => {
+  if (!Array.isArray(hashes) || !hashes.length) {
+    throw new ClientError('You did not specify any hashes.')
+  }
+
+  return hashes
+    .filter(hash => typeof hash === 'string')
+    .map(hash => hash.trim().toLowerCase())
+    .filter((hash, index, array) => self.hashPattern.test(hash) && array.indexOf(hash) === index)
+}
+
+// Resolves to the first banned hash out of the specified ones, if any
+self.findBanned = async hashes => {
+  hashes = hashes.filter(Boolean)
+  if (!hashes.length) return null
+
+  for (let i = 0; i < hashes.length; i += MAX_VARIABLES_CHUNK_SIZE) {
+    const banned = await db.table('bannedhashes')
+      .whereIn('hash', hashes.slice(i, i + MAX_VARIABLES_CHUNK_SIZE))
+      .select('hash')
+      .first()
+    if (banned) return banned.hash
+  }
+
+  return null
+}
+
+// Insert hashes that have not been banned yet, and resolve to the number of newly banned ones
+const insertBans = async (bans, userid) => {
+  const hashes = bans.map(ban => ban.hash)
+  const existing = []
+  for (let i = 0; i < hashes.length; i += MAX_VARIABLES_CHUNK_SIZE) {
+    await db.table('bannedhashes')
+      .whereIn('hash', hashes.slice(i, i + MAX_VARIABLES_CHUNK_SIZE))
+      .select('hash')
+      .then(rows => existing.push(...rows.map(row => row.hash)))
+  }
+
+  const timestamp = Math.floor(Date.now() / 1000)
+  const rows = bans
+    .filter(ban => !existing.includes(ban.hash))
+    .map(ban => ({
+      hash: ban.hash,
+      reason: ban.reason,
+      userid,
+      timestamp: ban.timestamp || timestamp
+    }))
+
+  // Insert in batches, since each row uses multiple variables
+  for (let i = 0; i < rows.length; i += 100) {
+    await db.table('bannedhashes').insert(rows.slice(i, i + 100))
+  }
+
+  return rows.length
+}
+
+// Transcoded images are stored with the hashes of their transcoded versions,
+// so also ban their originals, which may still be re-uploaded without transcoding
+const hashOriginal = async file => {
+  if (!file.transcodedfrom) return null
+
+  try {
+    const original = `${file.name.split('.')[0]}${file.transcodedfrom}`
+    return await storage.useLocalFile('originals', original, utils.hashFile)
+  } catch (error) {
+    logger.error(error)
+    return null
+  }
+}
+
+self.list = async (req, res, next) => {
+  try {
+    await self.authorize(req)
+
+    const bans = await db.table('bannedhashes')
+      .orderBy('id', 'desc')
+      .select('id', 'hash', 'reason', 'userid', 'timestamp')
+
+    // Get authors' usernames
+    const userids = bans
+      .map(ban => ban.userid)
+      .filter((userid, index, array) => userid && array.indexOf(userid) === index)
+
+    const users = {}
+    for (let i = 0; i < userids.length; i += MAX_VARIABLES_CHUNK_SIZE) {
+      await db.table('users')
+        .whereIn('id', userids.slice(i, i + MAX_VARIABLES_CHUNK_SIZE))
+        .select('id', 'username')
+        .then(rows => rows.forEach(row => { users[row.id] = row.username }))
+    }
+
+    for (const ban of bans) {
+      ban.username = users[ban.userid] || null
+    }
+
+    await res.json({ success: true, bans })
+  } catch (error) {
+    return apiErrorsHandler(error, req, res, next)
+  }
+}
+
+// Ban contents of the specified uploads, then delete all uploads sharing the same contents across users
+self.banUploads = async (req, res, next) => {
+  try {
+    const user = await self.authorize(req)
+
+    const ids = req.body.ids
+    if (!Array.isArray(ids) || !ids.length) {
+      throw new ClientError('You did not specify any uploads.')
+    }
+
+    const files = await db.table('files')
+      .whereIn('id', ids.slice(0, MAX_VARIABLES_CHUNK_SIZE))
+      .select('id', 'name', 'hash', 'transcodedfrom')
+    if (!files.length) {
+      throw new ClientError('Could not get uploads with the specified IDs.')
+    }
+
+    const hashes = files.map(file => file.hash)
+    const originals = await Promise.all(files.map(hashOriginal))
+    hashes.push(...originals.filter(Boolean))
+
+    const reason = self.parseReason(req.body.reason)
+    const unique = hashes.filter((hash, index) => hash && hashes.indexOf(hash) === index)
+    const banned = await insertBans(unique.map(hash => ({ hash, reason })), user.id)
+
+    const matches = []
+    for (let i = 0; i < unique.length; i += MAX_VARIABLES_CHUNK_SIZE) {
+      await db.table('files')
+        .whereIn('hash', unique.slice(i, i + MAX_VARIABLES_CHUNK_SIZE))
+        .select('id')
+        .then(rows => matches.push(...rows.map(row => row.id)))
+    }
+
+    const failed = await utils.bulkDeleteFromDb('id', matches.slice(), user)
+    logger.log(`[Bans]: ${user.username} banned ${banned} hash(es), deleting ${matches.length - failed.length} upload(s)`)
+
+    await res.json({
+      success: true,
+      banned,
+      deleted: matches.length - failed.length,
+      failed
+    })
+  } catch (error) {
+    return apiErrorsHandler(error, req, res, next)
+  }
+}
+
+self.unban = async (req, res, next) => {
+  try {
+    await self.authorize(req)
+
+    const hashes = self.parseHashes(req.body.hashes)
+    let deleted = 0
+    for (let i = 0; i < hashes.length; i += MAX_VARIABLES_CHUNK_SIZE) {
+      deleted += await db.table('bannedhashes')
+        .whereIn('hash', hashes.slice(i, i + MAX_VARIABLES_CHUNK_SIZE))
+        .del()
+    }
+
+    await res.json({ success: true, deleted })
+  } catch (error) {
+    return apiErrorsHandler(error, req, res, next)
+  }
+}
+
+self.export = async (req, res, next) => {
+  try {
+    await self.authorize(req)
+
+    const bans = await db.table('bannedhashes')
+      .orderBy('id')
+      .select('hash', 'reason', 'timestamp')
+
+    await res.json({ success: true, bans })
+  } catch (error) {
+    return apiErrorsHandler(error, req, res, next)
+  }
+}
+
+// Accepts the same format as exported lists
+self.import = async (req, res, next) => {
+  try {
+    const user = await self.authorize(req)
+
+    if (!Array.isArray(req.body.bans)) {
+      throw new ClientError('Missing "bans" property (array).')
+    }
+
+    const bans = []
+    for (const ban of req.body.bans) {
+      if (!ban || typeof ban.hash !== 'string') continue
+
+      const hash = ban.hash.trim().toLowerCase()
+      if (!self.hashPattern.test(hash) || bans.some(other => other.hash === hash)) continue
+
+      const timestamp = parseInt(ban.timestamp)
+      bans.push({
+        hash,
+        reason: self.parseReason(ban.reason),
+        timestamp: timestamp > 0 ? timestamp : null
+      })
+    }
+
+    const imported = await insertBans(bans, user.id)
+    logger.log(`[Bans]: ${user.username} imported ${imported} hash(es)`)
+
+    await res.json({
+      success: true,
+      imported,
+      skipped: req.body.bans.length - imported
+    })
+  } catch (error) {
+    return apiErrorsHandler(error, req, res, next)
+  }
+}
+
+module.exports = self
@@ -10,6 +10,7 @@ const self = {}
 const fsFuncs = [
   'access',
   'copyFile',
+  'link',
   'lstat',
   'mkdir',
   'readdir',
@@ -18,6 +19,7 @@ const fsFuncs = [
   'rmdir',
   'stat',
   'symlink',
+  'truncate',
   'unlink',
   'writeFile'
 ]
@@ -31,7 +33,12 @@ self.chunks = config.uploads.chunksFolder
   ? path.resolve(config.uploads.chunksFolder)
   : path.join(self.uploads, 'chunks')
 self.thumbs = path.join(self.uploads, 'thumbs')
+self.blobs = path.join(self.uploads, 'blobs')
 self.zips = path.join(self.uploads, 'zips')
+// Outside of uploads folder by default, so that original images of transcoded uploads will never be served
+self.originals = path.resolve((config.uploads.transcodeImages && config.uploads.transcodeImages.originalsFolder) || 'originals')
+// Outside of uploads folder by default, so that quarantined uploads will never be served
+self.quarantine = path.resolve(config.uploads.scan.quarantineFolder || 'quarantine')
 
 self.thumbPlaceholder = path.resolve(config.uploads.generateThumbs.placeholder || 'public/images/unavailable.png')
 
@@ -45,15 +52,38 @@ self.public = path.resolve('public')
 
 self.errorRoot = path.resolve(config.errorPages.rootDir)
 
+// Decode and normalize request paths the same way serve-static resolves them into files,
+// so that middlewares which look for specific uploads can not be bypassed with paths such as "//abc.png" or "/%2e/abc.png".
+// Malformed paths will return null, since serve-static will refuse them anyway.
+self.normalizeRequestPath = requestPath => {
+  let decoded
+  try {
+    decoded = decodeURIComponent(requestPath)
+  } catch (error) {
+    return null
+  }
+  if (decoded.includes('\0')) return null
+  return path.posix.normalize(decoded)
+}
+
 const verify = [
   self.uploads,
   self.chunks,
   self.thumbs,
+  self.blobs,
   self.zips,
   self.logs,
   self.customPages
 ]
 
+if (config.uploads.transcodeImages && config.uploads.transcodeImages.keepOriginal) {
+  verify.push(self.originals)
+}
+
+if (config.uploads.scan.enabled && config.uploads.scan.async) {
+  verify.push(self.quarantine)
+}
+
 self.init = async () => {
   // Check & create directories
   for (const p of verify) {
@@ -68,18 +98,6 @@ self.init = async () => {
       }
     }
   }
-
-  // Purge any leftover in chunks directory
-  const uuidDirs = await self.readdir(self.chunks)
-  await Promise.all(uuidDirs.map(async uuid => {
-    const root = path.join(self.chunks, uuid)
-    const chunks = await self.readdir(root)
-    await Promise.all(chunks.map(chunk =>
-      self.unlink(path.join(root, chunk))
-    ))
-    await self.rmdir(root)
-  }))
-  if (uuidDirs.length) logger.log(`Purged ${uuidDirs.length} unfinished chunks`)
 }
 
 module.exports = self
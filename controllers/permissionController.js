@@ -17,6 +17,14 @@ self.is = (user, group) => {
   return permission >= self.permissions[group]
 }
 
+// returns the highest group out of the specified groups that user is in
+self.highestGroup = (user, groups) => {
+  return groups
+    .filter(group => typeof self.permissions[group] === 'number')
+    .sort((a, b) => self.permissions[b] - self.permissions[a])
+    .find(group => self.is(user, group))
+}
+
 self.higher = (user, target) => {
   const userPermission = user.permission || 0
   const targetPermission = target.permission || 0
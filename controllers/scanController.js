@@ -0,0 +1,290 @@
+const path = require('path')
+const paths = require('./pathsController')
+const perms = require('./permissionController')
+const storage = require('./storageController')
+const utils = require('./utilsController')
+const apiErrorsHandler = require('./handlers/apiErrorsHandler')
+const ClientError = require('./utils/ClientError')
+const config = require('./../config')
+const logger = require('./../logger')
+const db = require('knex')(config.database)
+
+// Scans uploads with ClamAV in background, instead of blocking upload responses.
+// Uploads will be stored as pending, and will not be served until they have been scanned.
+// Infected uploads will be moved into the quarantine folder, for moderators to review.
+
+const options = config.uploads.scan || {}
+
+const self = {
+  async: Boolean(options.enabled && options.async),
+  concurrency: options.asyncConcurrency || 1,
+  retryDelay: options.asyncRetryDelay || 60000,
+  // Number of latest quarantined uploads to list in the dashboard
+  listLimit: 100
+}
+
+const queue = []
+const queued = new Set()
+let active = 0
+
+// Whether the user's uploads will not be scanned at all
+self.isBypassed = user => {
+  return Boolean(user && utils.clamscan.groupBypass && perms.is(user, utils.clamscan.groupBypass))
+}
+
+// Whether the upload will not be scanned due to its extension or size
+self.isSkipped = (extname, size) => {
+  if (utils.clamscan.whitelistExtensions && utils.clamscan.whitelistExtensions.includes(extname)) {
+    return true
+  }
+  return Boolean(utils.clamscan.maxSize && size > utils.clamscan.maxSize)
+}
+
+// For knex's where(), to exclude uploads that must not be served
+self.whereServable = function () {
+  this.whereNull('scanStatus')
+    .orWhereNotIn('scanStatus', ['pending', 'quarantined'])
+}
+
+// Once servable, generate its thumb and let it appear in its album's public page
+const onServable = file => {
+  const extname = utils.extname(file.name)
+  if (!file.downloadsleft && utils.mayGenerateThumb(extname)) {
+    utils.generateThumbs(file.name, extname, true).catch(logger.error)
+  }
+
+  if (file.albumid) {
+    utils.invalidateAlbumsCache([file.albumid])
+  }
+}
+
+self.quarantine = async (file, threats) => {
+  await storage.useLocalFile('uploads', file.name, local =>
+    paths.copyFile(local, path.join(paths.quarantine, file.name))
+  )
+
+  await db.table('files')
+    .where('id', file.id)
+    .update({
+      scanStatus: 'quarantined',
+      scanResult: threats,
+      // Original images of transcoded uploads will not be kept
+      transcodedfrom: null
+    })
+
+  // Release its blob reference before removing it, since that needs to check the upload's inode
+  await utils.releaseBlob(file)
+  await storage.remove('uploads', file.name)
+  await utils.unlinkOriginal(file)
+}
+
+self.release = async file => {
+  const quarantined = path.join(paths.quarantine, file.name)
+  await paths.copyFile(quarantined, path.join(paths.uploads, file.name))
+
+  if (config.uploads.dedupeAcrossUsers && storage.isLocal) {
+    // Store it as a reference of its content's blob again, but continue even when encountering errors
+    await utils.storeBlob(file.name, file.hash, file.size).catch(logger.error)
+  }
+
+  // Store it with the storage driver again (no-op when storing them locally)
+  await storage.commit('uploads', file.name)
+
+  await db.table('files')
+    .where('id', file.id)
+    .update('scanStatus', 'released')
+
+  await paths.unlink(quarantined)
+  onServable(file)
+}
+
+const scan = async name => {
+  // It may have been deleted while waiting in the queue
+  const file = await db.table('files')
+    .where({
+      name,
+      scanStatus: 'pending'
+    })
+    .select('id', 'name', 'hash', 'size', 'albumid', 'downloadsleft', 'transcodedfrom')
+    .first()
+  if (!file) return
+
+  const response = await storage.useLocalFile('uploads', file.name, local =>
+    utils.clamscan.instance.is_infected(local)
+  )
+
+  if (response.is_infected) {
+    const threats = response.viruses.join(', ')
+    logger.log(`[ClamAV]: ${file.name}: ${threats}`)
+    await self.quarantine(file, threats)
+  } else {
+    await db.table('files')
+      .where('id', file.id)
+      .update('scanStatus', 'clean')
+    onServable(file)
+  }
+}
+
+const drain = () => {
+  while (queue.length && active < self.concurrency) {
+    const name = queue.shift()
+    active++
+    scan(name)
+      .catch(error => {
+        // Keep it pending, and try again later,
+        // so that a temporarily unavailable ClamAV will not lose any uploads
+        logger.error(`[ClamAV]: ${name}: ${error.toString()}`)
+        setTimeout(() => self.enqueue([name]), self.retryDelay).unref()
+      })
+      .then(() => {
+        queued.delete(name)
+        active--
+        drain()
+      })
+  }
+}
+
+self.enqueue = names => {
+  for (const name of names) {
+    if (queued.has(name)) continue
+    queued.add(name)
+    queue.push(name)
+  }
+  drain()
+}
+
+// Re-queue uploads that were still pending when lolisafe was stopped
+self.resume = async () => {
+  const names = await db.table('files')
+    .where('scanStatus', 'pending')
+    .select('name')
+    .then(rows => rows.map(row => row.name))
+
+  if (names.length) {
+    logger.log(`[ClamAV]: Resuming scans of ${names.length} pending upload(s)`)
+    self.enqueue(names)
+  }
+}
+
+// Respond pending and quarantined uploads with 404, as if they do not exist yet
+self.middleware = async (req, res, next) => {
+  if (!['GET', 'HEAD'].includes(req.method)) return next()
+
+  const requestPath = paths.normalizeRequestPath(req.path)
+  const match = requestPath && requestPath.match(/^\/([^/]+)$/)
+  if (!match) return next()
+
+  try {
+    const file = await db.table('files')
+      .where('name', match[1])
+      .select('scanStatus')
+      .first()
+    if (!file || !['pending', 'quarantined'].includes(file.scanStatus)) return next()
+
+    res.set('Cache-Control', 'no-store')
+    return res.status(404).sendFile(path.join(paths.errorRoot, config.errorPages[404]))
+  } catch (error) {
+    return next(error)
+  }
+}
+
+self.authorize = async req => {
+  const user = await utils.authorize(req)
+
+  const ismoderator = perms.is(user, 'moderator')
+  if (!ismoderator) throw new ClientError('', { statusCode: 403 })
+
+  return user
+}
+
+self.getQuarantined = async ids => {
+  if (!Array.isArray(ids) || !ids.length) {
+    throw new ClientError('You did not specify any uploads.')
+  }
+
+  return db.table('files')
+    .whereIn('id', ids.slice(0, 999))
+    .where('scanStatus', 'quarantined')
+    .select('id', 'name', 'hash', 'size', 'albumid', 'downloadsleft')
+}
+
+self.list = async (req, res, next) => {
+  try {
+    await self.authorize(req)
+
+    const count = await db.table('files')
+      .where('scanStatus', 'quarantined')
+      .count('id as count')
+      .then(rows => rows[0].count)
+
+    const files = await db.table('files')
+      .where('scanStatus', 'quarantined')
+      .orderBy('id', 'desc')
+      .limit(self.listLimit)
+      .select('id', 'userid', 'name', 'original', 'size', 'ip', 'timestamp', 'scanResult')
+
+    // Get uploaders' usernames
+    const userids = files
+      .map(file => file.userid)
+      .filter((userid, index, array) => userid && array.indexOf(userid) === index)
+
+    const users = {}
+    if (userids.length) {
+      await db.table('users')
+        .whereIn('id', userids)
+        .select('id', 'username')
+        .then(rows => rows.forEach(row => { users[row.id] = row.username }))
+    }
+
+    for (const file of files) {
+      file.username = users[file.userid] || null
+    }
+
+    await res.json({ success: true, files, count })
+  } catch (error) {
+    return apiErrorsHandler(error, req, res, next)
+  }
+}
+
+self.releaseFiles = async (req, res, next) => {
+  try {
+    await self.authorize(req)
+
+    const files = await self.getQuarantined(req.body.ids)
+    const failed = req.body.ids.filter(id => !files.some(file => file.id === id))
+
+    for (const file of files) {
+      try {
+        await self.release(file)
+        logger.log(`[ClamAV]: ${file.name}: Released from quarantine`)
+      } catch (error) {
+        logger.error(error)
+        failed.push(file.id)
+      }
+    }
+
+    await res.json({ success: true, failed })
+  } catch (error) {
+    return apiErrorsHandler(error, req, res, next)
+  }
+}
+
+self.purgeFiles = async (req, res, next) => {
+  try {
+    const user = await self.authorize(req)
+
+    const files = await self.getQuarantined(req.body.ids)
+    const failed = req.body.ids.filter(id => !files.some(file => file.id === id))
+
+    // Quarantined copies will also be unlinked by utils.bulkDeleteFromDb()
+    if (files.length) {
+      failed.push(...await utils.bulkDeleteFromDb('id', files.map(file => file.id), user))
+    }
+
+    await res.json({ success: true, failed })
+  } catch (error) {
+    return apiErrorsHandler(error, req, res, next)
+  }
+}
+
+module.exports = self
@@ -0,0 +1,227 @@
+const { promisify } = require('util')
+const contentDisposition = require('content-disposition')
+const express = require('express')
+const fs = require('fs')
+const path = require('path')
+const stream = require('stream')
+const paths = require('./pathsController')
+const config = require('./../config')
+const db = require('knex')(config.database)
+
+const drivers = {
+  local: require('./utils/storageLocal'),
+  s3: require('./utils/storageS3')
+}
+
+const options = config.storage || {}
+
+const self = {
+  driver: drivers[options.driver || 'local'],
+  // When using local driver, the local folders (uploads, thumbs, zips) are the actual storage,
+  // otherwise they are only used to process files before they get stored by the driver
+  isLocal: !options.driver || options.driver === 'local',
+  serveMode: options.serveMode === 'proxy' ? 'proxy' : 'redirect'
+}
+
+if (!self.driver) {
+  throw new Error(`Unknown storage driver: ${options.driver}`)
+}
+
+const pipeline = promisify(stream.pipeline)
+
+const contentTypes = config.overrideContentTypes && Object.keys(config.overrideContentTypes)
+
+// Response headers of the driver that will be passed through when proxying files
+const proxiedHeaders = [
+  'accept-ranges',
+  'content-length',
+  'content-range',
+  'content-type',
+  'etag',
+  'last-modified'
+]
+
+self.contentType = name => {
+  const extname = path.extname(name).substring(1).toLowerCase()
+  if (contentTypes) {
+    for (const contentType of contentTypes) {
+      if (config.overrideContentTypes[contentType].includes(extname)) {
+        return contentType
+      }
+    }
+  }
+  return express.static.mime.lookup(name)
+}
+
+self.commit = async (area, name) => {
+  if (self.isLocal) return
+
+  const file = path.join(paths[area], name)
+  await self.driver.put(area, name, file, {
+    contentType: self.contentType(name)
+  })
+  await paths.unlink(file)
+}
+
+self.stat = async (area, name) => {
+  return self.driver.stat(area, name)
+}
+
+self.createReadStream = async (area, name) => {
+  return self.driver.createReadStream(area, name)
+}
+
+self.readFile = async (area, name) => {
+  const readStream = await self.driver.createReadStream(area, name)
+  return new Promise((resolve, reject) => {
+    const chunks = []
+    readStream
+      .on('error', reject)
+      .on('data', chunk => chunks.push(chunk))
+      .on('end', () => resolve(Buffer.concat(chunks)))
+  })
+}
+
+self.rename = async (area, name, newName) => {
+  if (self.driver.rename) {
+    try {
+      await self.driver.rename(area, name, newName)
+    } catch (error) {
+      // Re-throw non-ENOENT error
+      if (error.code !== 'ENOENT') throw error
+      return false
+    }
+  } else {
+    if (!await self.driver.stat(area, name)) return false
+    await self.driver.copy(area, name, newName)
+    await self.driver.remove(area, name)
+  }
+  return true
+}
+
+self.remove = async (area, name) => {
+  await self.driver.remove(area, name)
+
+  if (!self.isLocal) {
+    // Also remove local copy, in case the file had not been stored yet
+    try {
+      await paths.unlink(path.join(paths[area], name))
+    } catch (error) {
+      // Re-throw non-ENOENT error
+      if (error.code !== 'ENOENT') throw error
+    }
+  }
+}
+
+self.useLocalFile = async (area, name, fn) => {
+  const file = path.join(paths[area], name)
+  if (self.isLocal) return fn(file)
+
+  // Files that had not been stored yet can be used as-is
+  try {
+    await paths.access(file)
+    return fn(file)
+  } catch (error) {
+    // Re-throw non-ENOENT error
+    if (error.code !== 'ENOENT') throw error
+  }
+
+  const tmpfile = path.join(paths[area], `tmp-${Date.now()}-${name}`)
+  try {
+    await pipeline(await self.driver.createReadStream(area, name), fs.createWriteStream(tmpfile))
+    return await fn(tmpfile)
+  } finally {
+    await paths.unlink(tmpfile).catch(() => {})
+  }
+}
+
+self.proxy = async (req, res, area, name, opts = {}) => {
+  const headers = {}
+  for (const header of ['range', 'if-range', 'if-none-match', 'if-modified-since']) {
+    if (req.headers[header]) headers[header] = req.headers[header]
+  }
+
+  const response = await self.driver.get(area, name, { method: req.method, headers })
+  if (response.status === 404) return false
+
+  res.status(response.status)
+  for (const header of proxiedHeaders) {
+    const value = response.headers.get(header)
+    if (value) res.set(header, value)
+  }
+  if (typeof opts.setHeaders === 'function') {
+    opts.setHeaders(res)
+  }
+  if (opts.contentDisposition) {
+    res.set('Content-Disposition', opts.contentDisposition)
+  }
+
+  if (req.method === 'HEAD' || !response.body) {
+    res.end()
+  } else {
+    response.body
+      .on('error', () => res.destroy())
+      .pipe(res)
+  }
+  return true
+}
+
+self.send = async (req, res, area, name, filename) => {
+  if (self.isLocal) {
+    return res.download(path.join(paths[area], name), filename)
+  }
+
+  const disposition = contentDisposition(filename)
+  if (self.serveMode === 'proxy') {
+    return self.proxy(req, res, area, name, { contentDisposition: disposition })
+  } else {
+    return res.redirect(self.driver.getUrl(area, name, { contentDisposition: disposition }))
+  }
+}
+
+// Serve uploads and their thumbnails with node when they are not stored locally,
+// by either redirecting to the driver or proxying them
+self.serve = (opts = {}) => async (req, res, next) => {
+  if (req.method !== 'GET' && req.method !== 'HEAD') return next()
+
+  const match = req.path.match(/^\/(thumbs\/)?([^/]+)$/)
+  if (!match || match[2].startsWith('.')) return next()
+
+  const area = match[1] ? 'thumbs' : 'uploads'
+  let name
+  try {
+    name = decodeURIComponent(match[2])
+  } catch (error) {
+    return next()
+  }
+
+  try {
+    let disposition
+    if (area === 'uploads') {
+      // Uploads will always be in the database, which is cheaper to query than the driver
+      const file = await db.table('files')
+        .where('name', name)
+        .select('original')
+        .first()
+      if (!file) return next()
+
+      if (config.setContentDisposition) {
+        disposition = contentDisposition(file.original, { type: 'inline' })
+      }
+    }
+
+    if (self.serveMode === 'proxy') {
+      const served = await self.proxy(req, res, area, name, {
+        contentDisposition: disposition,
+        setHeaders: opts.setHeaders && (res => opts.setHeaders(res, path.join(paths[area], name)))
+      })
+      if (!served) return next()
+    } else {
+      res.redirect(self.driver.getUrl(area, name, { contentDisposition: disposition }))
+    }
+  } catch (error) {
+    next(error)
+  }
+}
+
+module.exports = self
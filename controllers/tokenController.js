@@ -1,9 +1,13 @@
 const randomstring = require('randomstring')
 const perms = require('./permissionController')
+const scan = require('./scanController')
+const uploads = require('./uploadController')
 const utils = require('./utilsController')
 const apiErrorsHandler = require('./handlers/apiErrorsHandler')
 const ClientError = require('./utils/ClientError')
 const ServerError = require('./utils/ServerError')
+const filePasswords = require('./utils/filePasswords')
+const webhooks = require('./utils/webhookDispatcher')
 const config = require('./../config')
 const db = require('knex')(config.database)
 
@@ -46,7 +50,7 @@ self.verify = async (req, res, next) => {
 
     const user = await db.table('users')
       .where('token', token)
-      .select('username', 'permission')
+      .select('id', 'username', 'permission', 'quotasize', 'quotacount')
       .first()
 
     if (!user) throw new ClientError('Invalid token.', { statusCode: 403 })
@@ -57,6 +61,20 @@ self.verify = async (req, res, next) => {
       permissions: perms.mapPermissions(user)
     }
 
+    const quota = await utils.getQuotaInfo(user)
+    if (quota) obj.quota = quota
+
+    if (webhooks.isPermitted(user)) obj.webhooks = true
+    if (filePasswords.enabled) obj.filePasswords = true
+    if (scan.async) obj.quarantine = true
+
+    const maxDownloads = uploads.getMaxDownloads()
+    if (maxDownloads) obj.maxDownloads = maxDownloads
+
+    // Upload ages that the user may change their uploads' expiry dates into
+    const ages = uploads.getUploadLimits(user).temporaryUploadAges
+    if (Array.isArray(ages) && ages.length) obj.temporaryUploadAges = ages
+
     if (utils.clientVersion) {
       obj.version = utils.clientVersion
     }
@@ -1,17 +1,28 @@
 const blake3 = require('blake3')
+const contentDisposition = require('content-disposition')
+const express = require('express')
 const fetch = require('node-fetch')
 const fs = require('fs')
 const multer = require('multer')
 const path = require('path')
 const randomstring = require('randomstring')
 const searchQuery = require('search-query-parser')
+const bans = require('./banController')
 const paths = require('./pathsController')
 const perms = require('./permissionController')
+const scan = require('./scanController')
+const storage = require('./storageController')
 const utils = require('./utilsController')
 const apiErrorsHandler = require('./handlers/apiErrorsHandler.js')
+const archiveInspector = require('./utils/archiveInspector')
 const ClientError = require('./utils/ClientError')
+const filePasswords = require('./utils/filePasswords')
+const magicBytes = require('./utils/magicBytes')
 const multerStorage = require('./utils/multerStorage')
+const plugins = require('./utils/pluginManager')
 const ServerError = require('./utils/ServerError')
+const urlGuard = require('./utils/urlGuard')
+const webhooks = require('./utils/webhookDispatcher')
 const config = require('./../config')
 const logger = require('./../logger')
 const db = require('knex')(config.database)
@@ -25,10 +36,14 @@ const fileIdentifierLengthChangeable = !config.uploads.fileIdentifierLength.forc
   typeof config.uploads.fileIdentifierLength.min === 'number' &&
   typeof config.uploads.fileIdentifierLength.max === 'number'
 
-const maxSize = parseInt(config.uploads.maxSize)
-const maxSizeBytes = maxSize * 1e6
-const urlMaxSizeBytes = parseInt(config.uploads.urlMaxSize) * 1e6
+// User-chosen identifiers for uploads
+const vanityIdentifiers = config.uploads.vanityIdentifiers || {}
+const vanityIdentifiersReserved = [
+  ...utils.reservedIdentifiers,
+  ...(Array.isArray(vanityIdentifiers.reserved) ? vanityIdentifiers.reserved : [])
+].map(identifier => identifier.toLowerCase())
 
+// Fallback value when not overridden by permission groups' upload limits
 const maxFilesPerUpload = 20
 
 const chunkedUploads = config.uploads.chunkSize &&
@@ -36,8 +51,8 @@ const chunkedUploads = config.uploads.chunkSize &&
   config.uploads.chunkSize.default
 const chunkedUploadsTimeout = config.uploads.chunkSize.timeout || 1800000
 const chunksData = {}
-// Hard-coded min chunk size of 1 MB (e.g. 50 MB = max 50 chunks)
-const maxChunksCount = maxSize
+// Sidecar file in each UUID dir that holds the session state of the chunked upload
+const chunksSessionFilename = 'session.json'
 // Use fs.copyFile() instead of fs.rename() if chunks dir is NOT inside uploads dir
 const chunksCopyFile = !paths.chunks.startsWith(paths.uploads)
 
@@ -47,6 +62,55 @@ const urlExtensionsFilter = Array.isArray(config.uploads.urlExtensionsFilter) &&
   config.uploads.urlExtensionsFilter.length
 const temporaryUploads = Array.isArray(config.uploads.temporaryUploadAges) &&
   config.uploads.temporaryUploadAges.length
+const detectTypes = config.uploads.detectTypes &&
+  config.uploads.detectTypes.enabled
+const transcodeImages = config.uploads.transcodeImages
+const transcodeImagesExtensions = transcodeImages && Array.isArray(transcodeImages.extensions)
+  ? transcodeImages.extensions.map(extname => extname.toLowerCase())
+  : []
+const inspectArchives = config.uploads.inspectArchives && config.uploads.inspectArchives.enabled
+  ? {
+      maxEntries: config.uploads.inspectArchives.maxEntries || 0,
+      maxSize: (parseInt(config.uploads.inspectArchives.maxSize) * 1e6) || 0
+    }
+  : null
+
+const clientEncryption = Boolean(config.uploads.clientEncryption &&
+  config.uploads.clientEncryption.enabled)
+const clientEncryptionMaxSize = clientEncryption &&
+  (parseFloat(config.uploads.clientEncryption.maxSize) || 100)
+const clientEncryptionMaxSizeBytes = clientEncryptionMaxSize * 1e6
+// Encrypted uploads must start with the magic bytes of src/js/misc/encryption.js,
+// and will be stored under a neutral extension, so that they will only ever be served as binary data
+const encryptedMagic = Buffer.from('LSE1')
+const encryptedExtname = '.bin'
+const textViewerExtensions = config.uploads.textViewer && config.uploads.textViewer.enabled &&
+  Array.isArray(config.uploads.textViewer.extensions)
+  ? config.uploads.textViewer.extensions.map(extname => extname.toLowerCase())
+  : null
+
+const maxDownloads = config.uploads.maxDownloads &&
+  config.uploads.maxDownloads.enabled &&
+  (config.uploads.maxDownloads.max || 100)
+const detectTypesFilter = detectTypes &&
+  Array.isArray(config.uploads.detectTypes.filter) &&
+  config.uploads.detectTypes.filter.length
+
+// tus resumable upload protocol (https://tus.io/protocols/resumable-upload.html)
+const tusVersion = '1.0.0'
+const tusExtensions = ['creation', 'termination']
+
+// Background queue of asynchronous URL upload jobs
+const urlJobsOptions = config.uploads.urlJobs || {}
+const urlJobsConcurrency = urlJobsOptions.concurrency || 3
+const urlJobsRetention = urlJobsOptions.retention || 600000
+const urlJobsMaxPending = urlJobsOptions.maxPending || 500
+const urlJobsMaxPendingPerUser = urlJobsOptions.maxPendingPerUser || 50
+const urlJobs = new Map()
+const urlJobsQueue = []
+let urlJobsActive = 0
+// Indexed by user ID (or IP for anonymous uploads), valued by their number of unfinished jobs
+const urlJobsPending = new Map()
 
 class ChunksData {
   constructor (uuid, root) {
@@ -54,8 +118,20 @@ class ChunksData {
     this.root = root
     this.filename = 'tmp'
     this.chunks = 0
+    // Total bytes received so far
+    this.size = 0
+    this.userid = null
+    this.expiresAt = null
+    // Regular chunks are index-aware, so they may arrive out of order and/or in parallel
+    // Indexed by chunk index, valued by chunk size
+    this.received = {}
+    this.totalChunks = null
+    this.totalSize = null
+    // Only used by tus uploads, since they are strictly sequential
     this.stream = null
     this.hasher = null
+    // Only set for uploads that were created through tus endpoint
+    this.tus = null
   }
 
   onTimeout () {
@@ -70,6 +146,7 @@ class ChunksData {
 
   setTimeout (delay) {
     this.clearTimeout()
+    this.expiresAt = Date.now() + delay
     this._timeout = setTimeout(this.onTimeout.bind(this), delay)
   }
 
@@ -78,10 +155,118 @@ class ChunksData {
       clearTimeout(this._timeout)
     }
   }
+
+  // Prepare tmp file to receive data.
+  // For tus uploads, this will also open write stream and hasher,
+  // rebuilding hasher state from the partial file if the session was restored after a restart.
+  async open () {
+    if (this.opened) return
+    if (this._opening) return this._opening
+
+    this._opening = (async () => {
+      const tmpfile = path.join(this.root, this.filename)
+
+      if (!this.tus) {
+        // Chunks will be written at their own byte offsets, so only make sure the file exists
+        await paths.writeFile(tmpfile, '', { flag: 'a' })
+        this.opened = true
+        return
+      }
+
+      let size = 0
+      try {
+        const lstat = await paths.lstat(tmpfile)
+        size = lstat.size
+      } catch (error) {
+        // Re-throw non-ENOENT error
+        if (error.code !== 'ENOENT') throw error
+      }
+
+      if (size > this.size) {
+        // Discard any leftover data that was never acknowledged
+        await paths.truncate(tmpfile, this.size)
+      } else if (size < this.size) {
+        // tus clients can simply resume from the actual offset
+        this.size = size
+      }
+
+      const hasher = blake3.createHash()
+      if (this.size > 0) {
+        await new Promise((resolve, reject) => {
+          fs.createReadStream(tmpfile, { start: 0, end: this.size - 1 })
+            .on('error', error => {
+              hasher.dispose()
+              reject(error)
+            })
+            .on('data', d => hasher.update(d))
+            .on('end', () => resolve())
+        })
+      }
+
+      this.stream = fs.createWriteStream(tmpfile, { flags: 'a' })
+      this.stream.on('error', logger.error)
+      this.hasher = hasher
+      this.opened = true
+    })()
+
+    try {
+      await this._opening
+    } finally {
+      this._opening = null
+    }
+  }
+
+  addChunk (index, size) {
+    this.received[index] = size
+    this.recount()
+  }
+
+  removeChunk (index) {
+    delete this.received[index]
+    this.recount()
+  }
+
+  recount () {
+    this.chunks = Object.keys(this.received).length
+    this.size = Object.values(this.received).reduce((acc, size) => acc + size, 0)
+  }
+
+  getMissingChunks () {
+    const indexes = Object.keys(this.received).map(Number)
+    // If the total chunk count was never reported, at least look for gaps
+    const total = this.totalChunks || (indexes.length ? Math.max(...indexes) + 1 : 0)
+    const missing = []
+    for (let i = 0; i < total; i++) {
+      if (this.received[i] === undefined) missing.push(i)
+    }
+    return missing
+  }
+
+  // Persist session state into a sidecar file, so that it can be restored after a restart
+  async save () {
+    const session = {
+      uuid: this.uuid,
+      userid: this.userid,
+      chunks: this.chunks,
+      size: this.size,
+      expiresAt: this.expiresAt,
+      received: this.received,
+      totalChunks: this.totalChunks,
+      totalSize: this.totalSize,
+      tus: this.tus
+        ? Object.assign({}, this.tus, { busy: undefined })
+        : null
+    }
+    await paths.writeFile(path.join(this.root, chunksSessionFilename), JSON.stringify(session))
+  }
 }
 
-const initChunks = async uuid => {
+const initChunks = async (uuid, user, size) => {
+  const userid = user ? user.id : null
   if (chunksData[uuid] === undefined) {
+    // Refuse to begin new chunked uploads that would certainly exceed user's quota
+    if (user) await self.assertQuota(user, parseInt(size) || 0, 1)
+
     const root = path.join(paths.chunks, uuid)
     try {
       await paths.access(root)
@@ -91,31 +276,39 @@ const initChunks = async uuid => {
       await paths.mkdir(root)
     }
     chunksData[uuid] = new ChunksData(uuid, root)
+    chunksData[uuid].userid = userid
+  } else if (chunksData[uuid].userid !== userid) {
+    throw new ClientError('UUID is already in use by another upload.', { statusCode: 403 })
   }
   chunksData[uuid].setTimeout(chunkedUploadsTimeout)
   return chunksData[uuid]
 }
 
-const executeMulter = multer({
-  // Guide: https://github.com/expressjs/multer#limits
-  limits: {
-    fileSize: maxSizeBytes,
-    // Maximum number of non-file fields.
-    // Dropzone.js will add 6 extra fields for chunked uploads.
-    // We don't use them for anything else.
-    fields: 6,
-    // Maximum number of file fields.
-    // Chunked uploads still need to provide ONLY 1 file field.
-    // Otherwise, only one of the files will end up being properly stored,
-    // and that will also be as a chunk.
-    files: maxFilesPerUpload
-  },
+// Compare against an optional client-supplied BLAKE3 hash of the whole file,
+// to catch data that got corrupted in transit
+const assertChecksum = (expected, hash, name) => {
+  if (expected === undefined || expected === null || expected === '') return
+  if (typeof expected !== 'string' || expected.trim().toLowerCase() !== hash) {
+    throw new ClientError(`Checksum mismatched${name ? ` for ${name}` : ''}. The file may have been corrupted during upload, please try again.`)
+  }
+}
+
+// Multer will be instantiated for each set of upload limits, since its limits are static
+const multerOptions = {
   fileFilter (req, file, cb) {
     file.extname = utils.extname(file.originalname)
     if (self.isExtensionFiltered(file.extname)) {
       return cb(new ClientError(`${file.extname ? `${file.extname.substr(1).toUpperCase()} files` : 'Files with no extension'} are not permitted.`))
     }
 
+    // Vanity identifier can only be used by one file, so refuse the rest before receiving them
+    if (req.headers.identifier) {
+      if (req._identifierUsed) {
+        return cb(new ClientError('Identifier header can only be used when uploading a single file.'))
+      }
+      req._identifierUsed = true
+    }
+
     // Re-map Dropzone keys so people can manually use the API without prepending 'dz'
     for (const key in req.body) {
       if (!/^dz/.test(key)) continue
@@ -135,12 +328,34 @@ const executeMulter = multer({
       file._isChunk = chunkedUploads && req.body.uuid !== undefined && req.body.chunkindex !== undefined
 
       if (file._isChunk) {
-        initChunks(req.body.uuid)
-          .then(chunksData => {
+        // Do not allow mixing regular chunks into tus uploads
+        if (chunksData[req.body.uuid] && chunksData[req.body.uuid].tus) {
+          return cb(new ClientError('UUID is already in use by a resumable upload.'))
+        }
+
+        // Chunks are written at their own byte offsets,
+        // which can be calculated from their index if the client does not report it
+        const index = Number(req.body.chunkindex)
+        const offset = req.body.chunkbyteoffset !== undefined
+          ? Number(req.body.chunkbyteoffset)
+          : index * Number(req.body.chunksize)
+        if (!Number.isSafeInteger(index) || index < 0 ||
+          !Number.isSafeInteger(offset) || offset < 0 || offset >= req._limits.maxSizeBytes) {
+          return cb(new ClientError('Invalid chunk index or byte offset.'))
+        } else if (index >= req._limits.maxChunksCount) {
+          return cb(new ClientError('Too many chunks.'))
+        }
+        file._chunkIndex = index
+        file._chunkOffset = offset
+
+        initChunks(req.body.uuid, req._user, req.body.totalfilesize)
+          .then(async chunksData => {
+            await chunksData.open()
             file._chunksData = chunksData
             cb(null, chunksData.root)
           })
           .catch(error => {
+            if (error instanceof ClientError) return cb(error)
             logger.error(error)
             return cb(new ServerError('Could not process the chunked upload. Try again?'))
           })
@@ -151,16 +366,69 @@ const executeMulter = multer({
 
     filename (req, file, cb) {
       if (file._isChunk) {
-        return cb(null, chunksData[req.body.uuid].filename)
+        return cb(null, file._chunksData.filename)
       } else {
-        const length = self.parseFileIdentifierLength(req.headers.filelength)
-        return self.getUniqueRandomName(length, file.extname)
-          .then(name => cb(null, name))
+        // Encrypted header has already been validated by self.upload
+        const extname = Number(req.headers.encrypted) ? encryptedExtname : file.extname
+        return self.getUniqueName(req._user, req.headers.identifier, req.headers.filelength, extname)
+          .then(name => {
+            if (req.headers.identifier) req._reservedIdentifier = String(req.headers.identifier)
+            cb(null, name)
+          })
           .catch(error => cb(error))
       }
     }
   })
-}).array('files[]')
+}
+
+const buildUploadLimits = (overrides = {}) => {
+  const maxSize = parseInt(overrides.maxSize || config.uploads.maxSize)
+  const urlMaxSize = parseInt(overrides.urlMaxSize || config.uploads.urlMaxSize) || 0
+  const limits = {
+    maxSize,
+    maxSizeBytes: maxSize * 1e6,
+    urlMaxSize,
+    urlMaxSizeBytes: urlMaxSize * 1e6,
+    maxFilesPerUpload: parseInt(overrides.maxFilesPerUpload) || maxFilesPerUpload,
+    // Can only be overridden when temporary uploads feature is enabled globally
+    temporaryUploadAges: temporaryUploads && Array.isArray(overrides.temporaryUploadAges) &&
+      overrides.temporaryUploadAges.length
+      ? overrides.temporaryUploadAges
+      : config.uploads.temporaryUploadAges,
+    // Hard-coded min chunk size of 1 MB (e.g. 50 MB = max 50 chunks)
+    maxChunksCount: maxSize
+  }
+
+  limits.executeMulter = multer(Object.assign({
+    // Guide: https://github.com/expressjs/multer#limits
+    limits: {
+      fileSize: limits.maxSizeBytes,
+      // Maximum number of non-file fields.
+      // Dropzone.js will add 6 extra fields for chunked uploads,
+      // and API users may add 1 more field for the chunk's checksum.
+      // We don't use them for anything else.
+      fields: 7,
+      // Maximum number of file fields.
+      // Chunked uploads still need to provide ONLY 1 file field.
+      // Otherwise, only one of the files will end up being properly stored,
+      // and that will also be as a chunk.
+      files: limits.maxFilesPerUpload
+    }
+  }, multerOptions)).array('files[]')
+
+  return limits
+}
+
+// Global upload limits, which may be overridden per permission group
+const uploadLimits = {
+  default: buildUploadLimits()
+}
+if (config.uploads.groupLimits) {
+  for (const group of Object.keys(config.uploads.groupLimits)) {
+    if (perms.permissions[group] === undefined) continue
+    uploadLimits[group] = buildUploadLimits(config.uploads.groupLimits[group])
+  }
+}
 
 self.isExtensionFiltered = extname => {
   // If empty extension needs to be filtered
@@ -176,6 +444,64 @@ self.isExtensionFiltered = extname => {
   return false
 }
 
+self.isUrlExtensionFiltered = extname => {
+  if (urlExtensionsFilter && ['blacklist', 'whitelist'].includes(config.uploads.urlExtensionsFilterMode)) {
+    const match = config.uploads.urlExtensionsFilter.includes(extname.toLowerCase())
+    const whitelist = config.uploads.urlExtensionsFilterMode === 'whitelist'
+    return (!whitelist && match) || (whitelist && !match)
+  }
+  return self.isExtensionFiltered(extname)
+}
+
+const urlExtensionError = extname => {
+  return new ClientError(`${extname ? `${extname.substr(1).toUpperCase()} files` : 'Files with no extension'} are not permitted.`)
+}
+
+self.resolveUrlFilename = headers => {
+  let filename = null
+  let extname = ''
+
+  // Prefer file name from Content-Disposition header
+  const disposition = headers.get('content-disposition')
+  if (disposition) {
+    try {
+      filename = path.basename(contentDisposition.parse(disposition).parameters.filename || '') || null
+      if (filename) extname = utils.extname(filename)
+    } catch (error) {
+      // Ignore malformed header
+    }
+  }
+
+  // Otherwise map Content-Type header into an extension, unless it is just generic binary data
+  if (!extname) {
+    const type = (headers.get('content-type') || '').split(';')[0].trim().toLowerCase()
+    if (type && type !== 'application/octet-stream') {
+      const extension = express.static.mime.extension(type)
+      if (extension) {
+        extname = `.${extension}`
+        if (filename) filename += extname
+      }
+    }
+  }
+
+  return { original: filename, extname }
+}
+
+self.isTypeFiltered = type => {
+  if (!detectTypesFilter) return false
+
+  // Types that could not be detected will be treated as generic binary data
+  const mime = (type || 'application/octet-stream').toLowerCase()
+  const match = config.uploads.detectTypes.filter.some(pattern => {
+    pattern = pattern.toLowerCase()
+    return pattern.endsWith('/*')
+      ? mime.startsWith(pattern.slice(0, -1))
+      : mime === pattern
+  })
+  const whitelist = config.uploads.detectTypes.filterMode === 'whitelist'
+  return (!whitelist && match) || (whitelist && !match)
+}
+
 self.parseFileIdentifierLength = fileLength => {
   if (!config.uploads.fileIdentifierLength) return fileIdentifierLengthFallback
 
@@ -190,41 +516,70 @@ self.parseFileIdentifierLength = fileLength => {
   }
 }
 
+self.parseVanityIdentifier = (identifier, user) => {
+  if (identifier === undefined || identifier === null || identifier === '') return null
+
+  if (!vanityIdentifiers.group || !user || !perms.is(user, vanityIdentifiers.group)) {
+    throw new ClientError('Your usergroup is not permitted to choose identifiers for uploads.', { statusCode: 403 })
+  }
+
+  identifier = String(identifier)
+  const min = vanityIdentifiers.min || 1
+  const max = vanityIdentifiers.max || fileIdentifierLengthFallback
+  if (identifier.length < min || identifier.length > max) {
+    throw new ClientError(`Identifiers must be ${min} to ${max} characters long.`)
+  } else if (!/^[a-zA-Z0-9_-]+$/.test(identifier)) {
+    throw new ClientError('Identifiers may only contain letters, numbers, dashes and underscores.')
+  } else if (vanityIdentifiersReserved.includes(identifier.toLowerCase())) {
+    throw new ClientError(`Identifier ${identifier} is reserved.`)
+  }
+
+  return identifier
+}
+
+// Reserve the identifier for a new upload, if it is not already in use
+const reserveIdentifier = async (identifier, name) => {
+  if (config.uploads.cacheFileIdentifiers) {
+    if (utils.idSet.has(identifier)) return false
+    utils.idSet.add(identifier)
+    // logger.log(`Added ${identifier} to identifiers cache`)
+  } else if (config.uploads.queryDbForFileCollisions) {
+    if (self.onHold.has(identifier)) return false
+
+    // Put token on-hold (wait for it to be inserted to DB)
+    self.onHold.add(identifier)
+
+    // Identifiers may contain underscores, which are wildcards in LIKE patterns,
+    // and LIKE is also case-insensitive in SQLite, so only look for exact matches in the results
+    const files = await db.table('files')
+      .whereRaw('?? like ?', ['name', `${identifier}.%`])
+      .select('name')
+    if (files.some(file => file.name.split('.')[0] === identifier)) {
+      self.onHold.delete(identifier)
+      return false
+    }
+  } else if (await storage.stat('uploads', name)) {
+    return false
+  }
+  return true
+}
+
+// Release the identifier of an upload that will not be stored after all
+const releaseIdentifier = identifier => {
+  if (config.uploads.cacheFileIdentifiers) {
+    utils.idSet.delete(identifier)
+  } else if (config.uploads.queryDbForFileCollisions) {
+    self.onHold.delete(identifier)
+  }
+}
+
 self.getUniqueRandomName = async (length, extension) => {
   for (let i = 0; i < utils.idMaxTries; i++) {
     const identifier = randomstring.generate(length)
     const name = identifier + extension
-    if (config.uploads.cacheFileIdentifiers) {
-      if (utils.idSet.has(identifier)) {
-        logger.log(`Identifier ${identifier} is already in use (${i + 1}/${utils.idMaxTries}).`)
-        continue
-      }
-      utils.idSet.add(identifier)
-      // logger.log(`Added ${identifier} to identifiers cache`)
-    } else if (config.uploads.queryDbForFileCollisions) {
-      if (self.onHold.has(identifier)) continue
-
-      // Put token on-hold (wait for it to be inserted to DB)
-      self.onHold.add(identifier)
-
-      const file = await db.table('files')
-        .whereRaw('?? like ?', ['name', `${identifier}.%`])
-        .select('id')
-        .first()
-      if (file) {
-        self.onHold.delete(identifier)
-        logger.log(`Identifier ${identifier} is already in use (${i + 1}/${utils.idMaxTries}).`)
-        continue
-      }
-    } else {
-      try {
-        await paths.access(path.join(paths.uploads, name))
-        logger.log(`${name} is already in use (${i + 1}/${utils.idMaxTries}).`)
-        continue
-      } catch (error) {
-        // Re-throw non-ENOENT error
-        if (error & error.code !== 'ENOENT') throw error
-      }
+    if (!await reserveIdentifier(identifier, name)) {
+      logger.log(`Identifier ${identifier} is already in use (${i + 1}/${utils.idMaxTries}).`)
+      continue
     }
     return name
   }
@@ -232,19 +587,80 @@ self.getUniqueRandomName = async (length, extension) => {
   throw new ServerError('Failed to allocate a unique name for the upload. Try again?')
 }
 
-self.parseUploadAge = age => {
+self.getUniqueName = async (user, identifier, fileLength, extension) => {
+  identifier = self.parseVanityIdentifier(identifier, user)
+  if (!identifier) {
+    return self.getUniqueRandomName(self.parseFileIdentifierLength(fileLength), extension)
+  }
+
+  // Unlike random identifiers, there is no point in retrying vanity identifiers
+  const name = identifier + extension
+  if (!await reserveIdentifier(identifier, name)) {
+    throw new ClientError(`Identifier ${identifier} is already in use.`, { statusCode: 409 })
+  }
+  return name
+}
+
+self.getUploadLimits = user => {
+  if (user) {
+    const group = perms.highestGroup(user, Object.keys(uploadLimits))
+    if (group) return uploadLimits[group]
+  }
+  return uploadLimits.default
+}
+
+self.parseUploadAge = (age, limits = uploadLimits.default) => {
   if (age === undefined || age === null) {
-    return config.uploads.temporaryUploadAges[0]
+    return limits.temporaryUploadAges[0]
   }
 
   const parsed = parseFloat(age)
-  if (config.uploads.temporaryUploadAges.includes(parsed)) {
+  if (limits.temporaryUploadAges.includes(parsed)) {
     return parsed
   } else {
     return null
   }
 }
 
+// Max value of download limits, or false if disabled
+self.getMaxDownloads = () => maxDownloads || false
+
+self.parseMaxDownloads = value => {
+  if (value === undefined || value === null || value === '') return null
+
+  if (!maxDownloads) {
+    throw new ClientError('Download limits are disabled.', { statusCode: 403 })
+  }
+
+  const parsed = Number(value)
+  if (!Number.isInteger(parsed) || parsed < 0 || parsed > maxDownloads) {
+    throw new ClientError(`Max downloads must be a whole number from 0 to ${maxDownloads}.`)
+  }
+
+  // 0 means unlimited downloads
+  return parsed || null
+}
+
+self.isClientEncryptionEnabled = () => clientEncryption
+
+self.getClientEncryptionMaxSize = () => clientEncryptionMaxSize
+
+// Whether the upload may be rendered by the text viewer (routes/text.js)
+self.isTextViewable = name => {
+  return Boolean(textViewerExtensions && textViewerExtensions.includes(utils.extname(name, true)))
+}
+
+self.parseEncrypted = value => {
+  if (value === undefined || value === null || value === '') return false
+
+  const encrypted = Boolean(Number(value))
+  if (encrypted && !clientEncryption) {
+    throw new ClientError('Encrypted uploads are disabled.', { statusCode: 403 })
+  }
+
+  return encrypted
+}
+
 self.parseStripTags = stripTags => {
   if (!config.uploads.stripTags) return false
 
@@ -255,6 +671,41 @@ self.parseStripTags = stripTags => {
   return Boolean(parseInt(stripTags))
 }
 
+// Transcode images options, which may be overridden by the user's permission group
+self.getTranscodeOptions = user => {
+  if (!transcodeImages) return false
+
+  const groups = transcodeImages.groups || {}
+  const group = user && perms.highestGroup(user, Object.keys(groups))
+  const options = Object.assign({
+    default: transcodeImages.default,
+    force: transcodeImages.force
+  }, group ? groups[group] : {})
+
+  return {
+    default: options.default || false,
+    force: Boolean(options.force),
+    formats: Array.isArray(transcodeImages.formats) ? transcodeImages.formats : []
+  }
+}
+
+self.parseTranscodeImages = (transcode, user) => {
+  const options = self.getTranscodeOptions(user)
+  if (!options) return null
+
+  if (options.force || transcode === undefined || transcode === null) {
+    return options.default || null
+  }
+
+  transcode = String(transcode).toLowerCase()
+  if (transcode === '0') return null
+
+  if (!options.formats.includes(transcode)) {
+    throw new ClientError(`Transcoding images into ${transcode.toUpperCase()} is not supported.`)
+  }
+  return transcode
+}
+
 self.upload = async (req, res, next) => {
   try {
     let user
@@ -273,14 +724,31 @@ self.upload = async (req, res, next) => {
     let albumid = parseInt(req.headers.albumid || req.params.albumid)
     if (isNaN(albumid)) albumid = null
 
+    const limits = self.getUploadLimits(user)
+
     let age = null
     if (temporaryUploads) {
-      age = self.parseUploadAge(req.headers.age)
-      if (!age && !config.uploads.temporaryUploadAges.includes(0)) {
+      age = self.parseUploadAge(req.headers.age, limits)
+      if (!age && !limits.temporaryUploadAges.includes(0)) {
         throw new ClientError('Permanent uploads are not permitted.', { statusCode: 403 })
       }
     }
 
+    // Validate vanity identifier, transcode format and password early, before receiving any files
+    self.parseVanityIdentifier(req.headers.identifier, user)
+    if (req.headers.identifier && Array.isArray(req.body.urls) && req.body.urls.length > 1) {
+      throw new ClientError('Identifier header can only be used when uploading a single URL.')
+    }
+    self.parseTranscodeImages(req.headers.transcode, user)
+    filePasswords.parse(req.headers.password)
+    self.parseMaxDownloads(req.headers.maxdownloads)
+    const encrypted = self.parseEncrypted(req.headers.encrypted)
+    if (encrypted && req.body.urls) {
+      throw new ClientError('Upload by URLs cannot be encrypted.')
+    }
+
+    await plugins.run('preAccept', { req, user, albumid, age })
+
     const func = req.body.urls ? self.actuallyUploadUrls : self.actuallyUploadFiles
     await func(req, res, user, albumid, age)
   } catch (error) {
@@ -289,11 +757,21 @@ self.upload = async (req, res, next) => {
 }
 
 self.actuallyUploadFiles = async (req, res, user, albumid, age) => {
+  // Chunked uploads need to know the uploader to assert ownership of the UUIDs,
+  // and their upload limits to validate the chunks
+  req._user = user
+  req._limits = self.getUploadLimits(user)
+
   const error = await new Promise(resolve => {
-    return executeMulter(req, res, err => resolve(err))
+    return req._limits.executeMulter(req, res, err => resolve(err))
   })
 
   if (error) {
+    // Multer will have unlinked the files that were already received, so their identifiers can be used again
+    if (req._reservedIdentifier) {
+      releaseIdentifier(req._reservedIdentifier)
+    }
+
     const suppress = [
       'LIMIT_FILE_SIZE',
       'LIMIT_UNEXPECTED_FILE'
@@ -312,15 +790,33 @@ self.actuallyUploadFiles = async (req, res, user, albumid, age) => {
   // If chunked uploads is enabled and the uploaded file is a chunk, then just say that it was a success
   const uuid = req.body.uuid
   if (chunkedUploads && chunksData[uuid] !== undefined) {
-    req.files.forEach(file => {
-      chunksData[uuid].chunks++
-    })
+    const data = chunksData[uuid]
+    for (const file of req.files) {
+      // Optional per-chunk checksum, if the client wants the chunk to be verified
+      if (typeof req.body.chunkhash === 'string' && req.body.chunkhash.toLowerCase() !== file.hash) {
+        // Its byte range may have overwritten a previously received copy of the same chunk
+        data.removeChunk(file._chunkIndex)
+        await data.save().catch(logger.error)
+        throw new ClientError(`Chunk ${file._chunkIndex} checksum mismatched. Please re-upload the chunk.`)
+      }
+      data.addChunk(file._chunkIndex, file.size)
+    }
+
+    const totalChunks = parseInt(req.body.totalchunkcount)
+    if (!isNaN(totalChunks)) data.totalChunks = totalChunks
+    const totalSize = parseInt(req.body.totalfilesize)
+    if (!isNaN(totalSize)) data.totalSize = totalSize
+
+    // Continue even when encountering errors
+    await data.save().catch(logger.error)
     return res.json({ success: true })
   }
 
+  const encrypted = self.parseEncrypted(req.headers.encrypted)
   const infoMap = req.files.map(file => {
     file.albumid = albumid
     file.age = age
+    file.encrypted = encrypted
     return {
       path: path.join(paths.uploads, file.filename),
       data: file
@@ -337,12 +833,58 @@ self.actuallyUploadFiles = async (req, res, user, albumid, age) => {
     throw new ClientError('Empty files are not allowed.')
   }
 
-  if (utils.clamscan.instance) {
+  if (encrypted && infoMap.some(file => file.data.size > clientEncryptionMaxSizeBytes)) {
+    // Unlink all files when at least one encrypted file is too large
+    // Should continue even when encountering errors
+    await Promise.all(infoMap.map(info =>
+      utils.unlinkFile(info.data.filename).catch(logger.error)
+    ))
+
+    throw new ClientError(`Encrypted file too large. Maximum file size for encrypted uploads is ${clientEncryptionMaxSize} MB.`, { statusCode: 413 })
+  }
+
+  if (req.headers.hash !== undefined) {
+    try {
+      if (infoMap.length > 1) {
+        throw new ClientError('Checksum header can only be used when uploading a single file.')
+      }
+      assertChecksum(req.headers.hash, infoMap[0].data.hash, infoMap[0].data.originalname)
+    } catch (error) {
+      // Unlink all files when the checksum could not be verified
+      // Should continue even when encountering errors
+      await Promise.all(infoMap.map(info =>
+        utils.unlinkFile(info.data.filename).catch(logger.error)
+      ))
+
+      // Re-throw error
+      throw error
+    }
+  }
+
+  if (clientEncryption) {
+    const encryptedResult = await self.verifyEncryptedFiles(req, user, infoMap)
+    if (encryptedResult) throw new ClientError(encryptedResult)
+  }
+
+  await self.runPostWriteHooks(req, user, infoMap)
+
+  if (detectTypes) {
+    const typeResult = await self.detectFileTypes(req, user, infoMap)
+    if (typeResult) throw new ClientError(typeResult)
+  }
+
+  if (inspectArchives) {
+    const archiveResult = await self.inspectArchives(req, user, infoMap)
+    if (archiveResult) throw new ClientError(archiveResult)
+  }
+
+  if (utils.clamscan.instance && !scan.async) {
     const scanResult = await self.scanFiles(req, user, infoMap)
     if (scanResult) throw new ClientError(scanResult)
   }
 
   await self.stripTags(req, infoMap)
+  await self.transcodeImages(req, user, infoMap)
 
   const result = await self.storeFilesToDb(req, res, user, infoMap)
   return self.sendUploadResponse(req, res, user, result)
@@ -358,153 +900,372 @@ self.actuallyUploadUrls = async (req, res, user, albumid, age) => {
     throw new ClientError('Missing "urls" property (array).')
   }
 
-  if (urls.length > maxFilesPerUpload) {
-    throw new ClientError(`Maximum ${maxFilesPerUpload} URLs at a time.`)
+  const limits = self.getUploadLimits(user)
+  if (urls.length > limits.maxFilesPerUpload) {
+    throw new ClientError(`Maximum ${limits.maxFilesPerUpload} URLs at a time.`)
   }
 
-  const downloaded = []
+  // Respond with job IDs immediately, and let the URLs be downloaded in background
+  if (req.body.async === true) {
+    const jobs = self.queueUrlJobs(req, user, urls, limits, albumid, age)
+    return res.json({
+      success: true,
+      jobs: jobs.map(formatUrlJob)
+    })
+  }
+
+  // Wait for all downloads to settle, so that none of them will be left behind on errors
   const infoMap = []
+  const errors = []
+  await Promise.all(urls.map(url =>
+    self.downloadUrl(req, user, url, limits, albumid, age)
+      .then(info => infoMap.push(info))
+      .catch(error => errors.push(error))
+  ))
+
   try {
-    await Promise.all(urls.map(async url => {
-      const original = path.basename(url).split(/[?#]/)[0]
-      const extname = utils.extname(original)
-
-      // Extensions filter
-      let filtered = false
-      if (urlExtensionsFilter && ['blacklist', 'whitelist'].includes(config.uploads.urlExtensionsFilterMode)) {
-        const match = config.uploads.urlExtensionsFilter.includes(extname.toLowerCase())
-        const whitelist = config.uploads.urlExtensionsFilterMode === 'whitelist'
-        filtered = ((!whitelist && match) || (whitelist && !match))
-      } else {
-        filtered = self.isExtensionFiltered(extname)
-      }
+    if (errors.length) {
+      // Unlink all downloaded files when at least one URL threw an error
+      // Should continue even when encountering errors
+      await Promise.all(infoMap.map(info =>
+        utils.unlinkFile(info.data.filename).catch(logger.error)
+      ))
+      throw errors[0]
+    }
 
-      if (filtered) {
-        throw new ClientError(`${extname ? `${extname.substr(1).toUpperCase()} files` : 'Files with no extension'} are not permitted.`)
-      }
+    const result = await self.storeUrlDownloads(req, res, user, infoMap)
+    await self.sendUploadResponse(req, res, user, result)
+  } catch (error) {
+    throw suppressUrlError(error)
+  }
+}
 
-      if (config.uploads.urlProxy) {
-        url = config.uploads.urlProxy
-          .replace(/{url}/g, encodeURIComponent(url))
-          .replace(/{url-noprot}/g, encodeURIComponent(url.replace(/^https?:\/\//, '')))
-      }
+const suppressUrlError = error => {
+  const errorString = error.toString()
+  const suppress = [
+    / over limit:/
+  ]
+  if (suppress.some(t => t.test(errorString))) {
+    return new ClientError(errorString)
+  } else {
+    return error
+  }
+}
 
-      const length = self.parseFileIdentifierLength(req.headers.filelength)
-      const name = await self.getUniqueRandomName(length, extname)
+self.downloadUrl = async (req, user, url, limits, albumid, age, progress) => {
+  // Validate scheme and host before anything else
+  const parsed = urlGuard.assertUrl(url)
 
-      const destination = path.join(paths.uploads, name)
-      const outStream = fs.createWriteStream(destination)
-      const hash = blake3.createHash()
-
-      // Push to array early, so regardless of its progress it will be deleted on errors
-      downloaded.push(destination)
-
-      // Limit max response body size with maximum allowed size
-      const fetchFile = await fetch(url, { size: urlMaxSizeBytes })
-        .then(res => new Promise((resolve, reject) => {
-          if (res.status === 200) {
-            const onerror = error => {
-              hash.dispose()
-              reject(error)
-            }
-            outStream.on('error', onerror)
-            res.body.on('error', onerror)
-            res.body.on('data', d => hash.update(d))
+  let original = path.basename(parsed.pathname)
+  try {
+    original = decodeURIComponent(original)
+  } catch (error) {
+    // Keep as-is if not a valid URI component
+  }
+  let extname = utils.extname(original)
 
-            res.body.pipe(outStream)
-            outStream.on('finish', () => resolve(res))
-          } else {
-            resolve(res)
-          }
-        }))
+  // If the URL has an extension, filter it before downloading the file
+  if (extname && self.isUrlExtensionFiltered(extname)) {
+    throw urlExtensionError(extname)
+  }
 
-      if (fetchFile.status !== 200) {
-        throw new ServerError(`${fetchFile.status} ${fetchFile.statusText}`)
-      }
+  // URL proxy is trusted, so only guard the requests when not using it
+  let fetchUrl = urlGuard.fetch
+  if (config.uploads.urlProxy) {
+    url = config.uploads.urlProxy
+      .replace(/{url}/g, encodeURIComponent(url))
+      .replace(/{url-noprot}/g, encodeURIComponent(url.replace(/^https?:\/\//, '')))
+    fetchUrl = fetch
+  }
 
-      infoMap.push({
-        path: destination,
-        data: {
-          filename: name,
-          originalname: original,
-          extname,
-          mimetype: fetchFile.headers.get('content-type').split(';')[0] || '',
-          size: outStream.bytesWritten,
-          hash: hash.digest('hex'),
-          albumid,
-          age
-        }
-      })
-    }))
+  // Limit max response body size with maximum allowed size
+  const fetchFile = await fetchUrl(url, { size: limits.urlMaxSizeBytes })
+  if (fetchFile.status !== 200) {
+    fetchFile.body.destroy()
+    throw new ServerError(`${fetchFile.status} ${fetchFile.statusText}`)
+  }
 
-    // If no errors encountered, clear cache of downloaded files
-    downloaded.length = 0
+  const mimetype = (fetchFile.headers.get('content-type') || '').split(';')[0].trim()
 
-    if (utils.clamscan.instance) {
-      const scanResult = await self.scanFiles(req, user, infoMap)
-      if (scanResult) throw new ClientError(scanResult)
+  // Otherwise resolve it from response headers, then filter it
+  if (!extname) {
+    const resolved = self.resolveUrlFilename(fetchFile.headers)
+    if (resolved.original) {
+      original = resolved.original
+    } else if (resolved.extname && original) {
+      original += resolved.extname
     }
+    extname = resolved.extname
 
-    const result = await self.storeFilesToDb(req, res, user, infoMap)
-    await self.sendUploadResponse(req, res, user, result)
-  } catch (error) {
-    // Unlink all downloaded files when at least one file threw an error from the for-loop
-    // Should continue even when encountering errors
-    if (downloaded.length) {
-      await Promise.all(downloaded.map(file =>
-        utils.unlinkFile(file).catch(logger.error)
-      ))
+    if (self.isUrlExtensionFiltered(extname)) {
+      fetchFile.body.destroy()
+      throw urlExtensionError(extname)
     }
+  }
 
-    const errorString = error.toString()
-    const suppress = [
-      / over limit:/
-    ]
-    if (suppress.some(t => t.test(errorString))) {
-      throw new ClientError(errorString)
-    } else {
-      throw error
-    }
+  if (progress) {
+    const contentLength = parseInt(fetchFile.headers.get('content-length'))
+    progress.size = isNaN(contentLength) ? null : contentLength
   }
-}
 
-self.finishChunks = async (req, res, next) => {
-  try {
-    if (!chunkedUploads) {
-      throw new ClientError('Chunked upload is disabled.', { statusCode: 403 })
-    }
+  const name = await self.getUniqueName(user, req.headers.identifier, req.headers.filelength, extname)
 
-    let user
-    if (config.private === true) {
-      user = await utils.authorize(req)
-      if (!user) return
-    } else if (req.headers.token) {
-      user = await utils.assertUser(req.headers.token)
-    }
+  const destination = path.join(paths.uploads, name)
+  const outStream = fs.createWriteStream(destination)
+  const hash = blake3.createHash()
 
-    await self.actuallyFinishChunks(req, res, user)
+  try {
+    await new Promise((resolve, reject) => {
+      const onerror = error => {
+        hash.dispose()
+        reject(error)
+      }
+      outStream.on('error', onerror)
+      fetchFile.body.on('error', onerror)
+      fetchFile.body.on('data', d => {
+        hash.update(d)
+        if (progress) progress.bytes += d.length
+      })
+
+      fetchFile.body.pipe(outStream)
+      outStream.on('finish', () => resolve())
+    })
   } catch (error) {
-    return apiErrorsHandler(error, req, res, next)
+    // Unlink partially downloaded file
+    await utils.unlinkFile(name).catch(logger.error)
+    throw error
+  }
+
+  return {
+    path: destination,
+    data: {
+      filename: name,
+      originalname: original || name,
+      extname,
+      mimetype,
+      size: outStream.bytesWritten,
+      hash: hash.digest('hex'),
+      albumid,
+      age
+    }
   }
 }
 
-self.actuallyFinishChunks = async (req, res, user) => {
-  const check = file => typeof file.uuid !== 'string' ||
-    !chunksData[file.uuid] ||
-    chunksData[file.uuid].chunks < 2
+self.storeUrlDownloads = async (req, res, user, infoMap) => {
+  await self.runPostWriteHooks(req, user, infoMap)
 
-  const files = req.body.files
-  if (!Array.isArray(files) || !files.length || files.some(check)) {
-    throw new ClientError('Bad request.')
+  if (detectTypes) {
+    const typeResult = await self.detectFileTypes(req, user, infoMap)
+    if (typeResult) throw new ClientError(typeResult)
   }
 
-  const infoMap = []
-  try {
-    await Promise.all(files.map(async file => {
-      // Close stream
-      chunksData[file.uuid].stream.end()
+  if (inspectArchives) {
+    const archiveResult = await self.inspectArchives(req, user, infoMap)
+    if (archiveResult) throw new ClientError(archiveResult)
+  }
 
-      if (chunksData[file.uuid].chunks > maxChunksCount) {
+  if (utils.clamscan.instance && !scan.async) {
+    const scanResult = await self.scanFiles(req, user, infoMap)
+    if (scanResult) throw new ClientError(scanResult)
+  }
+
+  return self.storeFilesToDb(req, res, user, infoMap)
+}
+
+const formatUrlJob = job => {
+  return {
+    id: job.id,
+    url: job.url,
+    status: job.status,
+    bytes: job.bytes,
+    size: job.size,
+    file: job.file,
+    description: job.description
+  }
+}
+
+const drainUrlJobs = () => {
+  while (urlJobsQueue.length && urlJobsActive < urlJobsConcurrency) {
+    urlJobsActive++
+    urlJobsQueue.shift()().then(() => {
+      urlJobsActive--
+      drainUrlJobs()
+    })
+  }
+}
+
+const getUrlJobsOwner = (req, user) => user ? `user:${user.id}` : `ip:${req.ip}`
+
+self.queueUrlJobs = (req, user, urls, limits, albumid, age) => {
+  // Unfinished jobs are either still queued, or being downloaded
+  if (urlJobsQueue.length + urlJobsActive + urls.length > urlJobsMaxPending) {
+    throw new ClientError('Too many URL uploads are waiting in the queue. Try again later.', { statusCode: 429 })
+  }
+
+  const owner = getUrlJobsOwner(req, user)
+  const pending = urlJobsPending.get(owner) || 0
+  if (pending + urls.length > urlJobsMaxPendingPerUser) {
+    throw new ClientError(`You can only have ${urlJobsMaxPendingPerUser} unfinished URL uploads at a time (${pending} currently).`, { statusCode: 429 })
+  }
+  urlJobsPending.set(owner, pending + urls.length)
+
+  const jobs = urls.map(url => {
+    const job = {
+      id: randomstring.generate(32),
+      url,
+      userid: user ? user.id : null,
+      status: 'queued',
+      bytes: 0,
+      size: null,
+      file: null,
+      description: null
+    }
+    urlJobs.set(job.id, job)
+    urlJobsQueue.push(() => self.runUrlJob(req, user, limits, albumid, age, job))
+    return job
+  })
+
+  drainUrlJobs()
+  return jobs
+}
+
+// This must never throw, since nothing will be waiting for it
+self.runUrlJob = async (req, user, limits, albumid, age, job) => {
+  try {
+    job.status = 'downloading'
+    const info = await self.downloadUrl(req, user, job.url, limits, albumid, age, job)
+
+    job.status = 'processing'
+    const result = await self.storeUrlDownloads(req, null, user, [info])
+
+    job.file = self.formatUploadResult(req, result[0])
+    job.status = 'done'
+  } catch (error) {
+    const suppressed = suppressUrlError(error)
+
+    // Same as what apiErrorsHandler would have responded with
+    const isClientError = suppressed instanceof ClientError
+    const isServerError = suppressed instanceof ServerError
+    if ((!isClientError && !isServerError) || (isServerError && suppressed.logStack)) {
+      logger.error(suppressed)
+    }
+
+    job.status = 'failed'
+    job.description = (isClientError || isServerError)
+      ? suppressed.message
+      : 'An unexpected error occurred. Try again?'
+  }
+
+  const owner = getUrlJobsOwner(req, user)
+  const pending = urlJobsPending.get(owner) - 1
+  if (pending > 0) {
+    urlJobsPending.set(owner, pending)
+  } else {
+    urlJobsPending.delete(owner)
+  }
+
+  // Forget finished jobs after a while
+  setTimeout(() => urlJobs.delete(job.id), urlJobsRetention).unref()
+}
+
+self.urlJobsStatus = async (req, res, next) => {
+  try {
+    let user
+    if (req.headers.token) {
+      user = await utils.assertUser(req.headers.token)
+    }
+
+    const ids = String(req.params.ids || '').split(',').filter(Boolean)
+    if (!ids.length) {
+      throw new ClientError('No job IDs specified.')
+    }
+
+    const limits = self.getUploadLimits(user)
+    if (ids.length > limits.maxFilesPerUpload) {
+      throw new ClientError(`Maximum ${limits.maxFilesPerUpload} jobs at a time.`)
+    }
+
+    return res.json({
+      success: true,
+      jobs: ids.map(id => {
+        const job = urlJobs.get(id)
+        // Jobs of users will only be visible to themselves
+        if (!job || (job.userid !== null && (!user || user.id !== job.userid))) {
+          return {
+            id,
+            status: 'unknown',
+            description: 'Job does not exist or had expired.'
+          }
+        }
+        return formatUrlJob(job)
+      })
+    })
+  } catch (error) {
+    return apiErrorsHandler(error, req, res, next)
+  }
+}
+
+self.finishChunks = async (req, res, next) => {
+  try {
+    if (!chunkedUploads) {
+      throw new ClientError('Chunked upload is disabled.', { statusCode: 403 })
+    }
+
+    let user
+    if (config.private === true) {
+      user = await utils.authorize(req)
+      if (!user) return
+    } else if (req.headers.token) {
+      user = await utils.assertUser(req.headers.token)
+    }
+
+    await self.actuallyFinishChunks(req, res, user)
+  } catch (error) {
+    return apiErrorsHandler(error, req, res, next)
+  }
+}
+
+self.actuallyFinishChunks = async (req, res, user) => {
+  const check = file => typeof file.uuid !== 'string' ||
+    !chunksData[file.uuid] ||
+    chunksData[file.uuid].tus ||
+    chunksData[file.uuid].userid !== (user ? user.id : null) ||
+    chunksData[file.uuid].chunks < 2
+
+  const files = req.body.files
+  if (!Array.isArray(files) || !files.length || files.some(check)) {
+    throw new ClientError('Bad request.')
+  }
+
+  // Refuse duplicate vanity identifiers before rebuilding any files, since only one of them could be stored
+  const identifiers = files
+    .filter(file => file.identifier !== undefined && file.identifier !== null && file.identifier !== '')
+    .map(file => String(file.identifier))
+  if (identifiers.some((identifier, index) => identifiers.indexOf(identifier) !== index)) {
+    throw new ClientError('Each identifier can only be used by one file.')
+  }
+
+  // Report missing chunks without clearing out the sessions, so that they can be re-uploaded
+  const missing = {}
+  for (const file of files) {
+    const indexes = chunksData[file.uuid].getMissingChunks()
+    if (indexes.length) missing[file.uuid] = indexes
+  }
+  const missingUuids = Object.keys(missing)
+  if (missingUuids.length) {
+    const indexes = missing[missingUuids[0]]
+    return res.status(409).json({
+      success: false,
+      description: `Missing chunk${indexes.length === 1 ? '' : 's'}: ${indexes.join(', ')}${missingUuids.length > 1 ? ', and more' : ''}.`,
+      missing
+    })
+  }
+
+  const limits = self.getUploadLimits(user)
+  const infoMap = []
+  try {
+    await Promise.all(files.map(async file => {
+      if (chunksData[file.uuid].chunks > limits.maxChunksCount) {
         throw new ClientError('Too many chunks.')
       }
 
@@ -514,17 +1275,23 @@ self.actuallyFinishChunks = async (req, res, user) => {
       }
 
       if (temporaryUploads) {
-        file.age = self.parseUploadAge(file.age)
-        if (!file.age && !config.uploads.temporaryUploadAges.includes(0)) {
+        file.age = self.parseUploadAge(file.age, limits)
+        if (!file.age && !limits.temporaryUploadAges.includes(0)) {
           throw new ClientError('Permanent uploads are not permitted.')
         }
       }
 
-      file.size = chunksData[file.uuid].stream.bytesWritten
+      file.encrypted = self.parseEncrypted(file.encrypted)
+
+      file.size = chunksData[file.uuid].size
       if (config.filterEmptyFile && file.size === 0) {
         throw new ClientError('Empty files are not allowed.')
-      } else if (file.size > maxSizeBytes) {
-        throw new ClientError(`File too large. Chunks are bigger than ${maxSize} MB.`)
+      } else if (file.size > limits.maxSizeBytes) {
+        throw new ClientError(`File too large. Chunks are bigger than ${limits.maxSize} MB.`)
+      } else if (file.encrypted && file.size > clientEncryptionMaxSizeBytes) {
+        throw new ClientError(`Encrypted file too large. Maximum file size for encrypted uploads is ${clientEncryptionMaxSize} MB.`, { statusCode: 413 })
+      } else if (chunksData[file.uuid].totalSize !== null && file.size !== chunksData[file.uuid].totalSize) {
+        throw new ClientError(`File size mismatched (${file.size} vs. ${chunksData[file.uuid].totalSize}).`)
       }
 
       // Double-check file size
@@ -534,9 +1301,13 @@ self.actuallyFinishChunks = async (req, res, user) => {
         throw new ClientError(`File size mismatched (${lstat.size} vs. ${file.size}).`)
       }
 
+      // Since chunks may arrive out of order, hash the file only after it has been fully rebuilt
+      const hash = await utils.hashFile(tmpfile)
+      assertChecksum(file.hash, hash, file.original)
+
       // Generate name
-      const length = self.parseFileIdentifierLength(file.filelength)
-      const name = await self.getUniqueRandomName(length, file.extname)
+      const extname = file.encrypted ? encryptedExtname : file.extname
+      const name = await self.getUniqueName(user, file.identifier, file.filelength, extname)
 
       // Move tmp file to final destination
       // For fs.copyFile(), tmpfile will eventually be unlinked by self.cleanUpChunks()
@@ -546,85 +1317,697 @@ self.actuallyFinishChunks = async (req, res, user) => {
       } else {
         await paths.rename(tmpfile, destination)
       }
-      const hash = chunksData[file.uuid].hasher.digest('hex')
 
-      // Continue even when encountering errors
-      await self.cleanUpChunks(file.uuid).catch(logger.error)
+      // Continue even when encountering errors
+      await self.cleanUpChunks(file.uuid).catch(logger.error)
+
+      let albumid = parseInt(file.albumid)
+      if (isNaN(albumid)) albumid = null
+
+      const data = {
+        filename: name,
+        originalname: file.original || '',
+        extname: file.extname,
+        mimetype: file.type || '',
+        size: file.size,
+        hash,
+        albumid,
+        age: file.age,
+        encrypted: file.encrypted
+      }
+
+      infoMap.push({ path: destination, data })
+    }))
+
+    if (clientEncryption) {
+      const encryptedResult = await self.verifyEncryptedFiles(req, user, infoMap)
+      if (encryptedResult) throw new ClientError(encryptedResult)
+    }
+
+    await self.runPostWriteHooks(req, user, infoMap)
+
+    if (detectTypes) {
+      const typeResult = await self.detectFileTypes(req, user, infoMap)
+      if (typeResult) throw new ClientError(typeResult)
+    }
+
+    if (inspectArchives) {
+      const archiveResult = await self.inspectArchives(req, user, infoMap)
+      if (archiveResult) throw new ClientError(archiveResult)
+    }
+
+    if (utils.clamscan.instance && !scan.async) {
+      const scanResult = await self.scanFiles(req, user, infoMap)
+      if (scanResult) throw new ClientError(scanResult)
+    }
+
+    await self.stripTags(req, infoMap)
+    await self.transcodeImages(req, user, infoMap)
+
+    const result = await self.storeFilesToDb(req, res, user, infoMap)
+    await self.sendUploadResponse(req, res, user, result)
+  } catch (error) {
+    // Clean up leftover chunks
+    // Should continue even when encountering errors
+    files.forEach(file => {
+      if (chunksData[file.uuid] === undefined) return
+      self.cleanUpChunks(file.uuid).catch(logger.error)
+    })
+
+    // Re-throw error
+    throw error
+  }
+}
+
+self.cleanUpChunks = async (uuid, onTimeout) => {
+  // Remove tmp file
+  await paths.unlink(path.join(chunksData[uuid].root, chunksData[uuid].filename))
+    .catch(error => {
+      // Re-throw non-ENOENT error
+      if (error.code !== 'ENOENT') logger.error(error)
+    })
+
+  // Remove session file
+  await paths.unlink(path.join(chunksData[uuid].root, chunksSessionFilename))
+    .catch(error => {
+      // Re-throw non-ENOENT error
+      if (error.code !== 'ENOENT') logger.error(error)
+    })
+
+  // Remove UUID dir
+  await paths.rmdir(chunksData[uuid].root)
+
+  // Delete cached chunks data
+  if (!onTimeout) chunksData[uuid].clearTimeout()
+  delete chunksData[uuid]
+}
+
+self.restoreChunks = async () => {
+  const uuidDirs = await paths.readdir(paths.chunks)
+  let restored = 0
+  let purged = 0
+
+  await Promise.all(uuidDirs.map(async uuid => {
+    const root = path.join(paths.chunks, uuid)
+
+    // Skip anything that can not be a session (e.g. .gitkeep)
+    const lstat = await paths.lstat(root).catch(() => null)
+    if (!lstat || !lstat.isDirectory()) return
+
+    try {
+      if (!chunkedUploads) {
+        throw new Error('Chunked uploads are disabled')
+      }
+
+      const session = JSON.parse(await paths.readFile(path.join(root, chunksSessionFilename)))
+      if (session.uuid !== uuid || !(session.expiresAt > Date.now())) {
+        throw new Error('Session is invalid or had expired')
+      }
+
+      // tus write stream and hasher will only be re-opened when the session is used again
+      const data = new ChunksData(uuid, root)
+      data.userid = session.userid
+      data.chunks = session.chunks
+      data.size = session.size
+      data.received = session.received || {}
+      data.totalChunks = session.totalChunks
+      data.totalSize = session.totalSize
+      if (session.tus) {
+        data.tus = Object.assign(session.tus, { busy: false })
+      }
+      data.setTimeout(session.expiresAt - Date.now())
+      chunksData[uuid] = data
+      restored++
+    } catch (error) {
+      // Purge leftovers of invalid, expired, or otherwise unrecoverable sessions,
+      // but never let leftovers that could not be purged (e.g. ones with subfolders) abort startup
+      try {
+        const files = await paths.readdir(root)
+        await Promise.all(files.map(file =>
+          paths.unlink(path.join(root, file))
+        ))
+        await paths.rmdir(root)
+        purged++
+      } catch (purgeError) {
+        logger.error(`Failed to purge unfinished chunks ${uuid}: ${purgeError.toString()}`)
+      }
+    }
+  }))
+
+  if (restored) logger.log(`Restored ${restored} unfinished chunks`)
+  if (purged) logger.log(`Purged ${purged} unfinished chunks`)
+}
+
+self.parseTusMetadata = header => {
+  // Upload-Metadata: key base64value,key2 base64value2
+  const metadata = {}
+  if (typeof header !== 'string') return metadata
+
+  for (const pair of header.split(',')) {
+    const [key, value] = pair.trim().split(' ')
+    if (!key) continue
+    metadata[key] = value !== undefined
+      ? Buffer.from(value, 'base64').toString('utf8')
+      : ''
+  }
+
+  return metadata
+}
+
+self.assertTusRequest = (req, res) => {
+  // Tus-Resumable header must be included in every responses, except OPTIONS requests
+  res.set('Tus-Resumable', tusVersion)
+
+  if (!chunkedUploads) {
+    throw new ClientError('Chunked upload is disabled.', { statusCode: 403 })
+  }
+
+  if (req.headers['tus-resumable'] !== tusVersion) {
+    res.set('Tus-Version', tusVersion)
+    throw new ClientError(`Unsupported tus version. Only ${tusVersion} is supported.`, { statusCode: 412 })
+  }
+}
+
+self.getTusUpload = async (req, user) => {
+  const uuid = req.params.uuid
+  // Only allow alphanumeric UUIDs, which is also what tus creation endpoint generates
+  const data = /^[a-zA-Z0-9]+$/.test(uuid) && chunksData[uuid]
+  if (!data || !data.tus || data.userid !== (user ? user.id : null)) {
+    throw new ClientError('Upload not found.', { statusCode: 404 })
+  }
+  // Restored sessions may need to rebuild their state from the partial file first
+  await data.open()
+  return data
+}
+
+self.tusOptions = async (req, res, next) => {
+  if (!chunkedUploads) return res.status(404).end()
+
+  // Report max size of the user's group if possible, but never fail discovery requests
+  let user
+  if (req.headers.token) {
+    user = await utils.assertUser(req.headers.token).catch(() => undefined)
+  }
+
+  res.set({
+    'Tus-Resumable': tusVersion,
+    'Tus-Version': tusVersion,
+    'Tus-Extension': tusExtensions.join(','),
+    'Tus-Max-Size': self.getUploadLimits(user).maxSizeBytes
+  })
+  return res.status(204).end()
+}
+
+self.tusCreate = async (req, res, next) => {
+  try {
+    self.assertTusRequest(req, res)
+
+    let user
+    if (config.private === true) {
+      user = await utils.authorize(req)
+    } else if (req.headers.token) {
+      user = await utils.assertUser(req.headers.token)
+    }
+
+    if (config.privateUploadGroup) {
+      if (!user || !perms.is(user, config.privateUploadGroup)) {
+        throw new ClientError(config.privateUploadCustomResponse || 'Your usergroup is not permitted to upload new files.', { statusCode: 403 })
+      }
+    }
+
+    if (req.headers['upload-defer-length'] !== undefined) {
+      throw new ClientError('Deferring upload length is not supported.')
+    }
+
+    const length = Number(req.headers['upload-length'])
+    if (!Number.isSafeInteger(length) || length < 0) {
+      throw new ClientError('Missing or invalid Upload-Length header.')
+    }
+
+    const limits = self.getUploadLimits(user)
+    if (config.filterEmptyFile && length === 0) {
+      throw new ClientError('Empty files are not allowed.')
+    } else if (length > limits.maxSizeBytes) {
+      throw new ClientError(`File too large. Maximum file size is ${limits.maxSize} MB.`, { statusCode: 413 })
+    }
+
+    const metadata = self.parseTusMetadata(req.headers['upload-metadata'])
+
+    // Recognize keys that are used by common tus clients (e.g. Uppy uses "name" and "type")
+    const original = metadata.filename || metadata.name || ''
+    const extname = utils.extname(original)
+    if (self.isExtensionFiltered(extname)) {
+      throw new ClientError(`${extname ? `${extname.substr(1).toUpperCase()} files` : 'Files with no extension'} are not permitted.`)
+    }
+
+    // Upload options may either be set as headers (similar to regular uploads), or as metadata
+    let albumid = parseInt(req.headers.albumid || metadata.albumid)
+    if (isNaN(albumid)) albumid = null
+
+    let age = null
+    if (temporaryUploads) {
+      age = self.parseUploadAge(req.headers.age || metadata.age, limits)
+      if (!age && !limits.temporaryUploadAges.includes(0)) {
+        throw new ClientError('Permanent uploads are not permitted.', { statusCode: 403 })
+      }
+    }
+
+    const identifier = self.parseVanityIdentifier(req.headers.identifier || metadata.identifier, user)
+    const encrypted = self.parseEncrypted(req.headers.encrypted || metadata.encrypted)
+    if (encrypted && length > clientEncryptionMaxSizeBytes) {
+      throw new ClientError(`Encrypted file too large. Maximum file size for encrypted uploads is ${clientEncryptionMaxSize} MB.`, { statusCode: 413 })
+    }
+
+    await plugins.run('preAccept', { req, user, albumid, age, metadata })
+
+    let uuid
+    for (let i = 0; i < utils.idMaxTries; i++) {
+      const generated = randomstring.generate(32)
+      if (chunksData[generated] === undefined) {
+        uuid = generated
+        break
+      }
+    }
+    if (!uuid) {
+      throw new ServerError('Failed to allocate a unique ID for the upload. Try again?')
+    }
+
+    const data = await initChunks(uuid, user, length)
+    data.tus = {
+      length,
+      busy: false,
+      original,
+      extname,
+      type: metadata.filetype || metadata.type || '',
+      albumid,
+      age,
+      filelength: req.headers.filelength || metadata.filelength,
+      identifier,
+      striptags: req.headers.striptags || metadata.striptags,
+      transcode: req.headers.transcode || metadata.transcode,
+      hash: req.headers.hash || metadata.hash,
+      maxdownloads: self.parseMaxDownloads(req.headers.maxdownloads || metadata.maxdownloads),
+      encrypted,
+      // Hash the password immediately, since this will be saved along with the chunks
+      password: await filePasswords.hash(req.headers.password || metadata.password)
+    }
+    await data.open()
+    await data.save()
+
+    res.set('Location', `${req.baseUrl}/upload/tus/${uuid}`)
+    return res.status(201).end()
+  } catch (error) {
+    return apiErrorsHandler(error, req, res, next)
+  }
+}
+
+self.tusHead = async (req, res, next) => {
+  try {
+    self.assertTusRequest(req, res)
+
+    let user
+    if (config.private === true) {
+      user = await utils.authorize(req)
+    } else if (req.headers.token) {
+      user = await utils.assertUser(req.headers.token)
+    }
+
+    const data = await self.getTusUpload(req, user)
+
+    res.set({
+      'Upload-Offset': data.size,
+      'Upload-Length': data.tus.length,
+      'Cache-Control': 'no-store'
+    })
+    return res.status(200).end()
+  } catch (error) {
+    return apiErrorsHandler(error, req, res, next)
+  }
+}
+
+self.tusPatch = async (req, res, next) => {
+  try {
+    self.assertTusRequest(req, res)
+
+    let user
+    if (config.private === true) {
+      user = await utils.authorize(req)
+    } else if (req.headers.token) {
+      user = await utils.assertUser(req.headers.token)
+    }
+
+    const data = await self.getTusUpload(req, user)
+
+    if (req.headers['content-type'] !== 'application/offset+octet-stream') {
+      throw new ClientError('Content-Type must be application/offset+octet-stream.', { statusCode: 415 })
+    }
+
+    if (data.tus.busy) {
+      throw new ClientError('Upload is still receiving data from another request.', { statusCode: 409 })
+    }
+
+    const offset = Number(req.headers['upload-offset'])
+    if (!Number.isSafeInteger(offset) || offset < 0) {
+      throw new ClientError('Missing or invalid Upload-Offset header.')
+    } else if (offset !== data.size) {
+      throw new ClientError(`Upload-Offset mismatched (${offset} vs. ${data.size}).`, { statusCode: 409 })
+    }
+
+    // Do not let the upload time out while it is receiving data
+    data.tus.busy = true
+    data.clearTimeout()
+
+    try {
+      await new Promise((resolve, reject) => {
+        const onerror = error => {
+          req.unpipe(data.stream)
+          reject(error)
+        }
+        data.stream.once('error', onerror)
+        req.on('data', d => {
+          if (data.size + d.length > data.tus.length) {
+            req.destroy()
+            return onerror(new ClientError('Received more data than the specified Upload-Length.'))
+          }
+          data.hasher.update(d)
+          data.size += d.length
+        })
+        // Interrupted requests will keep whatever data that has been received,
+        // so that clients can resume from the new offset
+        const onend = () => {
+          req.unpipe(data.stream)
+          data.stream.removeListener('error', onerror)
+          resolve()
+        }
+        req.on('end', onend)
+        // Aborted requests will emit "error" (ECONNRESET) before "close"
+        req.on('error', onend)
+        req.on('close', onend)
+        req.pipe(data.stream, { end: false })
+      })
+
+      // Wait for received data to be flushed, so that the new offset will always match the partial file
+      await new Promise((resolve, reject) => {
+        data.stream.write(Buffer.alloc(0), error => error ? reject(error) : resolve())
+      })
+    } catch (error) {
+      // Only discard uploads that exceeded their length, or whose partial files could not be written to
+      if (data.hasher) data.hasher.dispose()
+      // Continue even when encountering errors
+      await self.cleanUpChunks(req.params.uuid).catch(logger.error)
+      throw error
+    }
+
+    data.tus.busy = false
+    data.setTimeout(chunkedUploadsTimeout)
+
+    res.set('Upload-Offset', data.size)
+
+    if (data.size === data.tus.length) {
+      const result = await self.actuallyFinishTus(req, res, user, req.params.uuid)
+      // tus requires successful PATCH requests to respond with 204 No Content,
+      // so pass the uploaded file's information via custom headers instead
+      const file = result[0]
+      res.set('Lolisafe-File-Name', file.name)
+      res.set('Lolisafe-File-Url', `${config.domain}/${utils.getFilePath(file)}`)
+      if (file.expirydate) res.set('Lolisafe-File-Expiry-Date', file.expirydate)
+    } else {
+      // Continue even when encountering errors
+      await data.save().catch(logger.error)
+    }
+
+    return res.status(204).end()
+  } catch (error) {
+    return apiErrorsHandler(error, req, res, next)
+  }
+}
+
+self.actuallyFinishTus = async (req, res, user, uuid) => {
+  const data = chunksData[uuid]
+
+  try {
+    // Wait for all pending writes to be flushed
+    await new Promise((resolve, reject) => {
+      data.stream.once('error', reject)
+      data.stream.end(resolve)
+    })
+
+    // Double-check file size
+    const tmpfile = path.join(data.root, data.filename)
+    const lstat = await paths.lstat(tmpfile)
+    if (lstat.size !== data.tus.length) {
+      throw new ClientError(`File size mismatched (${lstat.size} vs. ${data.tus.length}).`)
+    }
+
+    const hash = data.hasher.digest('hex')
+    assertChecksum(data.tus.hash, hash, data.tus.original)
+
+    // Generate name
+    const extname = data.tus.encrypted ? encryptedExtname : data.tus.extname
+    const name = await self.getUniqueName(user, data.tus.identifier, data.tus.filelength, extname)
+
+    // Move tmp file to final destination
+    // For fs.copyFile(), tmpfile will eventually be unlinked by self.cleanUpChunks()
+    const destination = path.join(paths.uploads, name)
+    if (chunksCopyFile) {
+      await paths.copyFile(tmpfile, destination)
+    } else {
+      await paths.rename(tmpfile, destination)
+    }
+
+    const infoMap = [{
+      path: destination,
+      data: {
+        filename: name,
+        originalname: data.tus.original,
+        extname: data.tus.extname,
+        mimetype: data.tus.type,
+        size: data.tus.length,
+        hash,
+        albumid: data.tus.albumid,
+        age: data.tus.age,
+        encrypted: data.tus.encrypted
+      }
+    }]
+
+    // Continue even when encountering errors
+    await self.cleanUpChunks(uuid).catch(logger.error)
+
+    if (clientEncryption) {
+      const encryptedResult = await self.verifyEncryptedFiles(req, user, infoMap)
+      if (encryptedResult) throw new ClientError(encryptedResult)
+    }
+
+    await self.runPostWriteHooks(req, user, infoMap)
+
+    if (detectTypes) {
+      const typeResult = await self.detectFileTypes(req, user, infoMap)
+      if (typeResult) throw new ClientError(typeResult)
+    }
+
+    if (inspectArchives) {
+      const archiveResult = await self.inspectArchives(req, user, infoMap)
+      if (archiveResult) throw new ClientError(archiveResult)
+    }
+
+    if (utils.clamscan.instance && !scan.async) {
+      const scanResult = await self.scanFiles(req, user, infoMap)
+      if (scanResult) throw new ClientError(scanResult)
+    }
+
+    // Strip tags and transcode images preferences can only be specified on upload creation
+    req.headers.striptags = data.tus.striptags
+    req.headers.transcode = data.tus.transcode
+    req._passwordHash = data.tus.password || null
+    req.headers.maxdownloads = data.tus.maxdownloads
+    await self.stripTags(req, infoMap)
+    await self.transcodeImages(req, user, infoMap)
+
+    return self.storeFilesToDb(req, res, user, infoMap)
+  } catch (error) {
+    // Dispose unfinished hasher and clean up leftover chunks
+    // Should continue even when encountering errors
+    if (chunksData[uuid] !== undefined) {
+      try {
+        if (data.hasher) data.hasher.dispose()
+      } catch (_) {}
+      self.cleanUpChunks(uuid).catch(logger.error)
+    }
+
+    // Re-throw error
+    throw error
+  }
+}
+
+self.tusDelete = async (req, res, next) => {
+  try {
+    self.assertTusRequest(req, res)
+
+    let user
+    if (config.private === true) {
+      user = await utils.authorize(req)
+    } else if (req.headers.token) {
+      user = await utils.assertUser(req.headers.token)
+    }
+
+    const data = await self.getTusUpload(req, user)
+    if (data.tus.busy) {
+      throw new ClientError('Upload is still receiving data from another request.', { statusCode: 409 })
+    }
+
+    if (data.stream && !data.stream.writableEnded) {
+      data.stream.end()
+    }
+    if (data.hasher) {
+      data.hasher.dispose()
+    }
+    await self.cleanUpChunks(req.params.uuid)
+
+    return res.status(204).end()
+  } catch (error) {
+    return apiErrorsHandler(error, req, res, next)
+  }
+}
+
+self.runPostWriteHooks = async (req, user, infoMap) => {
+  if (!plugins.has('postWrite')) return
+
+  try {
+    await plugins.run('postWrite', { req, user, files: infoMap })
+  } catch (error) {
+    // Unlink all files when at least one plugin rejected them
+    // Should continue even when encountering errors
+    await Promise.all(infoMap.map(info =>
+      utils.unlinkFile(info.data.filename).catch(logger.error)
+    ))
+
+    // Re-throw error
+    throw error
+  }
+}
+
+self.verifyEncryptedFiles = async (req, user, infoMap) => {
+  const results = await Promise.all(infoMap.map(async info => {
+    if (!info.data.encrypted) return
+
+    const sample = await magicBytes.readSample(info.path, encryptedMagic.length)
+    if (!sample.equals(encryptedMagic)) {
+      return `${info.data.originalname || info.data.filename}: Not a valid encrypted file.`
+    }
+  })).then(rejections => {
+    return rejections.find(rejection => rejection)
+  }).catch(error => {
+    logger.error(`[Encryption]: ${error.toString()}`)
+    return 'An unexpected error occurred while verifying encrypted files, please contact the site owner.'
+  })
+
+  if (results) {
+    // Unlink all files when at least one encrypted file is invalid OR any errors occurred
+    // Should continue even when encountering errors
+    await Promise.all(infoMap.map(info =>
+      utils.unlinkFile(info.data.filename).catch(logger.error)
+    ))
+  }
+
+  return results
+}
 
-      let albumid = parseInt(file.albumid)
-      if (isNaN(albumid)) albumid = null
+self.detectFileTypes = async (req, user, infoMap) => {
+  const filteredTypes = []
+  const results = await Promise.all(infoMap.map(async info => {
+    // Ciphertext would always be detected as unknown binary data
+    if (info.data.encrypted) return
 
-      const data = {
-        filename: name,
-        originalname: file.original || '',
-        extname: file.extname,
-        mimetype: file.type || '',
-        size: file.size,
-        hash,
-        albumid,
-        age: file.age
-      }
+    info.data.detectedtype = await magicBytes.detectFile(info.path)
+    if (self.isTypeFiltered(info.data.detectedtype)) {
+      logger.log(`[MIME]: ${info.data.filename}: ${info.data.detectedtype || 'unknown'} (claimed ${info.data.mimetype || 'unknown'})`)
+      filteredTypes.push(info.data.detectedtype || 'Unknown')
+    }
+  })).then(() => {
+    if (filteredTypes.length) {
+      const more = filteredTypes.length > 1
+      return `${filteredTypes[0]} files are not permitted${more ? ', and more' : ''}.`
+    }
+  }).catch(error => {
+    logger.error(`[MIME]: ${error.toString()}`)
+    return 'An unexpected error occurred while detecting file types, please contact the site owner.'
+  })
 
-      infoMap.push({ path: destination, data })
-    }))
+  if (results) {
+    // Unlink all files when at least one file is not permitted OR any errors occurred
+    // Should continue even when encountering errors
+    await Promise.all(infoMap.map(info =>
+      utils.unlinkFile(info.data.filename).catch(logger.error)
+    ))
+  }
 
-    if (utils.clamscan.instance) {
-      const scanResult = await self.scanFiles(req, user, infoMap)
-      if (scanResult) throw new ClientError(scanResult)
-    }
+  return results
+}
 
-    await self.stripTags(req, infoMap)
+// Returns a string if the archive should be rejected
+const inspectArchive = async info => {
+  const type = archiveInspector.getType(info.data.extname)
+  if (!type || info.data.encrypted) return
+
+  let entries = 0
+  let size = 0
+  const name = info.data.originalname || info.data.filename
+  return archiveInspector.inspect(info.path, type, (entry, entrySize) => {
+    // Unlike the archives themselves, entries with no extension are always allowed
+    const extname = utils.extname(path.posix.basename(entry))
+    if (extname && self.isExtensionFiltered(extname)) {
+      return `${name}: ${extname.substr(1).toUpperCase()} files are not permitted (found ${entry}).`
+    }
 
-    const result = await self.storeFilesToDb(req, res, user, infoMap)
-    await self.sendUploadResponse(req, res, user, result)
-  } catch (error) {
-    // Dispose unfinished hasher and clean up leftover chunks
-    // Should continue even when encountering errors
-    files.forEach(file => {
-      if (chunksData[file.uuid] === undefined) return
-      try {
-        if (chunksData[file.uuid].hasher) {
-          chunksData[file.uuid].hasher.dispose()
-        }
-      } catch (_) {}
-      self.cleanUpChunks(file.uuid).catch(logger.error)
-    })
+    if (inspectArchives.maxEntries && ++entries > inspectArchives.maxEntries) {
+      return `${name}: Archives may only contain up to ${inspectArchives.maxEntries} files.`
+    }
 
-    // Re-throw error
-    throw error
-  }
+    size += entrySize
+    if (inspectArchives.maxSize && size > inspectArchives.maxSize) {
+      return `${name}: Archives may only contain up to ${inspectArchives.maxSize / 1e6} MB of uncompressed files (exceeded at ${entry}).`
+    }
+  })
 }
 
-self.cleanUpChunks = async (uuid, onTimeout) => {
-  // Remove tmp file
-  await paths.unlink(path.join(chunksData[uuid].root, chunksData[uuid].filename))
-    .catch(error => {
-      // Re-throw non-ENOENT error
-      if (error.code !== 'ENOENT') logger.error(error)
+self.inspectArchives = async (req, user, infoMap) => {
+  const rejections = []
+  const results = await Promise.all(infoMap.map(async info => {
+    const result = await inspectArchive(info).catch(error => {
+      logger.error(`[Archive]: ${info.data.filename}: ${error.toString()}`)
+      return `${info.data.originalname || info.data.filename}: Could not inspect the archive, it may be corrupted.`
     })
+    if (result) {
+      logger.log(`[Archive]: ${info.data.filename}: ${result}`)
+      rejections.push(result)
+    }
+  })).then(() => {
+    if (rejections.length) {
+      return `${rejections[0]}${rejections.length > 1 ? ' And more.' : ''}`
+    }
+  })
 
-  // Remove UUID dir
-  await paths.rmdir(chunksData[uuid].root)
+  if (results) {
+    // Unlink all files when at least one archive is not permitted
+    // Should continue even when encountering errors
+    await Promise.all(infoMap.map(info =>
+      utils.unlinkFile(info.data.filename).catch(logger.error)
+    ))
+  }
 
-  // Delete cached chunks data
-  if (!onTimeout) chunksData[uuid].clearTimeout()
-  delete chunksData[uuid]
+  return results
 }
 
 self.scanFiles = async (req, user, infoMap) => {
-  if (user && utils.clamscan.groupBypass && perms.is(user, utils.clamscan.groupBypass)) {
+  if (scan.isBypassed(user)) {
     // logger.log(`[ClamAV]: Skipping ${infoMap.length} file(s), ${utils.clamscan.groupBypass} group bypass`)
     return false
   }
 
   const foundThreats = []
   const results = await Promise.all(infoMap.map(async info => {
-    if (utils.clamscan.whitelistExtensions && utils.clamscan.whitelistExtensions.includes(info.data.extname)) {
-      return // logger.log(`[ClamAV]: Skipping ${info.data.filename}, extension whitelisted`)
-    }
-
-    if (utils.clamscan.maxSize && info.data.size > utils.clamscan.maxSize) {
-      return // logger.log(`[ClamAV]: Skipping ${info.data.filename}, size ${info.data.size} > ${utils.clamscan.maxSize}`)
+    if (info.data.encrypted || scan.isSkipped(info.data.extname, info.data.size)) {
+      return // logger.log(`[ClamAV]: Skipping ${info.data.filename}, encrypted, extension whitelisted or too large`)
     }
 
     const response = await utils.clamscan.instance.is_infected(info.path)
@@ -657,7 +2040,7 @@ self.stripTags = async (req, infoMap) => {
   if (!self.parseStripTags(req.headers.striptags)) return
 
   try {
-    await Promise.all(infoMap.map(info =>
+    await Promise.all(infoMap.filter(info => !info.data.encrypted).map(info =>
       utils.stripTags(info.data.filename, info.data.extname)
     ))
   } catch (error) {
@@ -672,14 +2055,103 @@ self.stripTags = async (req, infoMap) => {
   }
 }
 
+self.transcodeImages = async (req, user, infoMap) => {
+  const format = self.parseTranscodeImages(req.headers.transcode, user)
+  if (!format) return
+
+  await Promise.all(infoMap.map(async info => {
+    const extname = info.data.extname.toLowerCase()
+    if (info.data.encrypted || !transcodeImagesExtensions.includes(extname) || extname === `.${format}`) return
+
+    let result
+    try {
+      result = await utils.transcodeImage(info.data.filename, info.data.extname, format)
+    } catch (error) {
+      // Continue with the original images, since they can still be used as-is
+      logger.error(`[${info.data.filename}]: transcodeImage(): ${error.toString().trim()}`)
+    }
+    if (!result) return
+
+    info.path = path.join(paths.uploads, result.name)
+    info.data.transcodedfrom = info.data.extname
+    info.data.filename = result.name
+    info.data.extname = `.${format}`
+    info.data.mimetype = `image/${format}`
+    if (info.data.detectedtype) {
+      info.data.detectedtype = `image/${format}`
+    }
+    info.data.size = result.size
+    // Keep hash of the original image, so that it can still be checked against banned hashes
+    info.data.originalhash = info.data.hash
+    info.data.hash = await utils.hashFile(info.path)
+
+    // Also update extension of the original name, so that it will still match its content
+    const original = info.data.originalname
+    if (original.toLowerCase().endsWith(extname)) {
+      info.data.originalname = `${original.slice(0, -extname.length)}.${format}`
+    }
+  }))
+}
+
+// Make sure the user has enough quota remaining for the new uploads
+self.assertQuota = async (user, size, count) => {
+  const quota = await utils.getQuotaInfo(user)
+  if (!quota) return
+
+  if (quota.count !== null && quota.usedCount + count > quota.count) {
+    const remaining = Math.max(quota.count - quota.usedCount, 0)
+    throw new ClientError(`Upload quota exceeded. This would add ${count} file${count === 1 ? '' : 's'}, but you only have ${remaining} of ${quota.count} files remaining.`, { statusCode: 413 })
+  }
+
+  if (quota.size !== null && quota.usedSize + size > quota.size) {
+    const remaining = Math.max(quota.size - quota.usedSize, 0)
+    const toMB = bytes => (bytes / 1e6).toFixed(2)
+    throw new ClientError(`Storage quota exceeded. This would add ${toMB(size)} MB, but you only have ${toMB(remaining)} MB of ${toMB(quota.size)} MB remaining.`, { statusCode: 413 })
+  }
+}
+
 self.storeFilesToDb = async (req, res, user, infoMap) => {
   const files = []
   const exists = []
   const albumids = []
 
+  // Hash the password only once for all of the uploads
+  const password = req._passwordHash !== undefined
+    ? req._passwordHash
+    : await filePasswords.hash(req.headers.password)
+  const downloadsleft = self.parseMaxDownloads(req.headers.maxdownloads)
+  const scanAsync = utils.clamscan.instance && scan.async && !scan.isBypassed(user)
+
+  // Reject contents that have been banned by moderators, including originals of transcoded images
+  const banned = await bans.findBanned(infoMap.reduce((acc, info) => {
+    return acc.concat(info.data.hash, info.data.originalhash)
+  }, []))
+  if (banned) {
+    // Unlink all files when at least one file has been banned
+    // Should continue even when encountering errors
+    await Promise.all(infoMap.map(async info => {
+      await utils.unlinkFile(info.data.filename).catch(logger.error)
+      await utils.unlinkOriginal({
+        name: info.data.filename,
+        transcodedfrom: info.data.transcodedfrom
+      }).catch(logger.error)
+    }))
+    if (config.uploads.queryDbForFileCollisions) {
+      for (const info of infoMap) {
+        self.onHold.delete(info.data.filename.slice(0, -(utils.extname(info.data.filename).length)))
+      }
+    }
+
+    throw new ClientError(`${infoMap.length > 1 ? 'At least one of the files' : 'The file'} has been banned from being uploaded.`, { statusCode: 403 })
+  }
+
+  // Password-protected and download-limited uploads can not be shared with other uploads,
+  // since their protection would otherwise be dropped or applied to the existing uploads
+  const dedupe = !password && !downloadsleft
+
   await Promise.all(infoMap.map(async info => {
     // Check if the file exists by checking its hash and size
-    const dbFile = await db.table('files')
+    const dbFile = dedupe && await db.table('files')
       .where(function () {
         if (user === undefined) {
           this.whereNull('userid')
@@ -691,13 +2163,19 @@ self.storeFilesToDb = async (req, res, user, infoMap) => {
         hash: info.data.hash,
         size: info.data.size
       })
-      // Select expirydate to display expiration date of existing files as well
-      .select('name', 'expirydate')
+      .whereNull('password')
+      .whereNull('downloadsleft')
+      // Select expirydate, scanStatus and encrypted to display them for existing files as well
+      .select('name', 'original', 'expirydate', 'scanStatus', 'encrypted')
       .first()
 
     if (dbFile) {
       // Continue even when encountering errors
       await utils.unlinkFile(info.data.filename).catch(logger.error)
+      await utils.unlinkOriginal({
+        name: info.data.filename,
+        transcodedfrom: info.data.transcodedfrom
+      }).catch(logger.error)
       // logger.log(`Unlinked ${info.data.filename} since a duplicate named ${dbFile.name} exists`)
 
       // If on /nojs route, append original file name reported by client
@@ -714,6 +2192,7 @@ self.storeFilesToDb = async (req, res, user, infoMap) => {
       name: info.data.filename,
       original: info.data.originalname,
       type: info.data.mimetype,
+      detectedtype: info.data.detectedtype || null,
       size: info.data.size,
       hash: info.data.hash,
       // Only disable if explicitly set to false in config
@@ -733,14 +2212,68 @@ self.storeFilesToDb = async (req, res, user, infoMap) => {
       data.expirydate = data.timestamp + (info.data.age * 3600) // Hours to seconds
     }
 
-    files.push(data)
+    if (info.data.transcodedfrom) {
+      data.transcodedfrom = info.data.transcodedfrom
+    }
 
-    // Generate thumbs, but do not wait
-    if (utils.mayGenerateThumb(info.data.extname)) {
-      utils.generateThumbs(info.data.filename, info.data.extname, true).catch(logger.error)
+    if (password) {
+      data.password = password
+    }
+
+    if (downloadsleft) {
+      data.downloadsleft = downloadsleft
+    }
+
+    if (info.data.encrypted) {
+      data.encrypted = 1
+    }
+
+    // Will be stored, but not served until scanned in background
+    if (scanAsync && !data.encrypted && !scan.isSkipped(info.data.extname, info.data.size)) {
+      data.scanStatus = 'pending'
     }
+
+    files.push(data)
   }))
 
+  if (files.length) {
+    try {
+      // Plugins may still modify the new files' rows
+      await plugins.run('preStore', { req, user, files })
+
+      if (user) {
+        const size = files.reduce((acc, file) => acc + parseInt(file.size), 0)
+        await self.assertQuota(user, size, files.length)
+      }
+
+      if (config.uploads.dedupeAcrossUsers && storage.isLocal) {
+        // Store new files as references of blobs of their content,
+        // but continue even when encountering errors, since they can still be used as-is
+        await Promise.all(files.map(file =>
+          utils.storeBlob(file.name, file.hash, file.size).catch(logger.error)
+        ))
+      }
+
+      // Store new files with the storage driver (no-op when storing them locally)
+      await Promise.all(files.map(file => storage.commit('uploads', file.name)))
+    } catch (error) {
+      // Unlink all new files when they would exceed user's quota, or could not be stored
+      // Should continue even when encountering errors
+      await Promise.all(files.map(async file => {
+        await utils.unlinkFile(file.name).catch(logger.error)
+        await utils.unlinkOriginal(file).catch(logger.error)
+      }))
+      if (config.uploads.queryDbForFileCollisions) {
+        for (const file of files) {
+          self.onHold.delete(file.name.slice(0, -(utils.extname(file.name).length)))
+        }
+      }
+
+      // Re-throw error
+      throw error
+    }
+  }
+
   if (files.length) {
     let authorizedIds = []
     if (albumids.length) {
@@ -762,6 +2295,28 @@ self.storeFilesToDb = async (req, res, user, infoMap) => {
     await db.table('files').insert(files)
     utils.invalidateStatsCache('uploads')
 
+    webhooks.emit('upload', user ? user.id : null, {
+      files: files.map(utils.formatWebhookFile)
+    })
+
+    // Run post-store hooks, but do not wait
+    plugins.run('postStore', { req, user, files }).catch(logger.error)
+
+    // Scan pending files in background, which will also generate their thumbs once clean
+    const pending = files.filter(file => file.scanStatus === 'pending')
+    if (pending.length) {
+      scan.enqueue(pending.map(file => file.name))
+    }
+
+    // Generate thumbs, but do not wait
+    // Download-limited uploads will not have any, since they would outlive the uploads' downloads
+    for (const file of files) {
+      const extname = utils.extname(file.name)
+      if (file.scanStatus !== 'pending' && !file.encrypted && !file.downloadsleft && utils.mayGenerateThumb(extname)) {
+        utils.generateThumbs(file.name, extname, true).catch(logger.error)
+      }
+    }
+
     if (config.uploads.queryDbForFileCollisions) {
       for (const file of files) {
         const extname = utils.extname(file.name)
@@ -782,38 +2337,59 @@ self.storeFilesToDb = async (req, res, user, infoMap) => {
   return [...files, ...exists]
 }
 
+self.formatUploadResult = (req, file) => {
+  const map = {
+    name: file.name,
+    url: `${config.domain}/${utils.getFilePath(file)}`
+  }
+
+  // If a temporary upload, add expiry date
+  if (file.expirydate) {
+    map.expirydate = file.expirydate
+  }
+
+  // If a download-limited upload, add remaining downloads
+  if (file.downloadsleft) {
+    map.downloadsleft = file.downloadsleft
+  }
+
+  // If not yet scanned or quarantined, let uploaders know why it is not available yet
+  if (['pending', 'quarantined'].includes(file.scanStatus)) {
+    map.scanStatus = file.scanStatus
+  }
+
+  // If encrypted, add link to the viewer, which uploaders will have to append their keys to
+  // Otherwise if text-like, add link to the text viewer
+  if (file.encrypted) {
+    map.encrypted = true
+    map.viewer = `${config.homeDomain}/e/${file.name}`
+  } else if (self.isTextViewable(file.name)) {
+    map.viewer = `${config.homeDomain}/t/${file.name}`
+  }
+
+  // If on /nojs route, add original name
+  if (req.path === '/nojs') {
+    map.original = file.original
+  }
+
+  // If uploaded by user, add delete URL (intended for ShareX and its derivatives)
+  // Homepage uploader will not use this (use dashboard instead)
+  // REVISION: I wasn't aware ShareX wouldn't do a basic GET request to this API,
+  // which I hoped would then use the token header in the downloadable ShareX config file.
+  // At its current state, this isn't really usable.
+  /*
+  if (user)
+    map.deleteUrl = `${config.homeDomain}/api/upload/delete/${file.name}`
+  */
+
+  return map
+}
+
 self.sendUploadResponse = async (req, res, user, result) => {
   // Send response
   return res.json({
     success: true,
-    files: result.map(file => {
-      const map = {
-        name: file.name,
-        url: `${config.domain}/${file.name}`
-      }
-
-      // If a temporary upload, add expiry date
-      if (file.expirydate) {
-        map.expirydate = file.expirydate
-      }
-
-      // If on /nojs route, add original name
-      if (req.path === '/nojs') {
-        map.original = file.original
-      }
-
-      // If uploaded by user, add delete URL (intended for ShareX and its derivatives)
-      // Homepage uploader will not use this (use dashboard instead)
-      // REVISION: I wasn't aware ShareX wouldn't do a basic GET request to this API,
-      // which I hoped would then use the token header in the downloadable ShareX config file.
-      // At its current state, this isn't really usable.
-      /*
-      if (user)
-        map.deleteUrl = `${config.homeDomain}/api/upload/delete/${file.name}`
-      */
-
-      return map
-    })
+    files: result.map(file => self.formatUploadResult(req, file))
   })
 }
 
@@ -858,6 +2434,218 @@ self.bulkDelete = async (req, res, next) => {
   }
 }
 
+self.setPassword = async (req, res, next) => {
+  try {
+    const user = await utils.authorize(req)
+
+    const id = parseInt(req.body.id)
+    if (isNaN(id)) throw new ClientError('No file specified.')
+
+    // Empty password will remove the protection
+    const password = await filePasswords.hash(req.body.password)
+
+    const file = await db.table('files')
+      .where('id', id)
+      .where(function () {
+        if (!perms.is(user, 'moderator')) {
+          this.where('userid', user.id)
+        }
+      })
+      .select('name', 'albumid')
+      .first()
+
+    if (!file) throw new ClientError('Could not get file with the specified ID.')
+
+    await db.table('files')
+      .where('id', id)
+      .update('password', password)
+
+    // Also update the album's timestamp, so that its ZIP will be re-generated
+    if (file.albumid) {
+      await db.table('albums')
+        .where('id', file.albumid)
+        .update('editedAt', Math.floor(Date.now() / 1000))
+      utils.invalidateAlbumsCache([file.albumid])
+    }
+
+    // Purge Cloudflare's cache if necessary, since the upload may have been cached before, but do not wait
+    if (password && config.cloudflare.purgeCache) {
+      utils.purgeCloudflareCache([file.name], true, true)
+        .then(results => {
+          for (const result of results) {
+            if (result.errors.length) {
+              result.errors.forEach(error => logger.error(`[CF]: ${error}`))
+            }
+          }
+        })
+    }
+
+    await res.json({ success: true, protected: Boolean(password) })
+  } catch (error) {
+    return apiErrorsHandler(error, req, res, next)
+  }
+}
+
+self.setExpiry = async (req, res, next) => {
+  try {
+    const user = await utils.authorize(req)
+
+    if (!temporaryUploads) {
+      throw new ClientError('Temporary uploads are disabled.', { statusCode: 403 })
+    }
+
+    const ids = Array.isArray(req.body.ids)
+      ? req.body.ids.map(id => parseInt(id)).filter(id => !isNaN(id))
+      : []
+    if (!ids.length) throw new ClientError('No array of files specified.')
+
+    // SQLITE_LIMIT_VARIABLE_NUMBER, which defaults to 999
+    if (ids.length > 999) throw new ClientError('Too many files specified (max 999).')
+
+    // Upload ages may be restricted by the user's permission group
+    const limits = self.getUploadLimits(user)
+    const age = req.body.age !== undefined
+      ? self.parseUploadAge(req.body.age, limits)
+      : null
+    if (age === null) {
+      throw new ClientError('The specified upload age is not permitted.', { statusCode: 403 })
+    }
+
+    const filter = function () {
+      this.whereIn('id', ids)
+      if (!perms.is(user, 'moderator')) {
+        this.where('userid', user.id)
+      }
+    }
+
+    const found = await db.table('files')
+      .where(filter)
+      .select('id')
+      .then(rows => rows.map(row => row.id))
+    const failed = ids.filter(id => !found.includes(id))
+
+    // Age of 0 will make the uploads permanent
+    const expirydate = age ? Math.floor(Date.now() / 1000) + (age * 3600) : null // Hours to seconds
+
+    if (found.length) {
+      await db.table('files')
+        .whereIn('id', found)
+        .update('expirydate', expirydate)
+      utils.invalidateStatsCache('uploads')
+    }
+
+    await res.json({ success: true, expirydate, failed })
+  } catch (error) {
+    return apiErrorsHandler(error, req, res, next)
+  }
+}
+
+self.setMaxDownloads = async (req, res, next) => {
+  try {
+    const user = await utils.authorize(req)
+
+    const id = parseInt(req.body.id)
+    if (isNaN(id)) throw new ClientError('No file specified.')
+
+    const downloadsleft = self.parseMaxDownloads(req.body.maxdownloads)
+
+    const file = await db.table('files')
+      .where('id', id)
+      .where(function () {
+        if (!perms.is(user, 'moderator')) {
+          this.where('userid', user.id)
+        }
+      })
+      .select('name')
+      .first()
+
+    if (!file) throw new ClientError('Could not get file with the specified ID.')
+
+    await db.table('files')
+      .where('id', id)
+      .update('downloadsleft', downloadsleft)
+
+    // Thumbnails would otherwise keep being served after the upload runs out of downloads
+    if (downloadsleft) {
+      const extname = utils.extname(file.name)
+      if (utils.mayGenerateThumb(extname)) {
+        await storage.remove('thumbs', `${file.name.slice(0, -extname.length)}.png`)
+      }
+    }
+
+    await res.json({ success: true, downloadsleft })
+  } catch (error) {
+    return apiErrorsHandler(error, req, res, next)
+  }
+}
+
+// Count full downloads of download-limited uploads, and delete them once they run out of downloads
+self.limitDownloads = async (req, res, next) => {
+  if (req.method !== 'GET') return next()
+
+  const requestPath = paths.normalizeRequestPath(req.path)
+  const match = requestPath && requestPath.match(/^\/([^/]+)$/)
+  if (!match) return next()
+
+  try {
+    const file = await db.table('files')
+      .where('name', match[1])
+      .whereNotNull('downloadsleft')
+      .select('id', 'name')
+      .first()
+    if (!file) return next()
+
+    // Reserve a download beforehand, so that concurrent requests can not exceed the limit
+    const reserved = await db.table('files')
+      .where('id', file.id)
+      .where('downloadsleft', '>', 0)
+      .decrement('downloadsleft', 1)
+    if (!reserved) {
+      return res.status(404).sendFile(path.join(paths.errorRoot, config.errorPages[404]))
+    }
+
+    // Always send the whole file, so that every download can be counted once
+    delete req.headers.range
+    delete req.headers['if-range']
+    delete req.headers['if-none-match']
+    delete req.headers['if-modified-since']
+
+    // Never let proxies or CDNs cache download-limited uploads
+    res.set('Cache-Control', 'private, no-store')
+    res.locals.noStore = true
+
+    let settled = false
+    const settle = async completed => {
+      if (settled) return
+      settled = true
+
+      if (!completed) {
+        // Give back the reserved download if the file was not fully sent
+        return db.table('files')
+          .where('id', file.id)
+          .increment('downloadsleft', 1)
+      }
+
+      const row = await db.table('files')
+        .where('id', file.id)
+        .select('downloadsleft')
+        .first()
+      if (!row || row.downloadsleft > 0) return
+
+      const failed = await utils.bulkDeleteFromDb('id', [file.id], { username: 'root' })
+      if (failed.length) {
+        logger.error(`Failed to delete ${file.name} after it ran out of downloads.`)
+      }
+    }
+    res.once('finish', () => settle(res.statusCode === 200).catch(logger.error))
+    res.once('close', () => settle(false).catch(logger.error))
+
+    return next()
+  } catch (error) {
+    return next(error)
+  }
+}
+
 self.list = async (req, res, next) => {
   try {
     const user = await utils.authorize(req)
@@ -905,7 +2693,8 @@ self.list = async (req, res, next) => {
       nullsLast: [
         'userid',
         'expirydate',
-        'ip'
+        'ip',
+        'detectedtype'
       ],
       parsed: []
     }
@@ -1140,8 +2929,8 @@ self.list = async (req, res, next) => {
         // Only allow sorting by 'albumid' when not listing album's uploads
         if (req.params.id === undefined) allowed.push('albumid')
 
-        // Only allow sorting by 'ip' and 'userid' columns when listing all uploads
-        if (all) allowed.push('ip', 'userid')
+        // Only allow sorting by 'ip', 'userid' and MIME type columns when listing all uploads
+        if (all) allowed.push('ip', 'userid', 'type', 'detectedtype')
 
         for (const obQuery of filterObj.queries.sort) {
           const tmp = obQuery.toLowerCase().split(':')
@@ -1340,7 +3129,10 @@ self.list = async (req, res, next) => {
       .where(filter)
       .count('id as count')
       .then(rows => rows[0].count)
-    if (!count) return res.json({ success: true, files: [], count })
+    // Include user's own quota info when not listing all uploads
+    const quota = all ? undefined : await utils.getQuotaInfo(user)
+
+    if (!count) return res.json({ success: true, files: [], count, quota })
 
     let offset = Number(req.params.page)
     if (isNaN(offset)) offset = 0
@@ -1353,8 +3145,12 @@ self.list = async (req, res, next) => {
       filterObj.queries.exclude.albumid ||
       filterObj.flags.albumidNull !== undefined) columns.push('albumid')
 
-    // Only select IPs if we are listing all uploads
-    if (all) columns.push('ip')
+    // Only select IPs, along with claimed and detected MIME types, if we are listing all uploads
+    if (all) columns.push('ip', 'type as claimedtype', 'detectedtype')
+
+    if (filePasswords.enabled) columns.push('password')
+    if (maxDownloads) columns.push('downloadsleft')
+    if (clientEncryption) columns.push('encrypted')
 
     // Build raw query for order by (sorting) operation
     let orderByRaw
@@ -1378,11 +3174,18 @@ self.list = async (req, res, next) => {
       .offset(25 * offset)
       .select(columns)
 
-    if (!files.length) return res.json({ success: true, files, count, basedomain })
+    if (!files.length) return res.json({ success: true, files, count, basedomain, quota })
 
     for (const file of files) {
+      file.path = utils.getFilePath(file)
       file.extname = utils.extname(file.name)
-      if (utils.mayGenerateThumb(file.extname)) {
+
+      // Never send password hashes, and skip thumbnails since they will not be served until unlocked
+      if (file.password) file.protected = true
+      delete file.password
+
+      // Thumbnails of encrypted uploads cannot be generated, and download-limited uploads will not have any
+      if (utils.mayGenerateThumb(file.extname) && !file.protected && !file.encrypted && !file.downloadsleft) {
         file.thumb = `thumbs/${file.name.slice(0, -file.extname.length)}.png`
       }
     }
@@ -1410,7 +3213,7 @@ self.list = async (req, res, next) => {
     }
 
     // If we are not listing all uploads, send response
-    if (!all) return res.json({ success: true, files, count, albums, basedomain })
+    if (!all) return res.json({ success: true, files, count, albums, basedomain, quota })
 
     // Otherwise proceed to querying usernames
     let usersTable = filterObj.uploaders
@@ -0,0 +1,265 @@
+const fs = require('fs')
+const zlib = require('zlib')
+
+// Lists entries of ZIP and tar (optionally gzipped) archives, without extracting any of them.
+// Each entry will be passed to the check function, which may return a string to reject the archive.
+
+const self = {
+  types: {
+    '.zip': 'zip',
+    '.tar': 'tar',
+    '.tar.gz': 'tar.gz',
+    '.tgz': 'tar.gz'
+  },
+  // Max size of GNU long names and pax headers
+  maxHeaderDataSize: 64 * 1024,
+  // Max size of ZIP central directories, which will be loaded into memory (roughly 1 million entries)
+  maxCentralDirectorySize: 64 * 1024 * 1024
+}
+
+const BLOCK_SIZE = 512
+
+// https://pkware.cachefly.net/webdocs/casestudies/APPNOTE.TXT
+const EOCD_SIGNATURE = 0x06054b50
+const EOCD_SIZE = 22
+const ZIP64_EOCD_LOCATOR_SIGNATURE = 0x07064b50
+const ZIP64_EOCD_LOCATOR_SIZE = 20
+const ZIP64_EOCD_SIGNATURE = 0x06064b50
+const ZIP64_EOCD_SIZE = 56
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50
+const CENTRAL_HEADER_SIZE = 46
+
+self.getType = extname => self.types[extname.toLowerCase()] || null
+
+const readAt = async (handle, position, length) => {
+  const buffer = Buffer.alloc(length)
+  const { bytesRead } = await handle.read(buffer, 0, length, position)
+  return buffer.slice(0, bytesRead)
+}
+
+const readUInt64 = (buffer, offset) => buffer.readUInt32LE(offset) + buffer.readUInt32LE(offset + 4) * 0x100000000
+
+const readZip64UncompressedSize = (buffer, start, length) => {
+  let offset = start
+  while (offset + 4 <= start + length) {
+    const id = buffer.readUInt16LE(offset)
+    const size = buffer.readUInt16LE(offset + 2)
+    // Uncompressed size is the first value of ZIP64 extended information extra field
+    if (id === 0x0001 && size >= 8 && offset + 12 <= start + length) return readUInt64(buffer, offset + 4)
+    offset += 4 + size
+  }
+  throw new Error('Missing ZIP64 extended information')
+}
+
+// Only read the central directory at the end of the archive, so archives of any sizes can be inspected
+const inspectZip = async (file, check) => {
+  const handle = await fs.promises.open(file, 'r')
+  try {
+    const { size } = await handle.stat()
+
+    // End of central directory record may be followed by a comment of up to 65535 bytes
+    const tailPosition = Math.max(size - EOCD_SIZE - 0xFFFF, 0)
+    const tail = await readAt(handle, tailPosition, size - tailPosition)
+    let eocd = -1
+    for (let i = tail.length - EOCD_SIZE; i >= 0; i--) {
+      if (tail.readUInt32LE(i) === EOCD_SIGNATURE) {
+        eocd = i
+        break
+      }
+    }
+    if (eocd === -1) throw new Error('Missing end of central directory record')
+
+    let entries = tail.readUInt16LE(eocd + 10)
+    let directorySize = tail.readUInt32LE(eocd + 12)
+    let directoryOffset = tail.readUInt32LE(eocd + 16)
+
+    if (entries === 0xFFFF || directorySize === 0xFFFFFFFF || directoryOffset === 0xFFFFFFFF) {
+      const locatorPosition = tailPosition + eocd - ZIP64_EOCD_LOCATOR_SIZE
+      const locator = locatorPosition >= 0
+        ? await readAt(handle, locatorPosition, ZIP64_EOCD_LOCATOR_SIZE)
+        : Buffer.alloc(0)
+      if (locator.length < ZIP64_EOCD_LOCATOR_SIZE || locator.readUInt32LE(0) !== ZIP64_EOCD_LOCATOR_SIGNATURE) {
+        throw new Error('Missing ZIP64 end of central directory locator')
+      }
+
+      const record = await readAt(handle, readUInt64(locator, 8), ZIP64_EOCD_SIZE)
+      if (record.length < ZIP64_EOCD_SIZE || record.readUInt32LE(0) !== ZIP64_EOCD_SIGNATURE) {
+        throw new Error('Missing ZIP64 end of central directory record')
+      }
+      entries = readUInt64(record, 32)
+      directorySize = readUInt64(record, 40)
+      directoryOffset = readUInt64(record, 48)
+    }
+
+    if (directorySize > self.maxCentralDirectorySize) {
+      throw new Error('Central directory is too large')
+    } else if (directoryOffset + directorySize > size) {
+      throw new Error('Invalid central directory offset or size')
+    }
+
+    const directory = await readAt(handle, directoryOffset, directorySize)
+    let offset = 0
+    for (let i = 0; i < entries; i++) {
+      if (offset + CENTRAL_HEADER_SIZE > directory.length || directory.readUInt32LE(offset) !== CENTRAL_HEADER_SIGNATURE) {
+        throw new Error('Invalid central directory file header')
+      }
+
+      const flags = directory.readUInt16LE(offset + 8)
+      let uncompressedSize = directory.readUInt32LE(offset + 24)
+      const nameStart = offset + CENTRAL_HEADER_SIZE
+      const extraStart = nameStart + directory.readUInt16LE(offset + 28)
+      const extraLength = directory.readUInt16LE(offset + 30)
+      offset = extraStart + extraLength + directory.readUInt16LE(offset + 32)
+      if (offset > directory.length) {
+        throw new Error('Invalid central directory file header')
+      }
+
+      // Names are in UTF-8 if bit 11 is set, otherwise in CP437, whose extensions can still be read as latin1
+      const name = directory.toString(flags & 0x800 ? 'utf8' : 'latin1', nameStart, extraStart)
+      if (name.endsWith('/')) continue
+
+      if (uncompressedSize === 0xFFFFFFFF) {
+        uncompressedSize = readZip64UncompressedSize(directory, extraStart, extraLength)
+      }
+
+      const result = check(name, uncompressedSize)
+      if (result) return result
+    }
+
+    return null
+  } finally {
+    await handle.close()
+  }
+}
+
+const readString = (block, start, length) => {
+  const end = block.indexOf(0, start)
+  return block.toString('utf8', start, end === -1 || end > start + length ? start + length : end)
+}
+
+const readSize = block => {
+  // Base-256 encoding, for sizes larger than 8 GiB
+  if (block[124] & 0x80) {
+    let size = 0
+    for (let i = 125; i < 136; i++) size = size * 256 + block[i]
+    return size
+  }
+  return parseInt(readString(block, 124, 12).trim() || '0', 8)
+}
+
+const isValidChecksum = block => {
+  const expected = parseInt(readString(block, 148, 8).trim(), 8)
+  let sum = 0
+  for (let i = 0; i < BLOCK_SIZE; i++) {
+    // Checksum field itself is calculated as if it was filled with spaces
+    sum += i >= 148 && i < 156 ? 32 : block[i]
+  }
+  return sum === expected
+}
+
+const readPaxPath = data => {
+  // Records are formatted as "<length> <key>=<value>\n"
+  for (const record of data.toString('utf8').split('\n')) {
+    const match = record.match(/^\d+ path=(.*)$/)
+    if (match) return match[1]
+  }
+  return null
+}
+
+const inspectTar = (file, gzipped, check) => new Promise((resolve, reject) => {
+  const source = fs.createReadStream(file)
+  const stream = gzipped ? source.pipe(zlib.createGunzip()) : source
+
+  let pending = Buffer.alloc(0)
+  let skip = 0
+  // Data of GNU long names and pax headers, which will apply to the next entry
+  let collect = null
+  let nextName = null
+  let settled = false
+
+  const finish = (error, result) => {
+    if (settled) return
+    settled = true
+    source.destroy()
+    if (stream !== source) stream.destroy()
+    if (error) return reject(error)
+    resolve(result || null)
+  }
+
+  const onHeader = block => {
+    // End of archive is marked by zero-filled blocks
+    if (block.every(byte => byte === 0)) return finish()
+    if (!isValidChecksum(block)) return finish(new Error('Invalid tar header checksum'))
+
+    const size = readSize(block)
+    const type = String.fromCharCode(block[156])
+    const padded = Math.ceil(size / BLOCK_SIZE) * BLOCK_SIZE
+
+    if (type === 'L' || type === 'x') {
+      if (size > self.maxHeaderDataSize) return finish(new Error('Tar header data is too large'))
+      collect = { type, size, padded }
+      return
+    }
+
+    let name = readString(block, 0, 100)
+    if (readString(block, 257, 5) === 'ustar') {
+      const prefix = readString(block, 345, 155)
+      if (prefix) name = `${prefix}/${name}`
+    }
+    if (nextName) {
+      name = nextName
+      nextName = null
+    }
+
+    // Only check regular files, thus skipping directories, links, global pax headers, etc.
+    if (['0', '\0', '7'].includes(type)) {
+      const result = check(name, size)
+      if (result) return finish(null, result)
+    }
+
+    skip = padded
+  }
+
+  stream.on('data', chunk => {
+    let offset = 0
+    while (offset < chunk.length) {
+      if (skip > 0) {
+        const length = Math.min(skip, chunk.length - offset)
+        skip -= length
+        offset += length
+        continue
+      }
+
+      const need = collect ? collect.padded : BLOCK_SIZE
+      const length = Math.min(need - pending.length, chunk.length - offset)
+      pending = Buffer.concat([pending, chunk.slice(offset, offset + length)])
+      offset += length
+      if (pending.length < need) break
+
+      const block = pending
+      pending = Buffer.alloc(0)
+      if (collect) {
+        const data = block.slice(0, collect.size)
+        nextName = collect.type === 'L'
+          ? readString(data, 0, data.length)
+          : readPaxPath(data) || nextName
+        collect = null
+      } else {
+        onHeader(block)
+        if (settled) return
+      }
+    }
+  })
+
+  source.on('error', finish)
+  stream.on('error', finish)
+  // Archives that end without end-of-archive blocks are still accepted, as most tools do
+  stream.on('end', () => finish())
+})
+
+self.inspect = async (file, type, check) => {
+  if (type === 'zip') return inspectZip(file, check)
+  return inspectTar(file, type === 'tar.gz', check)
+}
+
+module.exports = self
@@ -0,0 +1,130 @@
+const bcrypt = require('bcrypt')
+const crypto = require('crypto')
+const ClientError = require('./ClientError')
+const paths = require('./../pathsController')
+const config = require('./../../config')
+const db = require('knex')(config.database)
+
+// Password-protected uploads, which will only be served by node after being unlocked with their passwords.
+// Unlocked uploads are remembered with signed cookies, so that there is no need for server-side sessions.
+
+const options = config.uploads.filePasswords || {}
+
+const self = {
+  enabled: Boolean(options.enabled),
+  // Should not be more than 72 characters
+  // https://github.com/kelektiv/node.bcrypt.js#security-issues-and-concerns
+  maxLength: 64,
+  unlockAge: options.unlockAge || 3600, // Seconds
+  cookiePrefix: 'unlock_'
+}
+
+// Without a configured secret, cookies will be invalidated whenever lolisafe restarts
+const secret = options.secret || crypto.randomBytes(32).toString('hex')
+
+// https://github.com/kelektiv/node.bcrypt.js#a-note-on-rounds
+const saltRounds = 10
+
+self.parse = password => {
+  if (password === undefined || password === null || password === '') return null
+
+  if (!self.enabled) {
+    throw new ClientError('Password-protected uploads are disabled.', { statusCode: 403 })
+  }
+
+  password = String(password)
+  if (password.length > self.maxLength) {
+    throw new ClientError(`Password must not be longer than ${self.maxLength} characters.`)
+  }
+
+  return password
+}
+
+self.hash = async password => {
+  const parsed = self.parse(password)
+  if (!parsed) return null
+  return bcrypt.hash(parsed, saltRounds)
+}
+
+self.compare = (password, hash) => {
+  return bcrypt.compare(String(password), hash)
+}
+
+// Cookies are keyed by identifiers, so that they also apply to the uploads' thumbnails
+self.getCookieName = name => `${self.cookiePrefix}${name.split('.')[0]}`
+
+// Password hashes are also signed, so that changing the password will invalidate existing cookies
+const signature = (file, expiry) => {
+  return crypto.createHmac('sha256', secret)
+    .update(`${file.name}:${expiry}:${file.password}`)
+    .digest('hex')
+}
+
+self.createCookie = file => {
+  const expiry = Math.floor(Date.now() / 1000) + self.unlockAge
+  return `${expiry}.${signature(file, expiry)}`
+}
+
+self.isUnlocked = (req, file) => {
+  if (!req.headers.cookie) return false
+
+  const key = `${self.getCookieName(file.name)}=`
+  const cookie = req.headers.cookie.split(/;\s*/).find(cookie => cookie.startsWith(key))
+  if (!cookie) return false
+
+  const [expiry, hmac] = cookie.substring(key.length).split('.')
+  if (!hmac || parseInt(expiry) < Math.floor(Date.now() / 1000)) return false
+
+  const expected = signature(file, expiry)
+  return hmac.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(hmac), Buffer.from(expected))
+}
+
+// Find the upload that the request is for, either the upload itself or its thumbnail
+const getRequestedFile = async req => {
+  const requestPath = paths.normalizeRequestPath(req.path)
+  if (!requestPath) return null
+
+  const thumb = requestPath.match(/^\/thumbs\/([^/.]+)\.png$/)
+  if (thumb) {
+    // Identifiers may contain underscores, which are wildcards in LIKE patterns
+    const files = await db.table('files')
+      .where('name', 'like', `${thumb[1]}.%`)
+      .select('name', 'password')
+    const file = files.find(file => file.name.split('.')[0] === thumb[1])
+    return file ? Object.assign(file, { thumb: true }) : null
+  }
+
+  const match = requestPath.match(/^\/([^/]+)$/)
+  if (!match) return null
+
+  return db.table('files')
+    .where('name', match[1])
+    .select('name', 'password')
+    .first()
+}
+
+// Redirect requests of locked uploads to their password prompt pages
+self.middleware = async (req, res, next) => {
+  if (!self.enabled || !['GET', 'HEAD'].includes(req.method)) return next()
+
+  try {
+    const file = await getRequestedFile(req)
+    if (!file || !file.password) return next()
+
+    // Never let proxies or CDNs cache protected uploads
+    res.set('Cache-Control', 'private, no-store')
+    res.locals.noStore = true
+
+    if (self.isUnlocked(req, file)) return next()
+
+    if (file.thumb) {
+      return res.status(403).end()
+    }
+    return res.redirect(`/unlock/${encodeURIComponent(file.name)}`)
+  } catch (error) {
+    return next(error)
+  }
+}
+
+module.exports = self
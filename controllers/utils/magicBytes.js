@@ -0,0 +1,142 @@
+const fs = require('fs')
+
+const self = {
+  // Number of leading bytes to read from files, enough to reach "ustar" magic in TAR archives
+  sampleSize: 4100
+}
+
+// Signatures are tested in order, so more specific ones must come first.
+// Each signature can have multiple parts, all of which must match at their own offsets.
+const signatures = [
+  { mime: 'image/jpeg', parts: [[0, [0xFF, 0xD8, 0xFF]]] },
+  { mime: 'image/png', parts: [[0, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]]] },
+  { mime: 'image/gif', parts: [[0, 'GIF87a']] },
+  { mime: 'image/gif', parts: [[0, 'GIF89a']] },
+  { mime: 'image/webp', parts: [[0, 'RIFF'], [8, 'WEBP']] },
+  { mime: 'audio/wav', parts: [[0, 'RIFF'], [8, 'WAVE']] },
+  { mime: 'video/x-msvideo', parts: [[0, 'RIFF'], [8, 'AVI ']] },
+  { mime: 'image/tiff', parts: [[0, [0x49, 0x49, 0x2A, 0x00]]] },
+  { mime: 'image/tiff', parts: [[0, [0x4D, 0x4D, 0x00, 0x2A]]] },
+  { mime: 'image/bmp', parts: [[0, 'BM'], [6, [0x00, 0x00, 0x00, 0x00]]] },
+  { mime: 'image/x-icon', parts: [[0, [0x00, 0x00, 0x01, 0x00]]] },
+  { mime: 'image/vnd.adobe.photoshop', parts: [[0, '8BPS']] },
+  { mime: 'video/x-ms-asf', parts: [[0, [0x30, 0x26, 0xB2, 0x75, 0x8E, 0x66, 0xCF, 0x11]]] },
+  { mime: 'video/x-flv', parts: [[0, 'FLV']] },
+  { mime: 'audio/flac', parts: [[0, 'fLaC']] },
+  { mime: 'audio/ogg', parts: [[0, 'OggS']] },
+  { mime: 'audio/mpeg', parts: [[0, 'ID3']] },
+  { mime: 'audio/midi', parts: [[0, 'MThd']] },
+  { mime: 'application/pdf', parts: [[0, '%PDF-']] },
+  { mime: 'application/zip', parts: [[0, [0x50, 0x4B, 0x03, 0x04]]] },
+  { mime: 'application/zip', parts: [[0, [0x50, 0x4B, 0x05, 0x06]]] },
+  { mime: 'application/x-rar-compressed', parts: [[0, [0x52, 0x61, 0x72, 0x21, 0x1A, 0x07]]] },
+  { mime: 'application/x-7z-compressed', parts: [[0, [0x37, 0x7A, 0xBC, 0xAF, 0x27, 0x1C]]] },
+  { mime: 'application/gzip', parts: [[0, [0x1F, 0x8B, 0x08]]] },
+  { mime: 'application/x-bzip2', parts: [[0, 'BZh']] },
+  { mime: 'application/x-xz', parts: [[0, [0xFD, 0x37, 0x7A, 0x58, 0x5A, 0x00]]] },
+  { mime: 'application/x-tar', parts: [[257, 'ustar']] },
+  { mime: 'application/x-msdownload', parts: [[0, 'MZ']] },
+  { mime: 'application/x-elf', parts: [[0, [0x7F, 0x45, 0x4C, 0x46]]] },
+  { mime: 'application/x-mach-binary', parts: [[0, [0xFE, 0xED, 0xFA, 0xCE]]] },
+  { mime: 'application/x-mach-binary', parts: [[0, [0xFE, 0xED, 0xFA, 0xCF]]] },
+  { mime: 'application/x-mach-binary', parts: [[0, [0xCE, 0xFA, 0xED, 0xFE]]] },
+  { mime: 'application/x-mach-binary', parts: [[0, [0xCF, 0xFA, 0xED, 0xFE]]] },
+  { mime: 'application/x-cfb', parts: [[0, [0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1]]] },
+  { mime: 'application/x-shockwave-flash', parts: [[0, 'FWS']] },
+  { mime: 'application/x-shockwave-flash', parts: [[0, 'CWS']] },
+  { mime: 'application/x-sqlite3', parts: [[0, 'SQLite format 3\0']] },
+  { mime: 'application/wasm', parts: [[0, [0x00, 0x61, 0x73, 0x6D]]] },
+  { mime: 'font/woff', parts: [[0, 'wOFF']] },
+  { mime: 'font/woff2', parts: [[0, 'wOF2']] },
+  { mime: 'text/x-shellscript', parts: [[0, '#!']] }
+].map(signature => {
+  signature.parts = signature.parts.map(([offset, bytes]) => [offset, Buffer.from(bytes)])
+  return signature
+})
+
+// ISO base media file format (MP4, MOV, AVIF, etc.) brands
+const ftypBrands = {
+  avif: 'image/avif',
+  avis: 'image/avif',
+  heic: 'image/heic',
+  heix: 'image/heic',
+  mif1: 'image/heif',
+  msf1: 'image/heif',
+  'qt  ': 'video/quicktime',
+  'M4A ': 'audio/mp4',
+  'M4B ': 'audio/mp4',
+  'M4V ': 'video/x-m4v',
+  '3gp4': 'video/3gpp',
+  '3gp5': 'video/3gpp',
+  '3g2a': 'video/3gpp2'
+}
+
+const matches = (buffer, offset, bytes) => {
+  if (buffer.length < offset + bytes.length) return false
+  return buffer.compare(bytes, 0, bytes.length, offset, offset + bytes.length) === 0
+}
+
+// MPEG transport stream, which repeats its sync byte ("G") at the start of every 188 bytes packet.
+// Require it at every packet within the sample, and over enough packets,
+// so that plain text files that merely start with "G" will not be mistaken for one.
+const mpegTsPacketSize = 188
+const mpegTsMinPackets = 5
+
+const isMpegTs = buffer => {
+  if (buffer.length < mpegTsPacketSize * (mpegTsMinPackets - 1) + 1) return false
+  for (let offset = 0; offset < buffer.length; offset += mpegTsPacketSize) {
+    if (buffer[offset] !== 0x47) return false
+  }
+  return true
+}
+
+self.detect = buffer => {
+  if (!buffer || !buffer.length) return null
+
+  // ISO base media file format
+  if (matches(buffer, 4, Buffer.from('ftyp'))) {
+    const brand = buffer.toString('latin1', 8, 12)
+    return ftypBrands[brand] || 'video/mp4'
+  }
+
+  // EBML (Matroska and WebM), which declares its DocType within the header
+  if (matches(buffer, 0, Buffer.from([0x1A, 0x45, 0xDF, 0xA3]))) {
+    const header = buffer.toString('latin1', 0, 64)
+    return header.includes('webm') ? 'video/webm' : 'video/x-matroska'
+  }
+
+  if (isMpegTs(buffer)) {
+    return 'video/mp2t'
+  }
+
+  for (const signature of signatures) {
+    if (signature.parts.every(([offset, bytes]) => matches(buffer, offset, bytes))) {
+      return signature.mime
+    }
+  }
+
+  // MPEG audio frame without ID3 tag (11 bits frame sync, with a valid layer)
+  if (buffer.length > 1 && buffer[0] === 0xFF && (buffer[1] & 0xE0) === 0xE0 && (buffer[1] & 0x06) !== 0) {
+    return 'audio/mpeg'
+  }
+
+  return null
+}
+
+// Read up to "size" leading bytes of a file
+self.readSample = async (file, size = self.sampleSize) => {
+  const handle = await fs.promises.open(file, 'r')
+  try {
+    const buffer = Buffer.alloc(size)
+    const { bytesRead } = await handle.read(buffer, 0, size, 0)
+    return buffer.slice(0, bytesRead)
+  } finally {
+    await handle.close()
+  }
+}
+
+self.detectFile = async file => {
+  return self.detect(await self.readSample(file))
+}
+
+module.exports = self
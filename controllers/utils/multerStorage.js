@@ -24,59 +24,42 @@ DiskStorage.prototype._handleFile = function _handleFile (req, file, cb) {
       if (err) return cb(err)
 
       const finalPath = path.join(destination, filename)
+      const hash = blake3.createHash()
       const onerror = err => {
         hash.dispose()
         cb(err)
       }
 
       let outStream
-      let hash
       if (file._isChunk) {
-        if (!file._chunksData.stream) {
-          file._chunksData.stream = fs.createWriteStream(finalPath, { flags: 'a' })
-          file._chunksData.stream.on('error', onerror)
-        }
-        if (!file._chunksData.hasher) {
-          file._chunksData.hasher = blake3.createHash()
-        }
-
-        outStream = file._chunksData.stream
-        hash = file._chunksData.hasher
+        // Chunks may arrive out of order, so write them at their own byte offsets
+        outStream = fs.createWriteStream(finalPath, { flags: 'r+', start: file._chunkOffset })
       } else {
         outStream = fs.createWriteStream(finalPath)
-        outStream.on('error', onerror)
-        hash = blake3.createHash()
       }
+      outStream.on('error', onerror)
 
       file.stream.on('error', onerror)
       file.stream.on('data', d => hash.update(d))
 
-      if (file._isChunk) {
-        file.stream.on('end', () => {
-          cb(null, {
-            destination,
-            filename,
-            path: finalPath
-          })
-        })
-        file.stream.pipe(outStream, { end: false })
-      } else {
-        outStream.on('finish', () => {
-          cb(null, {
-            destination,
-            filename,
-            path: finalPath,
-            size: outStream.bytesWritten,
-            hash: hash.digest('hex')
-          })
+      outStream.on('finish', () => {
+        cb(null, {
+          destination,
+          filename,
+          path: finalPath,
+          size: outStream.bytesWritten,
+          hash: hash.digest('hex')
         })
-        file.stream.pipe(outStream)
-      }
+      })
+      file.stream.pipe(outStream)
     })
   })
 }
 
 DiskStorage.prototype._removeFile = function _removeFile (req, file, cb) {
+  // Chunks share the same tmp file, which will be cleaned up along with their upload session
+  if (file._isChunk) return cb(null)
+
   const path = file.path
 
   delete file.destination
@@ -0,0 +1,92 @@
+const fs = require('fs')
+const path = require('path')
+const ClientError = require('./ClientError')
+const ServerError = require('./ServerError')
+const config = require('./../../config')
+const logger = require('./../../logger')
+
+// Loads plugins from the configured folder, and runs their hooks at each step of the upload pipeline.
+// This does not depend on other controllers, so that any of them can run hooks.
+
+const options = config.plugins || {}
+
+const self = {
+  enabled: Boolean(options.enabled),
+  folder: path.resolve(options.folder || 'plugins'),
+  hooks: [
+    // Before receiving any files of the request
+    'preAccept',
+    // After the files have been written to disk, but before any processing
+    'postWrite',
+    // After all processing, right before the new files are inserted into the database
+    'preStore',
+    // After the new files have been inserted into the database
+    'postStore',
+    // Right before uploads are deleted
+    'preDelete',
+    // After uploads have been deleted
+    'postDelete'
+  ],
+  // Hooks that may reject by throwing (e.g. ClientError), which will be thrown to the caller.
+  // The others are only meant for side effects, so their errors will only be logged.
+  rejectable: [
+    'preAccept',
+    'postWrite',
+    'preStore',
+    'preDelete'
+  ],
+  plugins: []
+}
+
+// Things plugins may need, without having to require them by relative paths
+const api = {
+  ClientError,
+  ServerError,
+  config,
+  logger
+}
+
+const load = () => {
+  let filenames
+  try {
+    filenames = fs.readdirSync(self.folder)
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error
+    logger.log(`[Plugins]: ${self.folder} does not exist, no plugins loaded`)
+    return
+  }
+
+  // Plugins will run in the order of their file names
+  for (const filename of filenames.filter(filename => filename.endsWith('.js')).sort()) {
+    const exported = require(path.join(self.folder, filename))
+    const plugin = typeof exported === 'function' ? exported(api) : exported
+    if (!plugin || typeof plugin !== 'object') {
+      throw new Error(`Plugin ${filename} did not export an object or a function that returns one`)
+    }
+
+    plugin.name = plugin.name || path.basename(filename, '.js')
+    const hooks = self.hooks.filter(hook => typeof plugin[hook] === 'function')
+    self.plugins.push(plugin)
+    logger.log(`[Plugins]: Loaded ${plugin.name} (${hooks.join(', ') || 'no hooks'})`)
+  }
+}
+
+if (self.enabled) load()
+
+self.has = hook => self.plugins.some(plugin => typeof plugin[hook] === 'function')
+
+// Run the hook of all plugins one after another, so that each may see the changes of the previous ones
+self.run = async (hook, context) => {
+  const reject = self.rejectable.includes(hook)
+  for (const plugin of self.plugins) {
+    if (typeof plugin[hook] !== 'function') continue
+    try {
+      await plugin[hook](context)
+    } catch (error) {
+      if (reject) throw error
+      logger.error(`[Plugins]: ${plugin.name} ${hook}: ${error.toString()}`)
+    }
+  }
+}
+
+module.exports = self
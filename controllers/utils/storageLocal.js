@@ -0,0 +1,50 @@
+const fs = require('fs')
+const path = require('path')
+const paths = require('./../pathsController')
+
+// Default storage driver, which keeps files in their local folders (uploads, thumbs, zips).
+// Since files are already processed within those folders, storing them is a no-op.
+
+const self = {}
+
+const resolve = (area, name) => path.join(paths[area], name)
+
+self.put = async (area, name, file) => {
+  const destination = resolve(area, name)
+  if (file !== destination) {
+    await paths.copyFile(file, destination)
+  }
+}
+
+self.stat = async (area, name) => {
+  try {
+    const stat = await paths.stat(resolve(area, name))
+    return {
+      size: stat.size,
+      mtime: stat.mtime
+    }
+  } catch (error) {
+    // Re-throw non-ENOENT error
+    if (error.code !== 'ENOENT') throw error
+    return null
+  }
+}
+
+self.createReadStream = async (area, name) => {
+  return fs.createReadStream(resolve(area, name))
+}
+
+self.rename = async (area, name, newName) => {
+  await paths.rename(resolve(area, name), resolve(area, newName))
+}
+
+self.remove = async (area, name) => {
+  try {
+    await paths.unlink(resolve(area, name))
+  } catch (error) {
+    // Re-throw non-ENOENT error
+    if (error.code !== 'ENOENT') throw error
+  }
+}
+
+module.exports = self
@@ -0,0 +1,196 @@
+const crypto = require('crypto')
+const fetch = require('node-fetch')
+const fs = require('fs')
+const config = require('./../../config')
+
+// Minimal S3-compatible client (e.g. AWS S3, MinIO, Backblaze B2, Wasabi),
+// with its own Signature Version 4 signing to avoid pulling in a whole SDK.
+// https://docs.aws.amazon.com/AmazonS3/latest/API/sig-v4-authenticating-requests.html
+
+const options = config.storage && config.storage.s3
+  ? config.storage.s3
+  : {}
+
+const self = {
+  endpoint: options.endpoint ? new URL(options.endpoint) : null,
+  region: options.region || 'us-east-1',
+  bucket: options.bucket,
+  prefix: options.prefix || '',
+  forcePathStyle: options.forcePathStyle !== false,
+  // Presigned URLs are valid for at most 7 days
+  presignExpiry: Math.min(options.presignExpiry || 3600, 604800)
+}
+
+const unsignedPayload = 'UNSIGNED-PAYLOAD'
+
+const sha256 = data => crypto.createHash('sha256').update(data).digest('hex')
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest()
+
+// AWS expects stricter URI encoding than encodeURIComponent()
+const encode = string => encodeURIComponent(string)
+  .replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`)
+
+const toAmzDate = date => date.toISOString().replace(/[:-]|\.\d{3}/g, '')
+
+self.key = (area, name) => {
+  // Mirror layout of the local uploads folder, so that buckets can be served as-is
+  return `${self.prefix}${area === 'uploads' ? '' : `${area}/`}${name}`
+}
+
+self.url = (key, query = {}) => {
+  const encodedKey = key.split('/').map(encode).join('/')
+  const url = new URL(self.endpoint.href)
+  if (self.forcePathStyle) {
+    url.pathname = `${url.pathname.replace(/\/$/, '')}/${self.bucket}/${encodedKey}`
+  } else {
+    url.hostname = `${self.bucket}.${url.hostname}`
+    url.pathname = `${url.pathname.replace(/\/$/, '')}/${encodedKey}`
+  }
+  url.search = Object.keys(query)
+    .sort()
+    .map(name => `${encode(name)}=${encode(query[name])}`)
+    .join('&')
+  return url
+}
+
+self.signature = (method, url, headers, payloadHash, amzDate) => {
+  const names = Object.keys(headers)
+    .map(name => name.toLowerCase())
+    .sort()
+  const lowerHeaders = {}
+  for (const name of Object.keys(headers)) {
+    lowerHeaders[name.toLowerCase()] = String(headers[name]).trim().replace(/\s+/g, ' ')
+  }
+
+  const canonicalRequest = [
+    method,
+    url.pathname,
+    url.search.replace(/^\?/, ''),
+    names.map(name => `${name}:${lowerHeaders[name]}\n`).join(''),
+    names.join(';'),
+    payloadHash
+  ].join('\n')
+
+  const scope = `${amzDate.slice(0, 8)}/${self.region}/s3/aws4_request`
+  const stringToSign = [
+    'AWS4-HMAC-SHA256',
+    amzDate,
+    scope,
+    sha256(canonicalRequest)
+  ].join('\n')
+
+  let key = hmac(`AWS4${options.secretAccessKey}`, amzDate.slice(0, 8))
+  for (const part of [self.region, 's3', 'aws4_request']) {
+    key = hmac(key, part)
+  }
+
+  return {
+    credential: `${options.accessKeyId}/${scope}`,
+    signedHeaders: names.join(';'),
+    signature: hmac(key, stringToSign).toString('hex')
+  }
+}
+
+self.request = async (method, key, opts = {}) => {
+  const url = self.url(key, opts.query)
+  const amzDate = toAmzDate(opts.date || new Date())
+  const headers = Object.assign({}, opts.headers, {
+    host: url.host,
+    'x-amz-content-sha256': unsignedPayload,
+    'x-amz-date': amzDate
+  })
+
+  const signed = self.signature(method, url, headers, unsignedPayload, amzDate)
+  headers.authorization = `AWS4-HMAC-SHA256 Credential=${signed.credential}, ` +
+    `SignedHeaders=${signed.signedHeaders}, Signature=${signed.signature}`
+  delete headers.host
+
+  const res = await fetch(url.href, { method, headers, body: opts.body, redirect: 'manual' })
+
+  if (!res.ok && !(opts.allowStatuses || []).includes(res.status)) {
+    // Error responses of S3 are XML documents, but their codes alone are descriptive enough
+    const text = method === 'HEAD' ? '' : await res.text().catch(() => '')
+    const code = text.match(/<Code>([^<]+)<\/Code>/)
+    throw new Error(`S3 ${method} ${key} failed with status ${res.status}${code ? ` (${code[1]})` : ''}.`)
+  }
+
+  return res
+}
+
+self.presign = (key, query = {}, date = new Date()) => {
+  const amzDate = toAmzDate(date)
+  const scope = `${amzDate.slice(0, 8)}/${self.region}/s3/aws4_request`
+  const fullQuery = Object.assign({}, query, {
+    'X-Amz-Algorithm': 'AWS4-HMAC-SHA256',
+    'X-Amz-Credential': `${options.accessKeyId}/${scope}`,
+    'X-Amz-Date': amzDate,
+    'X-Amz-Expires': String(self.presignExpiry),
+    'X-Amz-SignedHeaders': 'host'
+  })
+
+  const url = self.url(key, fullQuery)
+  const signed = self.signature('GET', url, { host: url.host }, unsignedPayload, amzDate)
+  url.search += `&X-Amz-Signature=${signed.signature}`
+  return url.href
+}
+
+self.put = async (area, name, file, opts = {}) => {
+  const stat = await fs.promises.stat(file)
+  await self.request('PUT', self.key(area, name), {
+    headers: {
+      'content-length': stat.size,
+      'content-type': opts.contentType || 'application/octet-stream'
+    },
+    body: fs.createReadStream(file)
+  })
+}
+
+self.stat = async (area, name) => {
+  const res = await self.request('HEAD', self.key(area, name), {
+    allowStatuses: [404]
+  })
+  if (res.status === 404) return null
+  return {
+    size: parseInt(res.headers.get('content-length')),
+    mtime: new Date(res.headers.get('last-modified'))
+  }
+}
+
+self.get = async (area, name, opts = {}) => {
+  return self.request(opts.method || 'GET', self.key(area, name), {
+    headers: opts.headers,
+    allowStatuses: [304, 404, 412, 416]
+  })
+}
+
+self.createReadStream = async (area, name) => {
+  const res = await self.request('GET', self.key(area, name))
+  return res.body
+}
+
+self.copy = async (area, name, newName) => {
+  const source = `/${self.bucket}/${self.key(area, name).split('/').map(encode).join('/')}`
+  await self.request('PUT', self.key(area, newName), {
+    headers: { 'x-amz-copy-source': source }
+  })
+}
+
+self.remove = async (area, name) => {
+  // S3 will respond with 204 regardless of whether the object exists
+  await self.request('DELETE', self.key(area, name))
+}
+
+self.getUrl = (area, name, opts = {}) => {
+  const key = self.key(area, name)
+  if (options.publicUrl && !opts.contentDisposition) {
+    return `${options.publicUrl.replace(/\/$/, '')}/${key.split('/').map(encode).join('/')}`
+  }
+
+  const query = {}
+  if (opts.contentDisposition) {
+    query['response-content-disposition'] = opts.contentDisposition
+  }
+  return self.presign(key, query)
+}
+
+module.exports = self
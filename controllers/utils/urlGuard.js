@@ -0,0 +1,210 @@
+const dns = require('dns')
+const fetch = require('node-fetch')
+const http = require('http')
+const https = require('https')
+const net = require('net')
+const ClientError = require('./ClientError')
+const config = require('./../../config')
+
+// Guards URL uploads against server-side request forgery (SSRF),
+// by validating every URL (including redirects) and every address they resolve to.
+
+const self = {
+  allowedSchemes: (Array.isArray(config.uploads.urlAllowedSchemes) && config.uploads.urlAllowedSchemes.length
+    ? config.uploads.urlAllowedSchemes
+    : ['http', 'https']).map(scheme => scheme.replace(/:$/, '').toLowerCase()),
+  maxRedirects: typeof config.uploads.urlMaxRedirects === 'number'
+    ? config.uploads.urlMaxRedirects
+    : 5,
+  hostsFilterMode: ['blacklist', 'whitelist'].includes(config.uploads.urlHostsFilterMode)
+    ? config.uploads.urlHostsFilterMode
+    : null,
+  hostsFilter: (Array.isArray(config.uploads.urlHostsFilter) ? config.uploads.urlHostsFilter : [])
+    .map(host => host.replace(/^\*?\./, '').toLowerCase())
+}
+
+// Private, loopback, link-local, and other special-purpose ranges that should never be fetched
+// https://www.iana.org/assignments/iana-ipv4-special-registry
+// https://www.iana.org/assignments/iana-ipv6-special-registry
+const privateRanges = [
+  '0.0.0.0/8',
+  '10.0.0.0/8',
+  '100.64.0.0/10',
+  '127.0.0.0/8',
+  '169.254.0.0/16',
+  '172.16.0.0/12',
+  '192.0.0.0/24',
+  '192.0.2.0/24',
+  '192.88.99.0/24',
+  '192.168.0.0/16',
+  '198.18.0.0/15',
+  '198.51.100.0/24',
+  '203.0.113.0/24',
+  '224.0.0.0/4',
+  '240.0.0.0/4',
+  '::/128',
+  '::1/128',
+  '64:ff9b::/96',
+  '100::/64',
+  '2001:db8::/32',
+  'fc00::/7',
+  'fe80::/10',
+  'ff00::/8'
+]
+
+// Parse IPv4 and IPv6 addresses into 16 bytes (IPv4 addresses as IPv4-mapped IPv6 addresses),
+// so that both can be matched against the same ranges
+const parseAddress = address => {
+  address = address.replace(/^\[|\]$/g, '').replace(/%.*$/, '')
+
+  if (net.isIPv4(address)) {
+    return [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0xFF, 0xFF, ...address.split('.').map(Number)]
+  } else if (!net.isIPv6(address)) {
+    return null
+  }
+
+  const parseGroups = part => {
+    const groups = []
+    if (!part) return groups
+    for (const group of part.split(':')) {
+      if (group.includes('.')) {
+        // Embedded IPv4 address (e.g. ::ffff:127.0.0.1)
+        const bytes = group.split('.').map(Number)
+        groups.push((bytes[0] << 8) | bytes[1], (bytes[2] << 8) | bytes[3])
+      } else {
+        groups.push(parseInt(group, 16))
+      }
+    }
+    return groups
+  }
+
+  let groups
+  if (address.includes('::')) {
+    const [head, tail] = address.split('::').map(parseGroups)
+    groups = [...head, ...new Array(8 - head.length - tail.length).fill(0), ...tail]
+  } else {
+    groups = parseGroups(address)
+  }
+
+  const bytes = []
+  for (const group of groups) {
+    bytes.push(group >> 8, group & 0xFF)
+  }
+  return bytes
+}
+
+const parseRange = range => {
+  const [address, prefix] = range.split('/')
+  const bytes = parseAddress(address)
+  if (!bytes) throw new Error(`Invalid CIDR range: ${range}`)
+
+  const isIPv4 = net.isIPv4(address)
+  const bits = prefix === undefined
+    ? 128
+    : parseInt(prefix) + (isIPv4 ? 96 : 0)
+  return { bytes, bits }
+}
+
+const inRange = (bytes, range) => {
+  for (let i = 0; i < 16; i++) {
+    const bits = Math.min(Math.max(range.bits - (i * 8), 0), 8)
+    if (bits === 0) return true
+    const mask = (0xFF << (8 - bits)) & 0xFF
+    if ((bytes[i] & mask) !== (range.bytes[i] & mask)) return false
+  }
+  return true
+}
+
+const blockedRanges = [
+  ...(config.uploads.urlBlockPrivateAddresses !== false ? privateRanges : []),
+  ...(Array.isArray(config.uploads.urlBlockedRanges) ? config.uploads.urlBlockedRanges : [])
+].map(parseRange)
+
+self.isBlockedAddress = address => {
+  const bytes = parseAddress(address)
+  // Refuse anything that is not a valid address to begin with
+  if (!bytes) return true
+  return blockedRanges.some(range => inRange(bytes, range))
+}
+
+self.isFilteredHost = hostname => {
+  if (!self.hostsFilterMode) return false
+  hostname = hostname.toLowerCase()
+  // Entries will also match their subdomains
+  const match = self.hostsFilter.some(host => hostname === host || hostname.endsWith(`.${host}`))
+  const whitelist = self.hostsFilterMode === 'whitelist'
+  return (!whitelist && match) || (whitelist && !match)
+}
+
+self.assertUrl = url => {
+  let parsed
+  try {
+    parsed = new URL(url)
+  } catch (error) {
+    throw new ClientError(`Invalid URL: ${url}.`)
+  }
+
+  const scheme = parsed.protocol.replace(/:$/, '')
+  if (!self.allowedSchemes.includes(scheme)) {
+    throw new ClientError(`URLs with ${scheme.toUpperCase()} scheme are not permitted.`)
+  }
+
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, '')
+  if (self.isFilteredHost(hostname)) {
+    throw new ClientError(`URLs from ${hostname} are not permitted.`)
+  }
+
+  // Hosts that are already IP addresses will not go through DNS lookups below
+  if (net.isIP(hostname) && self.isBlockedAddress(hostname)) {
+    throw new ClientError(`URLs to ${hostname} are not permitted, as it is a private or reserved address.`)
+  }
+
+  return parsed
+}
+
+self.fetch = async (url, options = {}) => {
+  for (let redirects = 0; ; redirects++) {
+    const parsed = self.assertUrl(url)
+
+    // Check addresses at the same time they are resolved for connecting,
+    // so that the checks can not be bypassed by DNS rebinding
+    let blocked = null
+    const lookup = (hostname, opts, callback) => {
+      dns.lookup(hostname, Object.assign({}, opts, { all: true }), (error, addresses) => {
+        if (error) return callback(error)
+        const address = addresses.find(address => self.isBlockedAddress(address.address))
+        if (address) {
+          blocked = new ClientError(`URLs from ${hostname} are not permitted, as it resolves to a private or reserved address.`)
+          return callback(blocked)
+        }
+        if (opts.all) return callback(null, addresses)
+        callback(null, addresses[0].address, addresses[0].family)
+      })
+    }
+    const agent = parsed.protocol === 'https:'
+      ? new https.Agent({ lookup })
+      : new http.Agent({ lookup })
+
+    let res
+    try {
+      res = await fetch(parsed.href, Object.assign({}, options, { agent, redirect: 'manual' }))
+    } catch (error) {
+      throw blocked || error
+    }
+
+    const location = res.headers.get('location')
+    if (![301, 302, 303, 307, 308].includes(res.status) || !location) {
+      return res
+    }
+
+    // Discard body of the redirect response
+    res.body.resume()
+
+    if (redirects >= self.maxRedirects) {
+      throw new ClientError(`Too many redirects (max ${self.maxRedirects}).`)
+    }
+    url = new URL(location, parsed).href
+  }
+}
+
+module.exports = self
@@ -0,0 +1,176 @@
+const crypto = require('crypto')
+const fetch = require('node-fetch')
+const urlGuard = require('./urlGuard')
+const perms = require('./../permissionController')
+const config = require('./../../config')
+const logger = require('./../../logger')
+const db = require('knex')(config.database)
+
+// Delivers events to outgoing webhooks, both the global ones from config file and the users' own.
+// This does not depend on other controllers, so that any of them can emit events.
+
+const options = config.webhooks || {}
+
+const self = {
+  enabled: Boolean(options.enabled),
+  events: [
+    'upload',
+    'delete',
+    'album.create',
+    'album.edit',
+    'album.disable',
+    'user.register'
+  ],
+  // Events that only concern the site owner, thus will only be delivered to global webhooks
+  globalEvents: [
+    'user.register'
+  ],
+  timeout: options.timeout || 10000,
+  retries: typeof options.retries === 'number' ? options.retries : 5,
+  retryDelay: options.retryDelay || 10000,
+  logRetention: (options.logRetention || 7) * 86400 // Days to seconds
+}
+
+const endpoints = (Array.isArray(options.endpoints) ? options.endpoints : [])
+  .filter(endpoint => endpoint && endpoint.url)
+
+let lastPrunedAt = 0
+
+// Webhooks that do not specify any events will receive all of them
+const subscribes = (events, event) => !events || !events.length || events.includes(event)
+
+// Whether the user may manage their own webhooks
+self.isPermitted = user => {
+  return self.enabled && Boolean(options.userGroup) && perms.is(user, options.userGroup)
+}
+
+// Events of users' webhooks are stored as comma-separated strings
+self.parseEvents = events => {
+  return events ? events.split(',') : []
+}
+
+self.sign = (secret, body) => {
+  return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`
+}
+
+const pruneDeliveries = async () => {
+  const now = Math.floor(Date.now() / 1000)
+  // Prune at most once an hour
+  if (now - lastPrunedAt < 3600) return
+  lastPrunedAt = now
+
+  await db.table('webhookdeliveries')
+    .where('timestamp', '<', now - self.logRetention)
+    .del()
+}
+
+const attempt = async (delivery, target, body) => {
+  delivery.attempts++
+
+  let status = null
+  let error = null
+  try {
+    const headers = {
+      'Content-Type': 'application/json',
+      'Lolisafe-Event': delivery.event,
+      'Lolisafe-Delivery': String(delivery.id)
+    }
+    if (target.secret) {
+      headers['Lolisafe-Signature'] = self.sign(target.secret, body)
+    }
+
+    // Users' webhooks are guarded the same way as URL uploads, unlike the trusted ones from config file
+    const fetchUrl = target.userid ? urlGuard.fetch : fetch
+    const res = await fetchUrl(target.url, {
+      method: 'POST',
+      headers,
+      body,
+      timeout: self.timeout
+    })
+    // Discard response body
+    res.body.resume()
+
+    status = res.status
+    if (!res.ok) error = `${res.status} ${res.statusText}`
+  } catch (err) {
+    error = err.toString()
+  }
+
+  await db.table('webhookdeliveries')
+    .where('id', delivery.id)
+    .update({
+      status,
+      attempts: delivery.attempts,
+      error
+    })
+
+  if (error) {
+    if (delivery.retry && delivery.attempts <= self.retries) {
+      // Exponential backoff
+      const delay = self.retryDelay * Math.pow(2, delivery.attempts - 1)
+      setTimeout(() => attempt(delivery, target, body).catch(logger.error), delay).unref()
+    } else {
+      logger.log(`[Webhooks]: ${delivery.event} to ${target.url} failed after ${delivery.attempts} attempt(s): ${error}`)
+    }
+  }
+
+  return { status, error }
+}
+
+self.deliver = async (target, event, userid, data, retry = true) => {
+  const timestamp = Math.floor(Date.now() / 1000)
+  const ids = await db.table('webhookdeliveries')
+    .insert({
+      webhookid: target.id || null,
+      event,
+      url: target.url,
+      status: null,
+      attempts: 0,
+      error: null,
+      timestamp
+    })
+
+  const delivery = {
+    id: ids[0],
+    event,
+    attempts: 0,
+    retry
+  }
+
+  const body = JSON.stringify({
+    event,
+    delivery: delivery.id,
+    timestamp,
+    userid,
+    data
+  })
+
+  // Continue even when encountering errors
+  pruneDeliveries().catch(logger.error)
+
+  return attempt(delivery, target, body)
+}
+
+// Deliver the event in background, so this will never throw nor block the caller
+self.emit = (event, userid, data) => {
+  if (!self.enabled) return
+
+  ;(async () => {
+    const targets = endpoints.filter(endpoint => subscribes(endpoint.events, event))
+
+    if (userid && !self.globalEvents.includes(event)) {
+      const webhooks = await db.table('webhooks')
+        .where({
+          userid,
+          enabled: 1
+        })
+      targets.push(...webhooks.filter(webhook => subscribes(self.parseEvents(webhook.events), event)))
+    }
+
+    await Promise.all(targets.map(target =>
+      self.deliver(target, event, userid, data).catch(logger.error)
+    ))
+  })().catch(logger.error)
+}
+
+module.exports = self
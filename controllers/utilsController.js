@@ -1,14 +1,19 @@
 const { promisify } = require('util')
+const blake3 = require('blake3')
 const fetch = require('node-fetch')
 const ffmpeg = require('fluent-ffmpeg')
+const fs = require('fs')
 const path = require('path')
 const sharp = require('sharp')
 const si = require('systeminformation')
 const paths = require('./pathsController')
 const perms = require('./permissionController')
+const storage = require('./storageController')
 const apiErrorsHandler = require('./handlers/apiErrorsHandler')
 const ClientError = require('./utils/ClientError')
+const plugins = require('./utils/pluginManager')
 const ServerError = require('./utils/ServerError')
+const webhooks = require('./utils/webhookDispatcher')
 const config = require('./../config')
 const logger = require('./../logger')
 const db = require('knex')(config.database)
@@ -123,6 +128,65 @@ self.extname = (filename, lower) => {
   return lower ? str.toLowerCase() : str
 }
 
+// Folders and routes that are served at the root of the domain,
+// thus may not be used as identifiers of uploads
+self.reservedIdentifiers = [
+  'a', 'api', 'auth', 'blobs', 'chunks', 'css', 'dashboard', 'e', 'faq', 'icons',
+  'images', 'js', 'libs', 'nojs', 'player', 'render', 't', 'text', 'thumbs', 'unlock', 'v', 'zips'
+]
+
+self.slugify = string => {
+  return string
+    // Strip diacritics
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-zA-Z0-9_-]+/g, '-')
+    .substring(0, 64)
+    .replace(/^-+|-+$/g, '')
+}
+
+// Slugified original name of the upload, with the upload's actual extension (e.g. "report-final.pdf")
+self.getFileSlug = file => {
+  if (!config.originalNameUrls || !file.original) return null
+
+  const original = file.original.slice(0, file.original.length - self.extname(file.original).length)
+  const slug = self.slugify(original)
+  if (!slug) return null
+
+  return slug + self.extname(file.name)
+}
+
+// Path of the upload relative to the domain, either its name (e.g. "abc123.pdf"),
+// or its identifier followed by its slug (e.g. "abc123/report-final.pdf")
+self.getFilePath = file => {
+  const slug = self.getFileSlug(file)
+  if (!slug) return file.name
+
+  const extname = self.extname(file.name)
+  return `${file.name.slice(0, file.name.length - extname.length)}/${slug}`
+}
+
+// Uploads' details to be included in webhooks' payloads
+self.formatWebhookFile = file => {
+  return {
+    name: file.name,
+    original: file.original,
+    type: file.type,
+    size: parseInt(file.size),
+    hash: file.hash,
+    albumid: file.albumid || null,
+    expirydate: file.expirydate || null,
+    url: `${config.domain}/${self.getFilePath(file)}`
+  }
+}
+
+// Resolve request paths of the latter back into the uploads' names
+self.resolveFilePath = reqPath => {
+  const match = reqPath.match(/^\/([^/.]+)\/([^/]+)$/)
+  if (!match || self.reservedIdentifiers.includes(match[1].toLowerCase())) return null
+  return match[1] + self.extname(match[2])
+}
+
 self.escape = string => {
   // MIT License
   // Copyright(c) 2012-2013 TJ Holowaychuk
@@ -209,115 +273,89 @@ self.authorize = async req => {
   return self.assertUser(token)
 }
 
+// Per-user columns will override their group's default quotas.
+// Their values are in bytes and number of uploads, and 0 means unlimited.
+self.getUserQuota = user => {
+  const quota = { size: null, count: null }
+  if (!user || user.username === 'root') return quota
+
+  if (config.uploads.quotas) {
+    // Use quotas of the highest group that the user is in
+    const group = perms.highestGroup(user, Object.keys(config.uploads.quotas))
+    if (group) {
+      quota.size = (parseInt(config.uploads.quotas[group].size) * 1e6) || null
+      quota.count = parseInt(config.uploads.quotas[group].count) || null
+    }
+  }
+
+  if (typeof user.quotasize === 'number') quota.size = user.quotasize || null
+  if (typeof user.quotacount === 'number') quota.count = user.quotacount || null
+
+  return quota
+}
+
+self.getUserUsage = async user => {
+  const row = await db.table('files')
+    .where('userid', user.id)
+    .count('id as count')
+    .sum('size as size')
+    .first()
+  return {
+    size: parseInt(row.size) || 0,
+    count: parseInt(row.count) || 0
+  }
+}
+
+// Returns null if the user is not limited by any quotas
+self.getQuotaInfo = async user => {
+  const quota = self.getUserQuota(user)
+  if (quota.size === null && quota.count === null) return null
+
+  const usage = await self.getUserUsage(user)
+  return {
+    size: quota.size,
+    count: quota.count,
+    usedSize: usage.size,
+    usedCount: usage.count
+  }
+}
+
 self.generateThumbs = async (name, extname, force) => {
   extname = extname.toLowerCase()
-  const thumbname = path.join(paths.thumbs, name.slice(0, -extname.length) + '.png')
+  if (!self.imageExts.includes(extname) && !self.videoExts.includes(extname)) return false
+
+  const thumb = name.slice(0, -extname.length) + '.png'
+  const thumbname = path.join(paths.thumbs, thumb)
 
   try {
     // Check if thumbnail already exists
-    try {
-      const lstat = await paths.lstat(thumbname)
-      if (lstat.isSymbolicLink()) {
-        // Unlink if symlink (should be symlink to the placeholder)
-        await paths.unlink(thumbname)
-      } else if (!force) {
-        // Continue only if it does not exist, unless forced to
-        return true
-      }
-    } catch (error) {
-      // Re-throw non-ENOENT error
-      if (error.code !== 'ENOENT') throw error
-    }
-
-    // Full path to input file
-    const input = path.join(paths.uploads, name)
-
-    // If image extension
-    if (self.imageExts.includes(extname)) {
-      const resizeOptions = {
-        width: self.thumbsSize,
-        height: self.thumbsSize,
-        fit: 'contain',
-        background: {
-          r: 0,
-          g: 0,
-          b: 0,
-          alpha: 0
+    if (storage.isLocal) {
+      try {
+        const lstat = await paths.lstat(thumbname)
+        if (lstat.isSymbolicLink()) {
+          // Unlink if symlink (should be symlink to the placeholder)
+          await paths.unlink(thumbname)
+        } else if (!force) {
+          // Continue only if it does not exist, unless forced to
+          return true
         }
+      } catch (error) {
+        // Re-throw non-ENOENT error
+        if (error.code !== 'ENOENT') throw error
       }
-      const image = sharp(input)
-      const metadata = await image.metadata()
-      if (metadata.width > resizeOptions.width || metadata.height > resizeOptions.height) {
-        await image
-          .resize(resizeOptions)
-          .toFile(thumbname)
-      } else if (metadata.width === resizeOptions.width && metadata.height === resizeOptions.height) {
-        await image
-          .toFile(thumbname)
-      } else {
-        const x = resizeOptions.width - metadata.width
-        const y = resizeOptions.height - metadata.height
-        await image
-          .extend({
-            top: Math.floor(y / 2),
-            bottom: Math.ceil(y / 2),
-            left: Math.floor(x / 2),
-            right: Math.ceil(x / 2),
-            background: resizeOptions.background
-          })
-          .toFile(thumbname)
-      }
-    } else if (self.videoExts.includes(extname)) {
-      const metadata = await self.ffprobe(input)
-
-      const duration = parseInt(metadata.format.duration)
-      if (isNaN(duration)) {
-        throw new Error('File does not have valid duration metadata')
-      }
-
-      const videoStream = metadata.streams && metadata.streams.find(s => s.codec_type === 'video')
-      if (!videoStream || !videoStream.width || !videoStream.height) {
-        throw new Error('File does not have valid video stream metadata')
-      }
-
-      await new Promise((resolve, reject) => {
-        ffmpeg(input)
-          .on('error', error => reject(error))
-          .on('end', () => resolve())
-          .screenshots({
-            folder: paths.thumbs,
-            filename: name.slice(0, -extname.length) + '.png',
-            timestamps: ['20%'],
-            size: videoStream.width >= videoStream.height
-              ? `${self.thumbsSize}x?`
-              : `?x${self.thumbsSize}`
-          })
-      })
-        .catch(error => error) // Error passthrough
-        .then(async error => {
-          // FFMPEG would just warn instead of exiting with errors when dealing with incomplete files
-          // Sometimes FFMPEG would throw errors but actually somehow succeeded in making the thumbnails
-          // (this could be a fallback mechanism of fluent-ffmpeg library instead)
-          // So instead we check if the thumbnail exists to really make sure
-          try {
-            await paths.lstat(thumbname)
-            return true
-          } catch (err) {
-            if (err.code === 'ENOENT') {
-              throw error || new Error('FFMPEG exited with empty output file')
-            } else {
-              throw error || err
-            }
-          }
-        })
-    } else {
-      return false
+    } else if (!force && await storage.stat('thumbs', thumb)) {
+      return true
     }
+
+    // Input file will be temporarily fetched from storage driver if necessary
+    await storage.useLocalFile('uploads', name, input => self.generateThumbFile(input, extname, thumbname))
+    await storage.commit('thumbs', thumb)
   } catch (error) {
     logger.error(`[${name}]: generateThumbs(): ${error.toString().trim()}`)
     try {
       await paths.unlink(thumbname).catch(() => {}) // try to unlink incomplete thumbs first
       await paths.symlink(paths.thumbPlaceholder, thumbname)
+      await storage.commit('thumbs', thumb)
       return true
     } catch (err) {
       logger.error(err)
@@ -328,10 +366,94 @@ self.generateThumbs = async (name, extname, force) => {
   return true
 }
 
+self.generateThumbFile = async (input, extname, thumbname) => {
+  // If image extension
+  if (self.imageExts.includes(extname)) {
+    const resizeOptions = {
+      width: self.thumbsSize,
+      height: self.thumbsSize,
+      fit: 'contain',
+      background: {
+        r: 0,
+        g: 0,
+        b: 0,
+        alpha: 0
+      }
+    }
+    const image = sharp(input)
+    const metadata = await image.metadata()
+    if (metadata.width > resizeOptions.width || metadata.height > resizeOptions.height) {
+      await image
+        .resize(resizeOptions)
+        .toFile(thumbname)
+    } else if (metadata.width === resizeOptions.width && metadata.height === resizeOptions.height) {
+      await image
+        .toFile(thumbname)
+    } else {
+      const x = resizeOptions.width - metadata.width
+      const y = resizeOptions.height - metadata.height
+      await image
+        .extend({
+          top: Math.floor(y / 2),
+          bottom: Math.ceil(y / 2),
+          left: Math.floor(x / 2),
+          right: Math.ceil(x / 2),
+          background: resizeOptions.background
+        })
+        .toFile(thumbname)
+    }
+  } else if (self.videoExts.includes(extname)) {
+    const metadata = await self.ffprobe(input)
+
+    const duration = parseInt(metadata.format.duration)
+    if (isNaN(duration)) {
+      throw new Error('File does not have valid duration metadata')
+    }
+
+    const videoStream = metadata.streams && metadata.streams.find(s => s.codec_type === 'video')
+    if (!videoStream || !videoStream.width || !videoStream.height) {
+      throw new Error('File does not have valid video stream metadata')
+    }
+
+    await new Promise((resolve, reject) => {
+      ffmpeg(input)
+        .on('error', error => reject(error))
+        .on('end', () => resolve())
+        .screenshots({
+          folder: paths.thumbs,
+          filename: path.basename(thumbname),
+          timestamps: ['20%'],
+          size: videoStream.width >= videoStream.height
+            ? `${self.thumbsSize}x?`
+            : `?x${self.thumbsSize}`
+        })
+    })
+      .catch(error => error) // Error passthrough
+      .then(async error => {
+        // FFMPEG would just warn instead of exiting with errors when dealing with incomplete files
+        // Sometimes FFMPEG would throw errors but actually somehow succeeded in making the thumbnails
+        // (this could be a fallback mechanism of fluent-ffmpeg library instead)
+        // So instead we check if the thumbnail exists to really make sure
+        try {
+          await paths.lstat(thumbname)
+          return true
+        } catch (err) {
+          if (err.code === 'ENOENT') {
+            throw error || new Error('FFMPEG exited with empty output file')
+          } else {
+            throw error || err
+          }
+        }
+      })
+  }
+}
+
 self.stripTags = async (name, extname) => {
   extname = extname.toLowerCase()
   if (self.stripTagsBlacklistedExts.includes(extname)) return false
 
+  // Uploads are always stripped before being stored by the storage driver,
+  // so they will still be in the local uploads folder at this point
   const fullpath = path.join(paths.uploads, name)
   let tmpfile, isError
 
@@ -383,13 +505,78 @@ self.stripTags = async (name, extname) => {
   return true
 }
 
-self.unlinkFile = async (filename, predb) => {
+self.transcodeImage = async (name, extname, format) => {
+  const options = config.uploads.transcodeImages
+  const newName = `${name.slice(0, -extname.length)}.${format}`
+
+  // Uploads are always transcoded before being stored by the storage driver,
+  // so they will still be in the local uploads folder at this point
+  const input = path.join(paths.uploads, name)
+  const output = path.join(paths.uploads, newName)
+
+  // Do not overwrite other uploads that happen to share the same identifier,
+  // which is only possible when neither caching identifiers nor querying DB for collisions
+  if (await storage.stat('uploads', newName)) return null
+
+  const formatOptions = {}
+  if (options.quality && options.quality[format]) {
+    formatOptions.quality = options.quality[format]
+  }
+
+  let stat
+  try {
+    await sharp(input)[format](formatOptions)
+      .toFile(output)
+
+    // Keep images as-is if they would not be any smaller
+    stat = await paths.stat(output)
+    if (stat.size >= (await paths.stat(input)).size) {
+      await paths.unlink(output)
+      return null
+    }
+  } catch (error) {
+    await paths.unlink(output).catch(() => {})
+    throw error
+  }
+
+  if (options.keepOriginal) {
+    const original = path.join(paths.originals, name)
+    try {
+      await paths.rename(input, original)
+    } catch (error) {
+      // Originals folder may be on a different device than the uploads folder
+      if (error.code !== 'EXDEV') throw error
+      await paths.copyFile(input, original)
+      await paths.unlink(input)
+    }
+    await storage.commit('originals', name)
+  } else {
+    await paths.unlink(input)
+  }
+
+  return {
+    name: newName,
+    size: stat.size
+  }
+}
+
+// Remove original image that was kept when transcoding the upload, if any
+self.unlinkOriginal = async file => {
+  if (!file.transcodedfrom) return
+  await storage.remove('originals', `${file.name.split('.')[0]}${file.transcodedfrom}`)
+}
+
+self.unlinkQuarantined = async filename => {
   try {
-    await paths.unlink(path.join(paths.uploads, filename))
+    await paths.unlink(path.join(paths.quarantine, filename))
   } catch (error) {
     // Re-throw non-ENOENT error
     if (error.code !== 'ENOENT') throw error
   }
+}
+
+self.unlinkFile = async (filename, predb) => {
+  await storage.remove('uploads', filename)
 
   const identifier = filename.split('.')[0]
 
@@ -401,15 +588,136 @@ self.unlinkFile = async (filename, predb) => {
 
   const extname = self.extname(filename, true)
   if (self.imageExts.includes(extname) || self.videoExts.includes(extname)) {
-    try {
-      await paths.unlink(path.join(paths.thumbs, `${identifier}.png`))
-    } catch (error) {
-      // Re-throw non-ENOENT error
-      if (error.code !== 'ENOENT') throw error
-    }
+    await storage.remove('thumbs', `${identifier}.png`)
+  }
+}
+
+// Operations on the same blob must not interleave, since they depend on its reference count
+const blobLocks = new Map()
+
+const withBlobLock = (hash, fn) => {
+  const current = (blobLocks.get(hash) || Promise.resolve()).then(fn)
+  // Subsequent operations should proceed regardless of whether this one failed
+  const settled = current.catch(() => {})
+  blobLocks.set(hash, settled)
+  settled.then(() => {
+    if (blobLocks.get(hash) === settled) blobLocks.delete(hash)
+  })
+  return current
+}
+
+const statIfExists = async file => {
+  try {
+    return await paths.stat(file)
+  } catch (error) {
+    // Re-throw non-ENOENT error
+    if (error.code !== 'ENOENT') throw error
+    return null
   }
 }
 
+const isSameInode = (a, b) => a.dev === b.dev && a.ino === b.ino
+
+self.hashFile = file => {
+  return new Promise((resolve, reject) => {
+    const hasher = blake3.createHash()
+    fs.createReadStream(file)
+      .on('error', error => {
+        hasher.dispose()
+        reject(error)
+      })
+      .on('data', d => hasher.update(d))
+      .on('end', () => resolve(hasher.digest('hex')))
+  })
+}
+
+self.storeBlob = async (filename, hash, size) => {
+  if (!hash) return false
+
+  return withBlobLock(hash, async () => {
+    const file = path.join(paths.uploads, filename)
+    const blobFile = path.join(paths.blobs, hash)
+
+    let blob = await db.table('blobs')
+      .where('hash', hash)
+      .first()
+
+    if (blob) {
+      const blobStat = await statIfExists(blobFile)
+      if (!blobStat) {
+        // Blob had gone missing from disk, so let this upload replace it
+        await db.table('blobs')
+          .where('id', blob.id)
+          .del()
+        blob = null
+      } else if (blob.size !== String(size)) {
+        logger.error(`Refusing to dedupe ${filename}, its size does not match blob ${hash}.`)
+        return false
+      } else {
+        // Nothing to do if the upload is already a reference of the blob
+        if (isSameInode(await paths.stat(file), blobStat)) return true
+
+        // Atomically replace the upload with a hard link to the blob
+        const tmpFile = `${blobFile}.${filename}`
+        await paths.link(blobFile, tmpFile)
+        await paths.rename(tmpFile, file)
+
+        await db.table('blobs')
+          .where('id', blob.id)
+          .increment('refcount', 1)
+        return true
+      }
+    }
+
+    // Remove stray blob that is not in the database, if any
+    if (await statIfExists(blobFile)) {
+      await paths.unlink(blobFile)
+    }
+
+    await paths.link(file, blobFile)
+    await db.table('blobs').insert({
+      hash,
+      size: String(size),
+      refcount: 1,
+      timestamp: Math.floor(Date.now() / 1000)
+    })
+    return true
+  })
+}
+
+self.releaseBlob = async file => {
+  if (!file.hash) return
+
+  return withBlobLock(file.hash, async () => {
+    const blob = await db.table('blobs')
+      .where('hash', file.hash)
+      .first()
+    if (!blob) return
+
+    const blobFile = path.join(paths.blobs, blob.hash)
+    const blobStat = await statIfExists(blobFile)
+    if (blobStat) {
+      // Uploads that were stored before deduplication was enabled may share hashes with blobs,
+      // so only release the blob if the upload is actually one of its references
+      const fileStat = await statIfExists(path.join(paths.uploads, file.name))
+      if (!fileStat || !isSameInode(fileStat, blobStat)) return
+
+      if (blob.refcount > 1) {
+        await db.table('blobs')
+          .where('id', blob.id)
+          .decrement('refcount', 1)
+        return
+      }
+
+      await paths.unlink(blobFile)
+    }
+
+    await db.table('blobs')
+      .where('id', blob.id)
+      .del()
+  })
+}
+
 self.bulkDeleteFromDb = async (field, values, user) => {
   // Always return an empty array on failure
   if (!user || !['id', 'name'].includes(field) || !values.length) return []
@@ -438,7 +746,16 @@ self.bulkDeleteFromDb = async (field, values, user) => {
           }
         })
 
-      // Push files that could not be found in db
+      // Plugins may reject the whole chunk, or remove files from the array to keep them
+      try {
+        await plugins.run('preDelete', { user, files })
+      } catch (error) {
+        logger.error(`[Plugins]: preDelete: ${error.toString()}`)
+        failed.push(...chunk)
+        return
+      }
+
+      // Push files that could not be found in db (or were kept by plugins)
       failed.push(...chunk.filter(value => !files.find(file => file[field] === value)))
 
       // Unlink all found files
@@ -446,7 +763,12 @@ self.bulkDeleteFromDb = async (field, values, user) => {
 
       await Promise.all(files.map(async file => {
         try {
+          await self.releaseBlob(file)
           await self.unlinkFile(file.name, true)
+          await self.unlinkOriginal(file)
+          if (file.scanStatus === 'quarantined') {
+            await self.unlinkQuarantined(file.name)
+          }
           unlinked.push(file)
         } catch (error) {
           logger.error(error)
@@ -491,6 +813,19 @@ self.bulkDeleteFromDb = async (field, values, user) => {
         self.invalidateAlbumsCache(albumids)
       }
 
+      // Moderators may delete other users' uploads, so notify each of the uploads' owners
+      const owners = new Map()
+      for (const file of unlinkeds) {
+        if (!owners.has(file.userid)) owners.set(file.userid, [])
+        owners.get(file.userid).push(self.formatWebhookFile(file))
+      }
+      owners.forEach((files, userid) => {
+        webhooks.emit('delete', userid, { files })
+      })
+
+      // Run post-delete hooks, but do not wait
+      plugins.run('postDelete', { user, files: unlinkeds }).catch(logger.error)
+
       // Purge Cloudflare's cache if necessary, but do not wait
       if (config.cloudflare.purgeCache) {
         self.purgeCloudflareCache(unlinkeds.map(file => file.name), true, true)
@@ -0,0 +1,207 @@
+const randomstring = require('randomstring')
+const utils = require('./utilsController')
+const apiErrorsHandler = require('./handlers/apiErrorsHandler')
+const ClientError = require('./utils/ClientError')
+const urlGuard = require('./utils/urlGuard')
+const webhooks = require('./utils/webhookDispatcher')
+const config = require('./../config')
+const db = require('knex')(config.database)
+
+const options = config.webhooks || {}
+
+const self = {
+  secretLength: 32,
+  urlMaxLength: 2048,
+  maxPerUser: options.maxPerUser || 5,
+  // Number of latest deliveries to list for each webhook
+  deliveriesLimit: 10,
+  // Events that users may subscribe to with their own webhooks
+  events: webhooks.events.filter(event => !webhooks.globalEvents.includes(event))
+}
+
+self.authorize = async req => {
+  const user = await utils.authorize(req)
+
+  if (!webhooks.isPermitted(user)) {
+    throw new ClientError('You are not permitted to manage webhooks.', { statusCode: 403 })
+  }
+
+  return user
+}
+
+self.parseUrl = url => {
+  url = typeof url === 'string' ? url.trim() : ''
+  if (!url) throw new ClientError('No URL specified.')
+  if (url.length > self.urlMaxLength) {
+    throw new ClientError(`URL must not be longer than ${self.urlMaxLength} characters.`)
+  }
+
+  // Reject URLs that would never be delivered to anyway
+  return urlGuard.assertUrl(url).href
+}
+
+self.parseEvents = events => {
+  if (!Array.isArray(events)) return ''
+  return events
+    .filter(event => self.events.includes(event))
+    .join(',')
+}
+
+self.getWebhook = async (user, id) => {
+  const webhook = await db.table('webhooks')
+    .where({
+      id: parseInt(id),
+      userid: user.id
+    })
+    .first()
+
+  if (!webhook) {
+    throw new ClientError('Could not get webhook with the specified ID.')
+  }
+
+  return webhook
+}
+
+self.list = async (req, res, next) => {
+  try {
+    const user = await self.authorize(req)
+
+    const rows = await db.table('webhooks')
+      .where('userid', user.id)
+      .orderBy('id')
+
+    const list = await Promise.all(rows.map(async webhook => {
+      const deliveries = await db.table('webhookdeliveries')
+        .where('webhookid', webhook.id)
+        .select('id', 'event', 'status', 'attempts', 'error', 'timestamp')
+        .orderBy('id', 'desc')
+        .limit(self.deliveriesLimit)
+
+      return {
+        id: webhook.id,
+        url: webhook.url,
+        secret: webhook.secret,
+        events: webhooks.parseEvents(webhook.events),
+        enabled: webhook.enabled,
+        timestamp: webhook.timestamp,
+        deliveries
+      }
+    }))
+
+    await res.json({
+      success: true,
+      webhooks: list,
+      events: self.events,
+      max: self.maxPerUser
+    })
+  } catch (error) {
+    return apiErrorsHandler(error, req, res, next)
+  }
+}
+
+self.create = async (req, res, next) => {
+  try {
+    const user = await self.authorize(req)
+
+    const url = self.parseUrl(req.body.url)
+
+    const count = await db.table('webhooks')
+      .where('userid', user.id)
+      .count('id as count')
+      .then(rows => rows[0].count)
+    if (count >= self.maxPerUser) {
+      throw new ClientError(`You may only have ${self.maxPerUser} webhooks.`, { statusCode: 403 })
+    }
+
+    const secret = randomstring.generate(self.secretLength)
+    const ids = await db.table('webhooks')
+      .insert({
+        userid: user.id,
+        url,
+        secret,
+        events: self.parseEvents(req.body.events),
+        enabled: 1,
+        timestamp: Math.floor(Date.now() / 1000)
+      })
+
+    await res.json({ success: true, id: ids[0], secret })
+  } catch (error) {
+    return apiErrorsHandler(error, req, res, next)
+  }
+}
+
+self.edit = async (req, res, next) => {
+  try {
+    const user = await self.authorize(req)
+    const webhook = await self.getWebhook(user, req.body.id)
+
+    const update = {}
+
+    if (req.body.url !== undefined) {
+      update.url = self.parseUrl(req.body.url)
+    }
+
+    if (req.body.events !== undefined) {
+      update.events = self.parseEvents(req.body.events)
+    }
+
+    if (req.body.enabled !== undefined) {
+      update.enabled = req.body.enabled ? 1 : 0
+    }
+
+    if (req.body.requestSecret) {
+      update.secret = randomstring.generate(self.secretLength)
+    }
+
+    if (Object.keys(update).length) {
+      await db.table('webhooks')
+        .where('id', webhook.id)
+        .update(update)
+    }
+
+    await res.json({ success: true, secret: update.secret })
+  } catch (error) {
+    return apiErrorsHandler(error, req, res, next)
+  }
+}
+
+self.delete = async (req, res, next) => {
+  try {
+    const user = await self.authorize(req)
+    const webhook = await self.getWebhook(user, req.body.id)
+
+    await db.table('webhookdeliveries')
+      .where('webhookid', webhook.id)
+      .del()
+
+    await db.table('webhooks')
+      .where('id', webhook.id)
+      .del()
+
+    await res.json({ success: true })
+  } catch (error) {
+    return apiErrorsHandler(error, req, res, next)
+  }
+}
+
+self.test = async (req, res, next) => {
+  try {
+    const user = await self.authorize(req)
+    const webhook = await self.getWebhook(user, req.body.id)
+
+    // Test events are attempted only once, so that their results can be responded immediately
+    const result = await webhooks.deliver(webhook, 'test', user.id, {
+      message: 'This is a test event from lolisafe.'
+    }, false)
+
+    await res.json({
+      success: true,
+      status: result.status,
+      error: result.error
+    })
+  } catch (error) {
+    return apiErrorsHandler(error, req, res, next)
+  }
+}
+
+module.exports = self
@@ -26,12 +26,31 @@ const init = async db => {
         table.string('name')
         table.string('original')
         table.string('type')
+        table.string('detectedtype')
         table.string('size')
         table.string('hash')
         table.string('ip')
         table.integer('albumid')
         table.integer('timestamp')
         table.integer('expirydate')
+        table.string('transcodedfrom')
+        table.string('password')
+        table.integer('downloadsleft')
+        table.string('scanStatus')
+        table.string('scanResult')
+        table.integer('encrypted')
+      })
+    }
+  })
+
+  await db.schema.hasTable('blobs').then(exists => {
+    if (!exists) {
+      return db.schema.createTable('blobs', function (table) {
+        table.increments()
+        table.string('hash')
+        table.string('size')
+        table.integer('refcount')
+        table.integer('timestamp')
       })
     }
   })
@@ -47,6 +66,49 @@ const init = async db => {
         table.integer('timestamp')
         table.integer('permission')
         table.integer('registration')
+        table.integer('quotasize')
+        table.integer('quotacount')
+      })
+    }
+  })
+
+  await db.schema.hasTable('bannedhashes').then(exists => {
+    if (!exists) {
+      return db.schema.createTable('bannedhashes', function (table) {
+        table.increments()
+        table.string('hash')
+        table.string('reason')
+        table.integer('userid')
+        table.integer('timestamp')
+      })
+    }
+  })
+
+  await db.schema.hasTable('webhooks').then(exists => {
+    if (!exists) {
+      return db.schema.createTable('webhooks', function (table) {
+        table.increments()
+        table.integer('userid')
+        table.string('url', 2048)
+        table.string('secret')
+        table.string('events')
+        table.integer('enabled')
+        table.integer('timestamp')
+      })
+    }
+  })
+
+  await db.schema.hasTable('webhookdeliveries').then(exists => {
+    if (!exists) {
+      return db.schema.createTable('webhookdeliveries', function (table) {
+        table.increments()
+        table.integer('webhookid')
+        table.string('event')
+        table.string('url', 2048)
+        table.integer('status')
+        table.integer('attempts')
+        table.string('error')
+        table.integer('timestamp')
       })
     }
   })
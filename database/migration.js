@@ -4,7 +4,14 @@ const db = require('knex')(config.database)
 
 const map = {
   files: {
-    expirydate: 'integer'
+    expirydate: 'integer',
+    detectedtype: 'string',
+    transcodedfrom: 'string',
+    password: 'string',
+    downloadsleft: 'integer',
+    scanStatus: 'string',
+    scanResult: 'string',
+    encrypted: 'integer'
   },
   albums: {
     editedAt: 'integer',
@@ -16,7 +23,9 @@ const map = {
   users: {
     enabled: 'integer',
     permission: 'integer',
-    registration: 'integer'
+    registration: 'integer',
+    quotasize: 'integer',
+    quotacount: 'integer'
   }
 }
 
@@ -23,12 +23,19 @@ process.on('unhandledRejection', error => {
 })
 
 const paths = require('./controllers/pathsController')
+const scan = require('./controllers/scanController')
+const storage = require('./controllers/storageController')
+const uploadController = require('./controllers/uploadController')
 const utils = require('./controllers/utilsController')
+const filePasswords = require('./controllers/utils/filePasswords')
 
 const album = require('./routes/album')
 const api = require('./routes/api')
 const nojs = require('./routes/nojs')
 const player = require('./routes/player')
+const text = require('./routes/text')
+const unlock = require('./routes/unlock')
+const viewer = require('./routes/viewer')
 
 const db = require('knex')(config.database)
 
@@ -89,6 +96,36 @@ const overrideContentTypes = (res, path) => {
 }
 
 const initServeStaticUploads = (opts = {}) => {
+  if (config.originalNameUrls) {
+    // Resolve URLs with original names (e.g. /abc123/report-final.pdf) into their uploads (e.g. /abc123.pdf)
+    safe.use('/', (req, res, next) => {
+      const name = utils.resolveFilePath(req.path)
+      if (name) req.url = `/${name}`
+      next()
+    })
+  }
+
+  if (scan.async) {
+    // Do not serve uploads that are still being scanned, or have been quarantined
+    safe.use('/', scan.middleware)
+  }
+
+  if (filePasswords.enabled) {
+    // Redirect locked uploads (and their thumbnails) to their password prompt pages
+    safe.use('/', filePasswords.middleware)
+  }
+
+  if (config.uploads.maxDownloads && config.uploads.maxDownloads.enabled) {
+    // Count downloads of download-limited uploads, only after they have been unlocked if necessary
+    safe.use('/', uploadController.limitDownloads)
+  }
+
+  if (!storage.isLocal) {
+    // Files are not stored locally, so let the storage driver redirect or proxy them instead
+    safe.use('/', storage.serve(opts))
+    return
+  }
+
   if (config.setContentDisposition) {
     opts.preSetHeaders = async (res, req, path, stat) => {
       try {
@@ -157,7 +194,8 @@ if (config.cacheControl) {
         }
         // If using CDN, cache uploads in CDN as well
         // Use with cloudflare.purgeCache enabled in config file
-        if (config.cacheControl !== 2) {
+        // Except password-protected and download-limited uploads, which must never be cached by CDN
+        if (config.cacheControl !== 2 && !res.locals.noStore) {
           res.set('Cache-Control', cacheControls.cdn)
         }
       }
@@ -198,10 +236,15 @@ if (config.cacheControl) {
 // Static assets
 safe.use('/', express.static(paths.public, { setHeaders }))
 safe.use('/', express.static(paths.dist, { setHeaders }))
+// WebAssembly build of the same blake3 package, for client-side hashing in the homepage uploader
+safe.use('/libs/blake3', express.static(path.join(path.dirname(require.resolve('blake3/package.json')), 'dist/wasm/web'), { setHeaders }))
 
 safe.use('/', album)
 safe.use('/', nojs)
 safe.use('/', player)
+safe.use('/', text)
+safe.use('/', unlock)
+safe.use('/', viewer)
 safe.use('/api', api)
 
 ;(async () => {
@@ -209,9 +252,12 @@ safe.use('/api', api)
     // Init database
     await require('./database/db.js')(db)
 
-    // Verify paths, create missing ones, clean up temp ones
+    // Verify paths, create missing ones
     await paths.init()
 
+    // Restore unfinished chunked uploads, clean up expired ones
+    await uploadController.restoreChunks()
+
     if (!Array.isArray(config.pages) || !config.pages.length) {
       logger.error('Config file does not have any frontend pages enabled')
       process.exit(1)
@@ -288,6 +334,8 @@ safe.use('/api', api)
       utils.clamscan.instance = await new ClamScan().init(config.uploads.scan.clamOptions)
       utils.clamscan.version = await utils.clamscan.instance.get_version().then(s => s.trim())
       logger.log(`Connection established with ${utils.clamscan.version}`)
+
+      if (scan.async) await scan.resume()
     }
 
     // Cache file identifiers
@@ -1,6 +1,7 @@
 const routes = require('express').Router()
 const path = require('path')
 const paths = require('./../controllers/pathsController')
+const scan = require('./../controllers/scanController')
 const utils = require('./../controllers/utilsController')
 const config = require('./../config')
 const db = require('knex')(config.database)
@@ -52,8 +53,9 @@ routes.get('/a/:identifier', async (req, res, next) => {
   }
 
   const files = await db.table('files')
-    .select('name', 'size')
+    .select('name', 'original', 'size', 'password', 'encrypted', 'downloadsleft')
     .where('albumid', album.id)
+    .where(scan.whereServable)
     .orderBy('id', 'desc')
 
   album.thumb = ''
@@ -62,8 +64,14 @@ routes.get('/a/:identifier', async (req, res, next) => {
   for (const file of files) {
     album.totalSize += parseInt(file.size)
 
+    file.path = utils.getFilePath(file)
+
+    // Thumbnails of password-protected uploads will not be served until unlocked
+    const isProtected = Boolean(file.password)
+    delete file.password
+
     file.extname = path.extname(file.name)
-    if (utils.mayGenerateThumb(file.extname)) {
+    if (utils.mayGenerateThumb(file.extname) && !isProtected && !file.encrypted && !file.downloadsleft) {
       file.thumb = `thumbs/${file.name.slice(0, -file.extname.length)}.png`
       // If thumbnail for album is still not set, set it to current file's full URL.
       // A potential improvement would be to let the user set a specific image as an album cover.
@@ -1,20 +1,40 @@
 const routes = require('express').Router()
 const albumsController = require('./../controllers/albumsController')
 const authController = require('./../controllers/authController')
+const banController = require('./../controllers/banController')
+const scanController = require('./../controllers/scanController')
 const tokenController = require('./../controllers/tokenController')
 const uploadController = require('./../controllers/uploadController')
 const utilsController = require('./../controllers/utilsController')
+const webhookController = require('./../controllers/webhookController')
+const filePasswords = require('./../controllers/utils/filePasswords')
 const config = require('./../config')
 
-routes.get('/check', (req, res, next) => {
+routes.get('/check', async (req, res, next) => {
+  // Upload limits may be overridden by the user's permission group, so use them if possible
+  let user
+  if (req.headers.token) {
+    user = await utilsController.assertUser(req.headers.token).catch(() => undefined)
+  }
+  const limits = uploadController.getUploadLimits(user)
+
   const obj = {
     private: config.private,
     enableUserAccounts: config.enableUserAccounts,
-    maxSize: config.uploads.maxSize,
+    maxSize: `${limits.maxSize}MB`,
+    urlMaxSize: config.uploads.urlMaxSize ? `${limits.urlMaxSize}MB` : config.uploads.urlMaxSize,
+    maxFilesPerUpload: limits.maxFilesPerUpload,
     chunkSize: config.uploads.chunkSize,
-    temporaryUploadAges: config.uploads.temporaryUploadAges,
+    temporaryUploadAges: limits.temporaryUploadAges,
     fileIdentifierLength: config.uploads.fileIdentifierLength,
-    stripTags: config.uploads.stripTags
+    stripTags: config.uploads.stripTags,
+    transcodeImages: uploadController.getTranscodeOptions(user),
+    filePasswords: filePasswords.enabled,
+    maxDownloads: uploadController.getMaxDownloads(),
+    clientEncryption: uploadController.isClientEncryptionEnabled(),
+    clientEncryptionMaxSize: uploadController.isClientEncryptionEnabled()
+      ? `${uploadController.getClientEncryptionMaxSize()}MB`
+      : false
   }
   if (utilsController.clientVersion) obj.version = utilsController.clientVersion
   return res.json(obj)
@@ -29,7 +49,16 @@ routes.post('/upload', (req, res, next) => uploadController.upload(req, res, nex
 routes.post('/upload/delete', (req, res, next) => uploadController.delete(req, res, next))
 // routes.get('/upload/delete/:name', (req, res, next) => uploadController.delete(req, res, next))
 routes.post('/upload/bulkdelete', (req, res, next) => uploadController.bulkDelete(req, res, next))
+routes.post('/upload/password', (req, res, next) => uploadController.setPassword(req, res, next))
+routes.post('/upload/maxdownloads', (req, res, next) => uploadController.setMaxDownloads(req, res, next))
+routes.post('/upload/expiry', (req, res, next) => uploadController.setExpiry(req, res, next))
 routes.post('/upload/finishchunks', (req, res, next) => uploadController.finishChunks(req, res, next))
+routes.get('/upload/jobs/:ids', (req, res, next) => uploadController.urlJobsStatus(req, res, next))
+routes.options('/upload/tus', (req, res, next) => uploadController.tusOptions(req, res, next))
+routes.post('/upload/tus', (req, res, next) => uploadController.tusCreate(req, res, next))
+routes.head('/upload/tus/:uuid', (req, res, next) => uploadController.tusHead(req, res, next))
+routes.patch('/upload/tus/:uuid', (req, res, next) => uploadController.tusPatch(req, res, next))
+routes.delete('/upload/tus/:uuid', (req, res, next) => uploadController.tusDelete(req, res, next))
 routes.post('/upload/:albumid', (req, res, next) => uploadController.upload(req, res, next))
 routes.get('/album/get/:identifier', (req, res, next) => albumsController.get(req, res, next))
 routes.get('/album/zip/:identifier', (req, res, next) => albumsController.generateZip(req, res, next))
@@ -55,6 +84,19 @@ routes.post('/users/create', (req, res, next) => authController.createUser(req,
 routes.post('/users/edit', (req, res, next) => authController.editUser(req, res, next))
 routes.post('/users/disable', (req, res, next) => authController.disableUser(req, res, next))
 routes.post('/users/delete', (req, res, next) => authController.deleteUser(req, res, next))
+routes.get('/webhooks', (req, res, next) => webhookController.list(req, res, next))
+routes.post('/webhooks', (req, res, next) => webhookController.create(req, res, next))
+routes.post('/webhooks/edit', (req, res, next) => webhookController.edit(req, res, next))
+routes.post('/webhooks/delete', (req, res, next) => webhookController.delete(req, res, next))
+routes.post('/webhooks/test', (req, res, next) => webhookController.test(req, res, next))
+routes.get('/bans', (req, res, next) => banController.list(req, res, next))
+routes.post('/bans', (req, res, next) => banController.banUploads(req, res, next))
+routes.post('/bans/delete', (req, res, next) => banController.unban(req, res, next))
+routes.get('/bans/export', (req, res, next) => banController.export(req, res, next))
+routes.post('/bans/import', (req, res, next) => banController.import(req, res, next))
+routes.get('/quarantine', (req, res, next) => scanController.list(req, res, next))
+routes.post('/quarantine/release', (req, res, next) => scanController.releaseFiles(req, res, next))
+routes.post('/quarantine/purge', (req, res, next) => scanController.purgeFiles(req, res, next))
 routes.get('/stats', (req, res, next) => utilsController.stats(req, res, next))
 
 module.exports = routes
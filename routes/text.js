@@ -0,0 +1,107 @@
+const routes = require('express').Router()
+const hljs = require('highlight.js')
+const path = require('path')
+const paths = require('./../controllers/pathsController')
+const storage = require('./../controllers/storageController')
+const uploadController = require('./../controllers/uploadController')
+const utils = require('./../controllers/utilsController')
+const filePasswords = require('./../controllers/utils/filePasswords')
+const config = require('./../config')
+const db = require('knex')(config.database)
+
+const options = config.uploads.textViewer || {}
+
+const self = {
+  enabled: Boolean(options.enabled),
+  maxSize: (parseFloat(options.maxSize) || 1) * 1e6
+}
+
+// Highlighted spans may cover multiple lines (e.g. block comments),
+// so close them at the end of each line, then re-open them on the next line
+const splitLines = html => {
+  const lines = []
+  const open = []
+  let line = ''
+  for (const token of html.split(/(<span[^>]*>|<\/span>|\n)/)) {
+    if (token === '\n') {
+      lines.push(line + '</span>'.repeat(open.length))
+      line = open.join('')
+    } else if (token.startsWith('<span')) {
+      open.push(token)
+      line += token
+    } else if (token === '</span>') {
+      open.pop()
+      line += token
+    } else {
+      line += token
+    }
+  }
+  lines.push(line + '</span>'.repeat(open.length))
+
+  // Do not display an extra empty line for the trailing line break
+  if (lines.length > 1 && lines[lines.length - 1] === '') lines.pop()
+  return lines
+}
+
+const highlight = (content, extname) => {
+  const language = hljs.getLanguage(extname.substr(1)) ? extname.substr(1) : null
+  if (!language) {
+    return { language: null, html: utils.escape(content) || '' }
+  }
+
+  const result = hljs.highlight(content, { language, ignoreIllegals: true })
+  return { language: hljs.getLanguage(language).name, html: result.value }
+}
+
+routes.get([
+  '/text/:identifier',
+  '/t/:identifier'
+], async (req, res, next) => {
+  if (!self.enabled) return next()
+
+  const file = await db.table('files')
+    .where('name', req.params.identifier)
+    .select('name', 'original', 'size', 'password', 'downloadsleft', 'scanStatus', 'encrypted')
+    .first()
+
+  if (!file || ['pending', 'quarantined'].includes(file.scanStatus)) {
+    return res.status(404).sendFile(path.join(paths.errorRoot, config.errorPages[404]))
+  }
+
+  // Encrypted uploads can only be decrypted in the browser (fragments will be kept by browsers across redirects)
+  if (file.encrypted) {
+    return res.redirect(`/e/${file.name}`)
+  }
+
+  // Let the raw files handle everything else, such as password prompts and download limits,
+  // which should not be bypassed by this viewer
+  const locked = file.password && !(filePasswords.enabled && filePasswords.isUnlocked(req, file))
+  if (!uploadController.isTextViewable(file.name) || file.size > self.maxSize || locked || file.downloadsleft) {
+    return res.redirect(`${config.domain}/${utils.getFilePath(file)}`)
+  }
+
+  try {
+    const content = await storage.useLocalFile('uploads', file.name, local => paths.readFile(local, 'utf8'))
+    const highlighted = highlight(content.replace(/\r\n?/g, '\n'), utils.extname(file.name, true))
+
+    // Unlocked password-protected uploads must never be cached
+    if (file.password) res.set('Cache-Control', 'no-store')
+
+    return res.render('text', {
+      config,
+      versions: utils.versionStrings,
+      file: {
+        name: file.name,
+        original: file.original,
+        size: file.size,
+        raw: `${config.domain}/${utils.getFilePath(file)}`
+      },
+      language: highlighted.language,
+      lines: splitLines(highlighted.html)
+    })
+  } catch (error) {
+    return next(error)
+  }
+})
+
+module.exports = routes
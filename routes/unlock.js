@@ -0,0 +1,57 @@
+const routes = require('express').Router()
+const path = require('path')
+const paths = require('./../controllers/pathsController')
+const utils = require('./../controllers/utilsController')
+const filePasswords = require('./../controllers/utils/filePasswords')
+const config = require('./../config')
+const db = require('knex')(config.database)
+
+const getProtectedFile = name => {
+  return db.table('files')
+    .where('name', name)
+    .whereNotNull('password')
+    .select('name', 'original', 'password')
+    .first()
+}
+
+const render = (res, file, errorMessage) => {
+  res.set('Cache-Control', 'no-store')
+  return res.render('unlock', {
+    config,
+    versions: utils.versionStrings,
+    file: { name: file.name },
+    errorMessage
+  })
+}
+
+routes.get('/unlock/:name', async (req, res, next) => {
+  const file = filePasswords.enabled && await getProtectedFile(req.params.name)
+  if (!file) {
+    return res.status(404).sendFile(path.join(paths.errorRoot, config.errorPages[404]))
+  }
+
+  return render(res, file)
+})
+
+routes.post('/unlock/:name', async (req, res, next) => {
+  const file = filePasswords.enabled && await getProtectedFile(req.params.name)
+  if (!file) {
+    return res.status(404).sendFile(path.join(paths.errorRoot, config.errorPages[404]))
+  }
+
+  const password = typeof req.body.password === 'string' ? req.body.password : ''
+  if (!password || !await filePasswords.compare(password, file.password)) {
+    res.status(403)
+    return render(res, file, 'Incorrect password.')
+  }
+
+  res.cookie(filePasswords.getCookieName(file.name), filePasswords.createCookie(file), {
+    maxAge: filePasswords.unlockAge * 1000,
+    httpOnly: true,
+    secure: req.secure,
+    sameSite: 'lax'
+  })
+  return res.redirect(`/${utils.getFilePath(file)}`)
+})
+
+module.exports = routes
@@ -0,0 +1,16 @@
+const routes = require('express').Router()
+const uploadController = require('./../controllers/uploadController')
+const utils = require('./../controllers/utilsController')
+const config = require('./../config')
+
+routes.get('/e/:identifier', async (req, res, next) => {
+  if (!uploadController.isClientEncryptionEnabled()) return next()
+
+  // Decryption keys are in the URLs' fragments, so everything else is strictly handled by client-side JS at src/js/viewer.js
+  return res.render('viewer', {
+    config,
+    versions: utils.versionStrings
+  })
+})
+
+module.exports = routes
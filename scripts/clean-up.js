@@ -1,12 +1,20 @@
 const path = require('path')
 const paths = require('../controllers/pathsController')
+const storage = require('../controllers/storageController')
 const utils = require('../controllers/utilsController')
 const config = require('./../config')
 const db = require('knex')(config.database)
 
 const self = {
   getFiles: async directory => {
-    const names = await paths.readdir(directory)
+    let names
+    try {
+      names = await paths.readdir(directory)
+    } catch (error) {
+      // Optional folders (e.g. originals) may not exist
+      if (error.code !== 'ENOENT') throw error
+      return []
+    }
     const files = []
     for (const name of names) {
       const lstat = await paths.lstat(path.join(directory, name))
@@ -35,6 +43,10 @@ const self = {
     `).trim())
   }
 
+  if (!storage.isLocal) {
+    return console.log('This script can only look for stray files when storing files locally.')
+  }
+
   const mode = parseInt(args[0]) || 0
   const dryrun = mode === 0
 
@@ -58,9 +70,34 @@ const self = {
   const thumbsNotInDb = thumbs.filter(thumb => !uploadsDbSet.has(thumb.slice(0, -4)))
   console.log(`- Stray: ${thumbsNotInDb.length}`)
 
+  const blobs = await self.getFiles(paths.blobs)
+  console.log(`Blobs  : ${blobs.length}`)
+
+  const blobsDbSet = await db.table('blobs')
+    .select('hash')
+    .then(rows => new Set(rows.map(row => row.hash)))
+  const blobsNotInDb = blobs.filter(blob => !blobsDbSet.has(blob))
+  console.log(`- Stray: ${blobsNotInDb.length}`)
+
+  const originals = await self.getFiles(paths.originals)
+  console.log(`Origs  : ${originals.length}`)
+
+  // Original images that were kept when transcoding uploads (requires migration)
+  const originalsDbSet = new Set()
+  if (await db.schema.hasColumn('files', 'transcodedfrom')) {
+    await db.table('files')
+      .whereNotNull('transcodedfrom')
+      .select('name', 'transcodedfrom')
+      .then(rows => rows.forEach(row => originalsDbSet.add(`${row.name.split('.')[0]}${row.transcodedfrom}`)))
+  }
+  const originalsNotInDb = originals.filter(original => !originalsDbSet.has(original))
+  console.log(`- Stray: ${originalsNotInDb.length}`)
+
   if (dryrun) {
     console.log('Stray uploads:', uploadsNotInDb.join(', '))
     console.log('Stray thumbs :', thumbsNotInDb.join(', '))
+    console.log('Stray blobs  :', blobsNotInDb.join(', '))
+    console.log('Stray origs  :', originalsNotInDb.join(', '))
     console.log('INFO: This was a dry run. No files had been deleted.')
   } else if (!dryrun) {
     for (const upload of uploadsNotInDb) {
@@ -71,6 +108,14 @@ const self = {
       await paths.unlink(path.join(paths.thumbs, thumb))
       console.log(`${thumb}: OK`)
     }
+    for (const blob of blobsNotInDb) {
+      await paths.unlink(path.join(paths.blobs, blob))
+      console.log(`${blob}: OK`)
+    }
+    for (const original of originalsNotInDb) {
+      await paths.unlink(path.join(paths.originals, original))
+      console.log(`${original}: OK`)
+    }
   }
 })()
   .then(() => process.exit(0))
@@ -0,0 +1,110 @@
+const path = require('path')
+const paths = require('../controllers/pathsController')
+const storage = require('../controllers/storageController')
+const utils = require('../controllers/utilsController')
+const config = require('./../config')
+const db = require('knex')(config.database)
+
+;(async () => {
+  const location = process.argv[1].replace(process.cwd() + '/', '')
+  const args = process.argv.slice(2)
+
+  if (args.includes('--help') || args.includes('-h')) {
+    return console.log(utils.stripIndents(`
+      Store existing uploads as references of blobs, collapsing duplicates across users.
+
+      Usage:
+      node ${location} [mode=0|1|2]
+
+      mode:
+      0 = Dry run (only list duplicates and how much space would be reclaimed).
+      1 = Store uploads as blobs.
+      2 = Verbose (store uploads as blobs, and print their names).
+
+      NOTE: This relies on the hashes stored in the database,
+      so run rebuild-hashes.js first if they may be inaccurate.
+      It is also recommended to stop lolisafe while running this.
+    `).trim())
+  }
+
+  if (!storage.isLocal) {
+    return console.log('Blobs are only supported when storing files locally.')
+  }
+
+  const mode = parseInt(args[0]) || 0
+  const dryrun = mode === 0
+  const verbose = [0, 2].includes(mode)
+
+  await paths.init()
+
+  console.log('Querying uploads\u2026')
+  const hrstart = process.hrtime()
+  const uploads = await db.table('files')
+    .whereNotNull('hash')
+    .select('name', 'hash', 'size')
+    .orderBy('id')
+  console.log(`Uploads : ${uploads.length}`)
+
+  // Group uploads by their content
+  const groups = new Map()
+  for (const upload of uploads) {
+    const key = `${upload.hash}:${upload.size}`
+    if (groups.has(key)) {
+      groups.get(key).push(upload)
+    } else {
+      groups.set(key, [upload])
+    }
+  }
+
+  const duplicates = [...groups.values()].filter(group => group.length > 1)
+  const reclaimable = duplicates.reduce((acc, group) => acc + (group.length - 1) * parseInt(group[0].size), 0)
+  console.log(`Unique  : ${groups.size}`)
+  console.log(`Dupes   : ${duplicates.reduce((acc, group) => acc + group.length - 1, 0)}`)
+  console.log(`Space   : ${(reclaimable / 1e6).toFixed(2)} MB (at most, if none were deduplicated yet)`)
+
+  if (dryrun) {
+    if (verbose) {
+      for (const group of duplicates) {
+        console.log(`${group[0].hash}: ${group.map(upload => upload.name).join(', ')}`)
+      }
+    }
+    console.log('INFO: This was a dry run. No files had been modified.')
+    return
+  }
+
+  let done = 0
+  let failed = 0
+  for (const upload of uploads) {
+    try {
+      // Do not trust size in DB blindly, since blobs will replace the uploads
+      const stat = await paths.stat(path.join(paths.uploads, upload.name))
+      if (String(stat.size) !== String(upload.size)) {
+        throw new Error(`Size mismatched (${stat.size} vs. ${upload.size}).`)
+      }
+
+      const stored = await utils.storeBlob(upload.name, upload.hash, upload.size)
+      if (!stored) throw new Error('Could not be stored as blob.')
+
+      if (verbose) console.log(`${upload.name}: OK`)
+      done++
+    } catch (error) {
+      console.log(`${upload.name}: ${error.toString()}`)
+      failed++
+    }
+  }
+
+  const blobs = await db.table('blobs')
+    .count('id as count')
+    .first()
+
+  const hrend = process.hrtime(hrstart)
+  console.log(`Stored  : ${done}`)
+  console.log(`Failed  : ${failed}`)
+  console.log(`Blobs   : ${blobs.count}`)
+  console.log(`Done in : ${(hrend[0] + (hrend[1] / 1e9)).toFixed(4)}s`)
+})()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error(error)
+    process.exit(1)
+  })
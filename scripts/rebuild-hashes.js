@@ -1,7 +1,5 @@
 const blake3 = require('blake3')
-const fs = require('fs')
-const path = require('path')
-const paths = require('../controllers/pathsController')
+const storage = require('../controllers/storageController')
 const utils = require('../controllers/utilsController')
 const config = require('./../config')
 const db = require('knex')(config.database)
@@ -47,8 +45,8 @@ const db = require('knex')(config.database)
   printProgress()
 
   for (const upload of uploads) {
-    await new Promise((resolve, reject) => {
-      fs.createReadStream(path.join(paths.uploads, upload.name))
+    await storage.createReadStream('uploads', upload.name).then(stream => new Promise((resolve, reject) => {
+      stream
         .on('error', reject)
         .pipe(blake3.createHash())
         .on('error', reject)
@@ -63,7 +61,7 @@ const db = require('knex')(config.database)
           done++
           resolve()
         })
-    }).catch(error => {
+    })).catch(error => {
       console.log(`${upload.name}: ${error.toString()}`)
     })
   }
@@ -1,5 +1,6 @@
 const path = require('path')
 const paths = require('../controllers/pathsController')
+const storage = require('../controllers/storageController')
 const utils = require('../controllers/utilsController')
 const config = require('./../config')
 const db = require('knex')(config.database)
@@ -51,6 +52,10 @@ const self = {
     `).trim())
   }
 
+  if (!storage.isLocal) {
+    return console.log('This script can only generate thumbnails when storing files locally.')
+  }
+
   console.log('Looking through existing thumbnails\u2026')
   const hrstart = process.hrtime()
   const uploads = await db.table('files')
@@ -31,6 +31,15 @@ const page = {
   // from api/tokens/verify
   username: null,
   permissions: null,
+  quota: null,
+  webhooks: false,
+  filePasswords: false,
+  maxDownloads: false,
+  temporaryUploadAges: null,
+  quarantine: false,
+
+  // from api/webhooks
+  webhookEvents: [],
 
   // sidebar menus
   menusContainer: null,
@@ -206,6 +215,12 @@ page.verifyToken = (token, reloadOnError) => {
     page.token = token
     page.username = response.data.username
     page.permissions = response.data.permissions
+    page.quota = response.data.quota || null
+    page.webhooks = Boolean(response.data.webhooks)
+    page.filePasswords = Boolean(response.data.filePasswords)
+    page.maxDownloads = response.data.maxDownloads || false
+    page.temporaryUploadAges = response.data.temporaryUploadAges || null
+    page.quarantine = Boolean(response.data.quarantine)
     page.prepareDashboard()
   }).catch(page.onAxiosError)
 }
@@ -233,17 +248,22 @@ page.prepareDashboard = () => {
     { selector: '#itemDeleteUploadsByNames', onclick: page.deleteUploadsByNames },
     { selector: '#itemManageYourAlbums', onclick: page.getAlbums },
     { selector: '#itemManageToken', onclick: page.changeToken },
+    { selector: '#itemManageWebhooks', onclick: page.getWebhooks, enabled: page.webhooks },
     { selector: '#itemChangePassword', onclick: page.changePassword },
     { selector: '#itemLogout', onclick: page.logout },
     { selector: '#itemManageUploads', onclick: page.getUploads, params: { all: true }, group: 'moderator' },
     { selector: '#itemManageAlbums', onclick: page.getAlbums, params: { all: true }, group: 'moderator' },
     { selector: '#itemStatistics', onclick: page.getStatistics, group: 'admin' },
-    { selector: '#itemManageUsers', onclick: page.getUsers, group: 'admin' }
+    { selector: '#itemManageUsers', onclick: page.getUsers, group: 'admin' },
+    { selector: '#itemBannedHashes', onclick: page.getBans, group: 'moderator' },
+    { selector: '#itemQuarantine', onclick: page.getQuarantine, group: 'moderator', enabled: page.quarantine }
   ]
 
   for (let i = 0; i < itemMenus.length; i++) {
     // Skip item menu if not enough permission
     if (itemMenus[i].group && !page.permissions[itemMenus[i].group]) continue
+    // Skip item menu if its feature is not available
+    if (itemMenus[i].enabled === false) continue
 
     // Add onclick event listener
     const item = document.querySelector(itemMenus[i].selector)
@@ -270,6 +290,9 @@ page.prepareDashboard = () => {
   // Update text of logout button
   document.querySelector('#itemLogout').innerHTML = `Logout ( ${page.username} )`
 
+  // Display quota usage, if the user has any
+  page.updateQuota(page.quota)
+
   // Finally display dashboard
   page.unhide()
 
@@ -279,6 +302,38 @@ page.prepareDashboard = () => {
   if (typeof page.prepareShareX === 'function') page.prepareShareX()
 }
 
+page.updateQuota = quota => {
+  const label = document.querySelector('#quotaLabel')
+  const container = document.querySelector('#quota')
+  if (!label || !container) return
+
+  if (!quota) {
+    label.classList.add('is-hidden')
+    container.classList.add('is-hidden')
+    return
+  }
+
+  const bars = []
+  if (quota.size !== null) {
+    const remaining = Math.max(quota.size - quota.usedSize, 0)
+    bars.push(`
+      <progress class="progress is-small is-danger" value="${quota.usedSize}" max="${quota.size}"></progress>
+      <p class="help">${page.getPrettyBytes(quota.usedSize)} of ${page.getPrettyBytes(quota.size)} used (${page.getPrettyBytes(remaining)} remaining).</p>
+    `)
+  }
+  if (quota.count !== null) {
+    const remaining = Math.max(quota.count - quota.usedCount, 0)
+    bars.push(`
+      <progress class="progress is-small is-danger" value="${quota.usedCount}" max="${quota.count}"></progress>
+      <p class="help">${quota.usedCount} of ${quota.count} files used (${remaining} remaining).</p>
+    `)
+  }
+
+  container.innerHTML = bars.join('\n')
+  label.classList.remove('is-hidden')
+  container.classList.remove('is-hidden')
+}
+
 page.logout = params => {
   page.updateTrigger(params.trigger, 'active')
   localStorage.removeItem(lsKeys.token)
@@ -368,6 +423,14 @@ page.domClick = event => {
       return page.addToAlbum(id)
     case 'delete-upload':
       return page.deleteUpload(id)
+    case 'set-upload-password':
+      return page.setUploadPassword(id)
+    case 'set-upload-max-downloads':
+      return page.setUploadMaxDownloads(id)
+    case 'set-upload-expiry':
+      return page.setUploadsExpiry([id])
+    case 'bulk-set-uploads-expiry':
+      return page.bulkSetUploadsExpiry()
     case 'add-selected-uploads-to-album':
       return page.addSelectedUploadsToAlbum()
     case 'bulk-delete-uploads':
@@ -399,6 +462,33 @@ page.domClick = event => {
       return page.deleteUser(id)
     case 'view-user-uploads':
       return page.viewUserUploads(id, element)
+    // Manage your webhooks
+    case 'submit-webhook':
+      return page.submitWebhook(element)
+    case 'edit-webhook':
+      return page.editWebhook(id)
+    case 'view-webhook-deliveries':
+      return page.viewWebhookDeliveries(id)
+    case 'test-webhook':
+      return page.testWebhook(id, element)
+    case 'delete-webhook':
+      return page.deleteWebhook(id)
+    case 'ban-upload':
+      return page.banUploads([id])
+    case 'bulk-ban-uploads':
+      return page.bulkBanUploads()
+    // Banned hashes
+    case 'unban-hash':
+      return page.unbanHash(id)
+    case 'export-bans':
+      return page.exportBans(element)
+    case 'import-bans':
+      return page.importBans()
+    // Quarantine
+    case 'release-quarantined':
+      return page.releaseQuarantined(id)
+    case 'purge-quarantined':
+      return page.purgeQuarantined(id)
     // Others
     case 'get-new-token':
       return page.getNewToken(element)
@@ -544,6 +634,9 @@ page.getUploads = (params = {}) => {
       }
     }
 
+    // Own uploads will also include up-to-date quota info
+    if (!params.all) page.updateQuota(response.data.quota)
+
     const pages = Math.ceil(response.data.count / 25)
     const files = response.data.files
     if (params.pageNum && (files.length === 0)) {
@@ -648,6 +741,20 @@ page.getUploads = (params = {}) => {
               <i class="icon-plus"></i>
             </span>
           </a>`}
+          ${page.temporaryUploadAges
+            ? `<a class="button is-small is-link is-outlined" title="Bulk change expiry date" data-action="bulk-set-uploads-expiry">
+            <span class="icon">
+              <i class="icon-arrows-cw"></i>
+            </span>
+          </a>`
+            : ''}
+          ${params.all
+            ? `<a class="button is-small is-dangerish is-outlined" title="Bulk ban content" data-action="bulk-ban-uploads">
+            <span class="icon">
+              <i class="icon-block"></i>
+            </span>
+          </a>`
+            : ''}
           <a class="button is-small is-danger is-outlined" title="Bulk delete" data-action="bulk-delete-uploads">
             <span class="icon">
               <i class="icon-trash"></i>
@@ -674,10 +781,11 @@ page.getUploads = (params = {}) => {
 
     const showOriginalNames = page.views[page.currentView].originalNames
     const hasExpiryDateColumn = files.some(file => typeof file.expirydate !== 'undefined')
+    const hasDownloadsLeftColumn = files.some(file => typeof file.downloadsleft !== 'undefined')
 
     for (let i = 0; i < files.length; i++) {
       // Build full URLs
-      files[i].file = `${basedomain}/${files[i].name}`
+      files[i].file = `${basedomain}/${files[i].path || files[i].name}`
       if (files[i].thumb) {
         files[i].thumb = `${basedomain}/${files[i].thumb}`
       }
@@ -704,13 +812,25 @@ page.getUploads = (params = {}) => {
         thumb: files[i].thumb,
         file: files[i].file,
         type: files[i].type,
-        previewable: files[i].previewable
+        previewable: files[i].previewable,
+        protected: files[i].protected,
+        downloadsleft: files[i].downloadsleft
       }
 
       // Prettify
       files[i].prettyBytes = page.getPrettyBytes(parseInt(files[i].size))
       files[i].prettyDate = page.getPrettyDate(new Date(files[i].timestamp * 1000))
 
+      // Highlight uploads whose detected MIME types contradict their claimed ones
+      if (params.all) {
+        // Claimed types come as-is from the uploaders' requests, so they must be escaped
+        const claimed = page.escape(files[i].claimedtype || '')
+        const detected = page.escape(files[i].detectedtype || '')
+        files[i].prettyType = detected && detected !== claimed
+          ? `<span class="has-text-danger" title="Claimed: ${claimed || 'N/A'}, detected: ${detected}">${claimed || 'N/A'} (${detected})</span>`
+          : claimed
+      }
+
       if (hasExpiryDateColumn) {
         files[i].prettyExpiryDate = files[i].expirydate
           ? page.getPrettyDate(new Date(files[i].expirydate * 1000))
@@ -779,6 +899,34 @@ page.getUploads = (params = {}) => {
                 <i class="icon-plus"></i>
               </span>
             </a>
+            ${page.temporaryUploadAges
+              ? `<a class="button is-small is-link" title="Change expiry date" data-action="set-upload-expiry">
+              <span class="icon">
+                <i class="icon-arrows-cw"></i>
+              </span>
+            </a>`
+              : ''}
+            ${page.maxDownloads
+              ? `<a class="button is-small is-link" title="Set max downloads" data-action="set-upload-max-downloads">
+              <span class="icon">
+                <i class="icon-download"></i>
+              </span>
+            </a>`
+              : ''}
+            ${page.filePasswords
+              ? `<a class="button is-small is-link" title="${upload.protected ? 'Change or remove password' : 'Set password'}" data-action="set-upload-password">
+              <span class="icon">
+                <i class="icon-login"></i>
+              </span>
+            </a>`
+              : ''}
+            ${params.all
+              ? `<a class="button is-small is-dangerish" title="Ban content" data-action="ban-upload">
+              <span class="icon">
+                <i class="icon-block"></i>
+              </span>
+            </a>`
+              : ''}
             <a class="button is-small is-danger" title="Delete" data-action="delete-upload">
               <span class="icon">
                 <i class="icon-trash"></i>
@@ -792,6 +940,9 @@ page.getUploads = (params = {}) => {
             ${hasExpiryDateColumn && upload.prettyExpiryDate
               ? `<p class="prettyexpirydate">EXP: ${upload.prettyExpiryDate}</p>`
               : ''}
+            ${hasDownloadsLeftColumn && upload.downloadsleft !== null
+              ? `<p class="downloadsleft">Downloads left: ${upload.downloadsleft}</p>`
+              : ''}
           </div>
         `
 
@@ -815,8 +966,10 @@ page.getUploads = (params = {}) => {
                 ${allAlbums ? '<th title="Key: albumid">Album</th>' : ''}
                 <th title="Key: size">Size</th>
                 ${params.all ? '<th title="Key: ip">IP</th>' : ''}
+                ${params.all ? '<th title="Key: type">Type</th>' : ''}
                 <th title="Key: timestamp">Upload date</th>
                 ${hasExpiryDateColumn ? '<th title="Key: expirydate">Expiry date</th>' : ''}
+                ${hasDownloadsLeftColumn ? '<th title="Key: downloadsleft">Downloads left</th>' : ''}
                 <th class="has-text-right">(${response.data.count} total)</th>
               </tr>
             </thead>
@@ -843,8 +996,10 @@ page.getUploads = (params = {}) => {
           ${allAlbums ? `<th class="album">${upload.albumid ? (albums[upload.albumid] || '') : ''}</th>` : ''}
           <td class="prettybytes">${upload.prettyBytes}</td>
           ${params.all ? `<td class="ip">${upload.ip || ''}</td>` : ''}
+          ${params.all ? `<td class="mimetype">${upload.prettyType}</td>` : ''}
           <td class="prettydate">${upload.prettyDate}</td>
           ${hasExpiryDateColumn ? `<td class="prettyexpirydate">${upload.prettyExpiryDate || '-'}</td>` : ''}
+          ${hasDownloadsLeftColumn ? `<td class="downloadsleft">${upload.downloadsleft !== null ? upload.downloadsleft : '-'}</td>` : ''}
           <td class="controls has-text-right">
             <a class="button is-small is-primary is-outlined" title="${upload.previewable ? 'Display preview' : 'File can\'t be previewed'}" data-action="display-preview"${upload.previewable ? '' : ' disabled'}>
               <span class="icon">
@@ -863,6 +1018,34 @@ page.getUploads = (params = {}) => {
                 <i class="icon-plus"></i>
               </span>
             </a>`}
+            ${page.temporaryUploadAges
+              ? `<a class="button is-small is-link is-outlined" title="Change expiry date" data-action="set-upload-expiry">
+              <span class="icon">
+                <i class="icon-arrows-cw"></i>
+              </span>
+            </a>`
+              : ''}
+            ${page.maxDownloads
+              ? `<a class="button is-small is-link is-outlined" title="Set max downloads" data-action="set-upload-max-downloads">
+              <span class="icon">
+                <i class="icon-download"></i>
+              </span>
+            </a>`
+              : ''}
+            ${page.filePasswords
+              ? `<a class="button is-small is-link${upload.protected ? '' : ' is-outlined'}" title="${upload.protected ? 'Change or remove password' : 'Set password'}" data-action="set-upload-password">
+              <span class="icon">
+                <i class="icon-login"></i>
+              </span>
+            </a>`
+              : ''}
+            ${params.all
+              ? `<a class="button is-small is-dangerish is-outlined" title="Ban content" data-action="ban-upload">
+              <span class="icon">
+                <i class="icon-block"></i>
+              </span>
+            </a>`
+              : ''}
             <a class="button is-small is-danger is-outlined" title="Delete" data-action="delete-upload">
               <span class="icon">
                 <i class="icon-trash"></i>
@@ -1291,6 +1474,187 @@ page.deleteUpload = id => {
   })
 }
 
+page.setUploadPassword = id => {
+  const file = page.cache[id]
+  if (!file) return
+
+  const div = document.createElement('div')
+  div.innerHTML = `
+    <div class="field">
+      <div class="control">
+        <input id="swalPassword" class="input" type="password" placeholder="Password" maxlength="64" autocomplete="new-password">
+      </div>
+      <p class="help">${file.protected ? 'Leave empty to remove the password.' : 'The upload will have to be unlocked with this password to be viewed.'}</p>
+    </div>
+  `
+
+  swal({
+    title: file.protected ? 'Change password' : 'Set password',
+    text: file.name,
+    icon: 'info',
+    content: div,
+    buttons: {
+      cancel: true,
+      confirm: {
+        closeModal: false
+      }
+    }
+  }).then(value => {
+    if (!value) return
+
+    axios.post('api/upload/password', {
+      id,
+      password: document.querySelector('#swalPassword').value
+    }).then(response => {
+      if (!response) return
+
+      if (response.data.success === false) {
+        if (response.data.description === 'No token provided') {
+          return page.verifyToken(page.token)
+        } else {
+          return swal('An error occurred!', response.data.description, 'error')
+        }
+      }
+
+      swal('Success!', response.data.protected ? 'The upload is now password-protected.' : 'The password was removed.', 'success', {
+        buttons: false,
+        timer: 1500
+      })
+
+      // eslint-disable-next-line compat/compat
+      page.getUploads(Object.assign(page.views[page.currentView], {
+        autoPage: true
+      }))
+    }).catch(page.onAxiosError)
+  })
+}
+
+page.setUploadMaxDownloads = id => {
+  const file = page.cache[id]
+  if (!file) return
+
+  const div = document.createElement('div')
+  div.innerHTML = `
+    <div class="field">
+      <div class="control">
+        <input id="swalMaxDownloads" class="input" type="number" min="0" max="${page.maxDownloads}" value="${file.downloadsleft || 0}">
+      </div>
+      <p class="help">The upload will be deleted after being downloaded this many more times. Set to 0 to not limit its downloads.</p>
+    </div>
+  `
+
+  swal({
+    title: 'Set max downloads',
+    text: file.name,
+    icon: 'info',
+    content: div,
+    buttons: {
+      cancel: true,
+      confirm: {
+        closeModal: false
+      }
+    }
+  }).then(value => {
+    if (!value) return
+
+    axios.post('api/upload/maxdownloads', {
+      id,
+      maxdownloads: parseInt(document.querySelector('#swalMaxDownloads').value) || 0
+    }).then(response => {
+      if (!response) return
+
+      if (response.data.success === false) {
+        if (response.data.description === 'No token provided') {
+          return page.verifyToken(page.token)
+        } else {
+          return swal('An error occurred!', response.data.description, 'error')
+        }
+      }
+
+      swal('Success!', response.data.downloadsleft
+        ? `The upload will be deleted after ${response.data.downloadsleft} more download${response.data.downloadsleft === 1 ? '' : 's'}.`
+        : 'The upload\'s downloads are no longer limited.', 'success', {
+        buttons: false,
+        timer: 1500
+      })
+
+      // eslint-disable-next-line compat/compat
+      page.getUploads(Object.assign(page.views[page.currentView], {
+        autoPage: true
+      }))
+    }).catch(page.onAxiosError)
+  })
+}
+
+page.setUploadsExpiry = ids => {
+  const div = document.createElement('div')
+  div.innerHTML = `
+    <div class="field">
+      <div class="control">
+        <div class="select is-fullwidth">
+          <select id="swalAge">
+            ${page.temporaryUploadAges.map(age => `<option value="${age}">${page.getPrettyUploadAge(age)}</option>`).join('\n')}
+          </select>
+        </div>
+      </div>
+      <p class="help">The ${ids.length === 1 ? 'upload' : 'uploads'} will expire after this long from now.</p>
+    </div>
+  `
+
+  swal({
+    title: 'Change expiry date',
+    text: `You are about to change the expiry date of ${ids.length} upload${ids.length === 1 ? '' : 's'}.`,
+    icon: 'info',
+    content: div,
+    buttons: {
+      cancel: true,
+      confirm: {
+        closeModal: false
+      }
+    }
+  }).then(value => {
+    if (!value) return
+
+    axios.post('api/upload/expiry', {
+      ids,
+      age: parseFloat(document.querySelector('#swalAge').value)
+    }).then(response => {
+      if (!response) return
+
+      if (response.data.success === false) {
+        if (response.data.description === 'No token provided') {
+          return page.verifyToken(page.token)
+        } else {
+          return swal('An error occurred!', response.data.description, 'error')
+        }
+      }
+
+      const failed = Array.isArray(response.data.failed) ? response.data.failed : []
+      if (failed.length === ids.length) {
+        swal('An error occurred!', `Unable to change expiry date of the upload${ids.length === 1 ? '' : 's'}.`, 'error')
+      } else if (failed.length) {
+        swal('An error occurred!', `Unable to change expiry date of ${failed.length} of ${ids.length} uploads.`, 'error')
+      } else {
+        swal('Success!', response.data.expirydate
+          ? `The ${ids.length === 1 ? 'upload' : 'uploads'} will now expire on ${page.getPrettyDate(new Date(response.data.expirydate * 1000))}.`
+          : `The ${ids.length === 1 ? 'upload is' : 'uploads are'} now permanent.`, 'success')
+      }
+
+      // eslint-disable-next-line compat/compat
+      page.getUploads(Object.assign(page.views[page.currentView], {
+        autoPage: true
+      }))
+    }).catch(page.onAxiosError)
+  })
+}
+
+page.bulkSetUploadsExpiry = () => {
+  const count = page.selected[page.currentView].length
+  if (!count) return swal('An error occurred!', 'You have not selected any uploads.', 'error')
+
+  page.setUploadsExpiry(page.selected[page.currentView])
+}
+
 page.bulkDeleteUploads = () => {
   const count = page.selected[page.currentView].length
   if (!count) return swal('An error occurred!', 'You have not selected any uploads.', 'error')
@@ -2284,70 +2648,843 @@ page.sendNewPassword = (pass, element) => {
   })
 }
 
-page.getUsers = (params = {}) => {
-  if (!page.permissions.admin) return swal('An error occurred!', 'You cannot do this!', 'error')
-
-  if (page.isSomethingLoading) return page.warnSomethingLoading()
-
+page.getWebhooks = (params = {}) => {
   page.updateTrigger(params.trigger, 'loading')
 
-  if (typeof params.pageNum !== 'number') params.pageNum = 0
+  axios.get('api/webhooks').then(response => {
+    if (!response) return
 
-  const url = `api/users/${params.pageNum}`
-  axios.get(url).then(response => {
     if (response.data.success === false) {
+      page.updateTrigger(params.trigger)
       if (response.data.description === 'No token provided') {
         return page.verifyToken(page.token)
       } else {
-        page.updateTrigger(params.trigger)
         return swal('An error occurred!', response.data.description, 'error')
       }
     }
 
-    const pages = Math.ceil(response.data.count / 25)
-    const users = response.data.users
-    if (params.pageNum && (users.length === 0)) {
-      page.updateTrigger(params.trigger)
-      if (params.autoPage) {
-        params.pageNum = pages - 1
-        return page.getUsers(params)
-      } else {
-        return swal('An error occurred!', `There are no more users to populate page ${params.pageNum + 1}.`, 'error')
-      }
-    }
-
-    page.currentView = 'users'
     page.cache = {}
+    page.webhookEvents = response.data.events
 
-    if (params.pageNum < 0) params.pageNum = Math.max(0, pages + params.pageNum)
-    const pagination = page.paginate(response.data.count, 25, params.pageNum)
+    const webhooks = response.data.webhooks
+    const eventsCheckboxes = (prefix, events) => page.webhookEvents.map(event => `
+      <label class="checkbox">
+        <input type="checkbox" class="${prefix}Event" value="${event}"${!events || events.includes(event) ? ' checked' : ''}>
+        ${event}
+      </label>
+    `).join('')
 
-    const filter = `
-      <div class="column">
-        <form class="prevent-default">
-          <div class="field has-addons">
-            <div class="control is-expanded">
-              <input id="filters" class="input is-small" type="text" placeholder="Filter users (WIP)" value="${page.escape(params.filters || '')}" disabled>
-            </div>
-            <div class="control">
-              <button type="button" class="button is-small is-primary is-outlined" title="Help? (WIP)" data-action="user-filters-help" disabled>
-                <span class="icon">
-                  <i class="icon-help-circled"></i>
-                </span>
-              </button>
-            </div>
-            <div class="control">
-              <button type="submit" class="button is-small is-info is-outlined" title="Filter users (WIP)" data-action="filter-users" disabled>
-                <span class="icon">
-                  <i class="icon-filter"></i>
-                </span>
-              </button>
-            </div>
+    page.dom.innerHTML = `
+      <h2 class="subtitle">Create new webhook</h2>
+      <form class="prevent-default">
+        <div class="field">
+          <div class="control">
+            <input id="webhookUrl" class="input" type="url" placeholder="https://example.com/webhook" maxlength="2048" required>
           </div>
-        </form>
-      </div>
-    `
-    const extraControls = `
+          <p class="help">Events will be sent to this URL as JSON payloads with POST requests.</p>
+        </div>
+        <div class="field">
+          <div class="control">
+            ${eventsCheckboxes('webhook')}
+          </div>
+          <p class="help">Webhooks without any checked events will receive all of them.</p>
+        </div>
+        <div class="field">
+          <div class="control">
+            <button type="submit" class="button is-info is-outlined is-fullwidth" data-action="submit-webhook"${webhooks.length >= response.data.max ? ' disabled' : ''}>
+              <span class="icon">
+                <i class="icon-paper-plane"></i>
+              </span>
+              <span>Create</span>
+            </button>
+          </div>
+          <p class="help">You may have up to ${response.data.max} webhooks.</p>
+        </div>
+      </form>
+      <hr>
+      <div class="table-container has-text-left">
+        <table class="table is-narrow is-fullwidth is-hoverable">
+          <thead>
+            <tr>
+              <th>ID</th>
+              <th>URL</th>
+              <th>Events</th>
+              <th>Last delivery</th>
+              <th>Created at</th>
+              <th class="has-text-right">(${webhooks.length} total)</th>
+            </tr>
+          </thead>
+          <tbody id="table">
+          </tbody>
+        </table>
+      </div>
+    `
+
+    const table = document.querySelector('#table')
+
+    for (let i = 0; i < webhooks.length; i++) {
+      const webhook = webhooks[i]
+      const enabled = webhook.enabled !== 0
+      const last = webhook.deliveries[0]
+
+      page.cache[webhook.id] = webhook
+
+      const tr = document.createElement('tr')
+      tr.dataset.id = webhook.id
+      tr.innerHTML = `
+        <th>${webhook.id}</th>
+        <th${enabled ? '' : ' class="has-text-grey is-linethrough"'}>${page.escape(webhook.url)}</th>
+        <td>${webhook.events.length ? webhook.events.join(', ') : 'All'}</td>
+        <td${last && last.error ? ' class="has-text-danger"' : ''}>${last ? `${last.event}: ${last.error ? page.escape(last.error) : last.status}` : '-'}</td>
+        <td>${page.getPrettyDate(new Date(webhook.timestamp * 1000))}</td>
+        <td class="has-text-right" data-id="${webhook.id}">
+          <a class="button is-small is-primary is-outlined" title="Edit webhook" data-action="edit-webhook">
+            <span class="icon is-small">
+              <i class="icon-pencil"></i>
+            </span>
+          </a>
+          <a class="button is-small is-info is-outlined" title="${webhook.deliveries.length ? 'View recent deliveries' : 'Webhook doesn\'t have deliveries'}" data-action="view-webhook-deliveries"${webhook.deliveries.length ? '' : ' disabled'}>
+            <span class="icon is-small">
+              <i class="icon-th-list"></i>
+            </span>
+          </a>
+          <a class="button is-small is-warning is-outlined" title="Send test event" data-action="test-webhook">
+            <span class="icon is-small">
+              <i class="icon-paper-plane"></i>
+            </span>
+          </a>
+          <a class="button is-small is-danger is-outlined" title="Delete webhook" data-action="delete-webhook">
+            <span class="icon is-small">
+              <i class="icon-trash"></i>
+            </span>
+          </a>
+        </td>
+      `
+
+      table.appendChild(tr)
+    }
+
+    page.fadeInDom()
+    page.scrollToDom()
+    page.updateTrigger(params.trigger, 'active')
+  }).catch(error => {
+    page.updateTrigger(params.trigger)
+    page.onAxiosError(error)
+  })
+}
+
+page.getWebhookEvents = prefix => {
+  const checkboxes = document.querySelectorAll(`.${prefix}Event:checked`)
+  const events = []
+  for (let i = 0; i < checkboxes.length; i++) {
+    events.push(checkboxes[i].value)
+  }
+  return events
+}
+
+page.submitWebhook = element => {
+  if (!page.dom.querySelector('form').checkValidity()) return
+
+  page.updateTrigger(element, 'loading')
+
+  axios.post('api/webhooks', {
+    url: document.querySelector('#webhookUrl').value.trim(),
+    events: page.getWebhookEvents('webhook')
+  }).then(response => {
+    if (!response) return
+
+    page.updateTrigger(element)
+    if (response.data.success === false) {
+      if (response.data.description === 'No token provided') {
+        return page.verifyToken(page.token)
+      } else {
+        return swal('An error occurred!', response.data.description, 'error')
+      }
+    }
+
+    const div = document.createElement('div')
+    div.innerHTML = `
+      <p>Use this secret to verify the <code>Lolisafe-Signature</code> header of the events:</p>
+      <input class="input" type="text" readonly value="${response.data.secret}">
+    `
+    swal({
+      title: 'Webhook created!',
+      icon: 'success',
+      content: div
+    })
+    page.getWebhooks()
+  }).catch(error => {
+    page.updateTrigger(element)
+    page.onAxiosError(error)
+  })
+}
+
+page.editWebhook = id => {
+  const webhook = page.cache[id]
+  if (!webhook) return
+
+  const div = document.createElement('div')
+  div.innerHTML = `
+    <div class="field">
+      <div class="control">
+        <input id="swalUrl" class="input" type="url" placeholder="URL" maxlength="2048" value="${page.escape(webhook.url)}">
+      </div>
+    </div>
+    <div class="field">
+      <div class="control">
+        ${page.webhookEvents.map(event => `
+          <label class="checkbox">
+            <input type="checkbox" class="swalEvent" value="${event}"${webhook.events.includes(event) ? ' checked' : ''}>
+            ${event}
+          </label>
+        `).join('')}
+      </div>
+      <p class="help">Webhooks without any checked events will receive all of them.</p>
+    </div>
+    <div class="field">
+      <div class="control">
+        <label class="checkbox">
+          <input id="swalEnabled" type="checkbox" ${webhook.enabled !== 0 ? 'checked' : ''}>
+          Enabled
+        </label>
+      </div>
+    </div>
+    <div class="field">
+      <label class="label">Secret:</label>
+      <div class="control">
+        <input class="input" type="text" readonly value="${webhook.secret}">
+      </div>
+    </div>
+    <div class="field">
+      <div class="control">
+        <label class="checkbox">
+          <input id="swalRequestSecret" type="checkbox">
+          Request new secret
+        </label>
+      </div>
+    </div>
+  `
+
+  swal({
+    title: 'Edit webhook',
+    icon: 'info',
+    content: div,
+    buttons: {
+      cancel: true,
+      confirm: {
+        closeModal: false
+      }
+    }
+  }).then(value => {
+    if (!value) return
+
+    axios.post('api/webhooks/edit', {
+      id,
+      url: document.querySelector('#swalUrl').value.trim(),
+      events: page.getWebhookEvents('swal'),
+      enabled: document.querySelector('#swalEnabled').checked,
+      requestSecret: document.querySelector('#swalRequestSecret').checked
+    }).then(response => {
+      if (!response) return
+
+      if (response.data.success === false) {
+        if (response.data.description === 'No token provided') {
+          return page.verifyToken(page.token)
+        } else {
+          return swal('An error occurred!', response.data.description, 'error')
+        }
+      }
+
+      if (response.data.secret) {
+        swal('Success!', `The webhook's new secret is: ${response.data.secret}`, 'success')
+      } else {
+        swal('Success!', 'The webhook was edited.', 'success', {
+          buttons: false,
+          timer: 1500
+        })
+      }
+
+      page.getWebhooks()
+    }).catch(page.onAxiosError)
+  })
+}
+
+page.viewWebhookDeliveries = id => {
+  const webhook = page.cache[id]
+  if (!webhook) return
+
+  const div = document.createElement('div')
+  div.innerHTML = `
+    <div class="table-container has-text-left">
+      <table class="table is-narrow is-fullwidth">
+        <thead>
+          <tr>
+            <th>Event</th>
+            <th>Status</th>
+            <th>Attempts</th>
+            <th>Date</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${webhook.deliveries.map(delivery => `
+            <tr>
+              <td>${delivery.event}</td>
+              <td${delivery.error ? ' class="has-text-danger"' : ''}>${delivery.error ? page.escape(delivery.error) : (delivery.status || 'Pending')}</td>
+              <td>${delivery.attempts}</td>
+              <td>${page.getPrettyDate(new Date(delivery.timestamp * 1000))}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    </div>
+  `
+
+  swal({
+    title: 'Recent deliveries',
+    content: div
+  })
+}
+
+page.testWebhook = (id, element) => {
+  page.updateTrigger(element, 'loading')
+
+  axios.post('api/webhooks/test', { id }).then(response => {
+    if (!response) return
+
+    page.updateTrigger(element)
+    if (response.data.success === false) {
+      if (response.data.description === 'No token provided') {
+        return page.verifyToken(page.token)
+      } else {
+        return swal('An error occurred!', response.data.description, 'error')
+      }
+    }
+
+    if (response.data.error) {
+      swal('Delivery failed!', response.data.error, 'error')
+    } else {
+      swal('Delivered!', `The endpoint responded with status ${response.data.status}.`, 'success')
+    }
+    page.getWebhooks()
+  }).catch(error => {
+    page.updateTrigger(element)
+    page.onAxiosError(error)
+  })
+}
+
+page.deleteWebhook = id => {
+  swal({
+    title: 'Are you sure?',
+    text: 'The webhook and its delivery log will be deleted.',
+    icon: 'warning',
+    dangerMode: true,
+    buttons: {
+      cancel: true,
+      confirm: {
+        text: 'Yes, delete it!',
+        closeModal: false
+      }
+    }
+  }).then(proceed => {
+    if (!proceed) return
+
+    axios.post('api/webhooks/delete', { id }).then(response => {
+      if (!response) return
+
+      if (response.data.success === false) {
+        if (response.data.description === 'No token provided') {
+          return page.verifyToken(page.token)
+        } else {
+          return swal('An error occurred!', response.data.description, 'error')
+        }
+      }
+
+      swal('Deleted!', 'The webhook has been deleted.', 'success', {
+        buttons: false,
+        timer: 1500
+      })
+      page.getWebhooks()
+    }).catch(page.onAxiosError)
+  })
+}
+
+page.banUploads = ids => {
+  const div = document.createElement('div')
+  div.innerHTML = `
+    <div class="field">
+      <div class="control">
+        <input id="swalReason" class="input" type="text" placeholder="Reason (optional)" maxlength="255">
+      </div>
+      <p class="help">Contents of the ${ids.length === 1 ? 'upload' : 'uploads'} will be banned from being uploaded again,
+      and all uploads sharing the same contents will be deleted, including other users'.</p>
+    </div>
+  `
+
+  swal({
+    title: 'Are you sure?',
+    text: `You are about to ban the contents of ${ids.length} upload${ids.length === 1 ? '' : 's'}.`,
+    icon: 'warning',
+    content: div,
+    dangerMode: true,
+    buttons: {
+      cancel: true,
+      confirm: {
+        text: 'Yes, ban it!',
+        closeModal: false
+      }
+    }
+  }).then(proceed => {
+    if (!proceed) return
+
+    axios.post('api/bans', {
+      ids,
+      reason: document.querySelector('#swalReason').value.trim()
+    }).then(response => {
+      if (!response) return
+
+      if (response.data.success === false) {
+        if (response.data.description === 'No token provided') {
+          return page.verifyToken(page.token)
+        } else {
+          return swal('An error occurred!', response.data.description, 'error')
+        }
+      }
+
+      const failed = response.data.failed.length
+      swal(failed ? 'An error occurred!' : 'Banned!',
+        `Banned ${response.data.banned} new hash${response.data.banned === 1 ? '' : 'es'}, and deleted ${response.data.deleted} upload${response.data.deleted === 1 ? '' : 's'}.` +
+        (failed ? ` Unable to delete ${failed} upload${failed === 1 ? '' : 's'}.` : ''),
+        failed ? 'error' : 'success')
+
+      page.selected[page.currentView] = page.selected[page.currentView].filter(id => !ids.includes(id))
+      localStorage[lsKeys.selected[page.currentView]] = JSON.stringify(page.selected[page.currentView])
+
+      // eslint-disable-next-line compat/compat
+      page.getUploads(Object.assign(page.views[page.currentView], {
+        autoPage: true
+      }))
+    }).catch(page.onAxiosError)
+  })
+}
+
+page.bulkBanUploads = () => {
+  const count = page.selected[page.currentView].length
+  if (!count) return swal('An error occurred!', 'You have not selected any uploads.', 'error')
+
+  page.banUploads(page.selected[page.currentView])
+}
+
+page.getBans = (params = {}) => {
+  if (!page.permissions.moderator) return swal('An error occurred!', 'You cannot do this!', 'error')
+
+  page.updateTrigger(params.trigger, 'loading')
+
+  axios.get('api/bans').then(response => {
+    if (!response) return
+
+    if (response.data.success === false) {
+      page.updateTrigger(params.trigger)
+      if (response.data.description === 'No token provided') {
+        return page.verifyToken(page.token)
+      } else {
+        return swal('An error occurred!', response.data.description, 'error')
+      }
+    }
+
+    page.cache = {}
+
+    const bans = response.data.bans
+    page.dom.innerHTML = `
+      <div class="columns">
+        <div class="column has-text-left">
+          <p class="help">Uploads matching these BLAKE3 hashes will be rejected. Use "Ban content" in Manage uploads to add more.</p>
+        </div>
+        <div class="column is-narrow has-text-right">
+          <a class="button is-small is-info is-outlined" title="Export banned hashes" data-action="export-bans">
+            <span class="icon">
+              <i class="icon-download"></i>
+            </span>
+            <span>Export</span>
+          </a>
+          <a class="button is-small is-primary is-outlined" title="Import banned hashes" data-action="import-bans">
+            <span class="icon">
+              <i class="icon-upload-cloud"></i>
+            </span>
+            <span>Import</span>
+          </a>
+        </div>
+      </div>
+      <div class="table-container has-text-left">
+        <table class="table is-narrow is-fullwidth is-hoverable">
+          <thead>
+            <tr>
+              <th>Hash</th>
+              <th>Reason</th>
+              <th>Banned by</th>
+              <th>Banned at</th>
+              <th class="has-text-right">(${bans.length} total)</th>
+            </tr>
+          </thead>
+          <tbody id="table">
+          </tbody>
+        </table>
+      </div>
+    `
+
+    const table = document.querySelector('#table')
+
+    for (let i = 0; i < bans.length; i++) {
+      const ban = bans[i]
+      page.cache[ban.id] = ban
+
+      const tr = document.createElement('tr')
+      tr.dataset.id = ban.id
+      tr.innerHTML = `
+        <th title="${ban.hash}"><code>${ban.hash.substring(0, 16)}…</code></th>
+        <td>${ban.reason ? page.escape(ban.reason) : '-'}</td>
+        <td>${ban.username ? page.escape(ban.username) : '-'}</td>
+        <td>${page.getPrettyDate(new Date(ban.timestamp * 1000))}</td>
+        <td class="has-text-right" data-id="${ban.id}">
+          <a class="button is-small is-danger is-outlined" title="Unban hash" data-action="unban-hash">
+            <span class="icon is-small">
+              <i class="icon-trash"></i>
+            </span>
+          </a>
+        </td>
+      `
+
+      table.appendChild(tr)
+    }
+
+    page.fadeInDom()
+    page.scrollToDom()
+    page.updateTrigger(params.trigger, 'active')
+  }).catch(error => {
+    page.updateTrigger(params.trigger)
+    page.onAxiosError(error)
+  })
+}
+
+page.unbanHash = id => {
+  const ban = page.cache[id]
+
+  swal({
+    title: 'Are you sure?',
+    text: 'Uploads matching this hash will be accepted again.',
+    icon: 'warning',
+    dangerMode: true,
+    buttons: {
+      cancel: true,
+      confirm: {
+        text: 'Yes, unban it!',
+        closeModal: false
+      }
+    }
+  }).then(proceed => {
+    if (!proceed) return
+
+    axios.post('api/bans/delete', { hashes: [ban.hash] }).then(response => {
+      if (!response) return
+
+      if (response.data.success === false) {
+        if (response.data.description === 'No token provided') {
+          return page.verifyToken(page.token)
+        } else {
+          return swal('An error occurred!', response.data.description, 'error')
+        }
+      }
+
+      swal('Unbanned!', 'The hash has been unbanned.', 'success', {
+        buttons: false,
+        timer: 1500
+      })
+      page.getBans()
+    }).catch(page.onAxiosError)
+  })
+}
+
+page.exportBans = element => {
+  page.updateTrigger(element, 'loading')
+
+  axios.get('api/bans/export').then(response => {
+    if (!response) return
+
+    page.updateTrigger(element)
+    if (response.data.success === false) {
+      if (response.data.description === 'No token provided') {
+        return page.verifyToken(page.token)
+      } else {
+        return swal('An error occurred!', response.data.description, 'error')
+      }
+    }
+
+    const blob = new Blob([JSON.stringify({ bans: response.data.bans }, null, 2)], { type: 'application/json' })
+    const a = document.createElement('a')
+    /* eslint-disable-next-line compat/compat */
+    a.href = URL.createObjectURL(blob)
+    a.download = `banned-hashes-${Math.floor(Date.now() / 1000)}.json`
+    document.body.appendChild(a)
+    a.click()
+    document.body.removeChild(a)
+  }).catch(error => {
+    page.updateTrigger(element)
+    page.onAxiosError(error)
+  })
+}
+
+page.importBans = () => {
+  const div = document.createElement('div')
+  div.innerHTML = `
+    <div class="field">
+      <div class="control">
+        <input id="swalBansFile" class="input" type="file" accept=".json,application/json">
+      </div>
+      <p class="help">JSON file exported from this or another lolisafe instance. Hashes that are already banned will be skipped.</p>
+    </div>
+  `
+
+  swal({
+    title: 'Import banned hashes',
+    icon: 'info',
+    content: div,
+    buttons: {
+      cancel: true,
+      confirm: {
+        closeModal: false
+      }
+    }
+  }).then(value => {
+    if (!value) return
+
+    const file = document.querySelector('#swalBansFile').files[0]
+    if (!file) return swal('An error occurred!', 'You did not select any file.', 'error')
+
+    const reader = new FileReader()
+    reader.onload = () => {
+      let bans
+      try {
+        bans = JSON.parse(reader.result).bans
+      } catch (error) {
+        return swal('An error occurred!', 'The file is not a valid JSON file.', 'error')
+      }
+
+      axios.post('api/bans/import', { bans }).then(response => {
+        if (!response) return
+
+        if (response.data.success === false) {
+          if (response.data.description === 'No token provided') {
+            return page.verifyToken(page.token)
+          } else {
+            return swal('An error occurred!', response.data.description, 'error')
+          }
+        }
+
+        swal('Imported!', `Imported ${response.data.imported} hash${response.data.imported === 1 ? '' : 'es'}, skipped ${response.data.skipped}.`, 'success')
+        page.getBans()
+      }).catch(page.onAxiosError)
+    }
+    reader.onerror = () => swal('An error occurred!', 'Unable to read the file.', 'error')
+    reader.readAsText(file)
+  })
+}
+
+page.getQuarantine = (params = {}) => {
+  if (!page.permissions.moderator) return swal('An error occurred!', 'You cannot do this!', 'error')
+
+  page.updateTrigger(params.trigger, 'loading')
+
+  axios.get('api/quarantine').then(response => {
+    if (!response) return
+
+    if (response.data.success === false) {
+      page.updateTrigger(params.trigger)
+      if (response.data.description === 'No token provided') {
+        return page.verifyToken(page.token)
+      } else {
+        return swal('An error occurred!', response.data.description, 'error')
+      }
+    }
+
+    page.cache = {}
+
+    const files = response.data.files
+    page.dom.innerHTML = `
+      <p class="help has-text-left">Uploads that were found to be infected by ClamAV. Released uploads will be served again as-is.</p>
+      <div class="table-container has-text-left">
+        <table class="table is-narrow is-fullwidth is-hoverable">
+          <thead>
+            <tr>
+              <th>ID</th>
+              <th>File name</th>
+              <th>Threats</th>
+              <th>Uploader</th>
+              <th>Size</th>
+              <th>Uploaded at</th>
+              <th class="has-text-right">(${response.data.count} total)</th>
+            </tr>
+          </thead>
+          <tbody id="table">
+          </tbody>
+        </table>
+      </div>
+    `
+
+    const table = document.querySelector('#table')
+
+    for (let i = 0; i < files.length; i++) {
+      const file = files[i]
+      page.cache[file.id] = file
+
+      const tr = document.createElement('tr')
+      tr.dataset.id = file.id
+      tr.innerHTML = `
+        <th>${file.id}</th>
+        <th title="${page.escape(file.original)}">${page.escape(file.name)}</th>
+        <td class="has-text-danger">${page.escape(file.scanResult || '')}</td>
+        <td>${file.username ? page.escape(file.username) : (file.ip ? page.escape(file.ip) : '-')}</td>
+        <td>${page.getPrettyBytes(file.size)}</td>
+        <td>${page.getPrettyDate(new Date(file.timestamp * 1000))}</td>
+        <td class="has-text-right" data-id="${file.id}">
+          <a class="button is-small is-warning is-outlined" title="Release upload" data-action="release-quarantined">
+            <span class="icon is-small">
+              <i class="icon-arrows-cw"></i>
+            </span>
+          </a>
+          <a class="button is-small is-danger is-outlined" title="Purge upload" data-action="purge-quarantined">
+            <span class="icon is-small">
+              <i class="icon-trash"></i>
+            </span>
+          </a>
+        </td>
+      `
+
+      table.appendChild(tr)
+    }
+
+    page.fadeInDom()
+    page.scrollToDom()
+    page.updateTrigger(params.trigger, 'active')
+  }).catch(error => {
+    page.updateTrigger(params.trigger)
+    page.onAxiosError(error)
+  })
+}
+
+page.postQuarantine = (action, id, title, text) => {
+  swal({
+    title: 'Are you sure?',
+    text,
+    icon: 'warning',
+    dangerMode: true,
+    buttons: {
+      cancel: true,
+      confirm: {
+        text: `Yes, ${action} it!`,
+        closeModal: false
+      }
+    }
+  }).then(proceed => {
+    if (!proceed) return
+
+    axios.post(`api/quarantine/${action}`, { ids: [id] }).then(response => {
+      if (!response) return
+
+      if (response.data.success === false) {
+        if (response.data.description === 'No token provided') {
+          return page.verifyToken(page.token)
+        } else {
+          return swal('An error occurred!', response.data.description, 'error')
+        }
+      }
+
+      if (Array.isArray(response.data.failed) && response.data.failed.length) {
+        swal('An error occurred!', `Unable to ${action} the upload.`, 'error')
+      } else {
+        swal(title, `The upload has been ${action}d.`, 'success', {
+          buttons: false,
+          timer: 1500
+        })
+      }
+      page.getQuarantine()
+    }).catch(page.onAxiosError)
+  })
+}
+
+page.releaseQuarantined = id => {
+  const file = page.cache[id]
+  page.postQuarantine('release', id, 'Released!',
+    `${file.name} is infected with ${file.scanResult}. Releasing it will let it be served again as-is.`)
+}
+
+page.purgeQuarantined = id => {
+  page.postQuarantine('purge', id, 'Purged!',
+    `${page.cache[id].name} will be deleted permanently.`)
+}
+
+page.getUsers = (params = {}) => {
+  if (!page.permissions.admin) return swal('An error occurred!', 'You cannot do this!', 'error')
+
+  if (page.isSomethingLoading) return page.warnSomethingLoading()
+
+  page.updateTrigger(params.trigger, 'loading')
+
+  if (typeof params.pageNum !== 'number') params.pageNum = 0
+
+  const url = `api/users/${params.pageNum}`
+  axios.get(url).then(response => {
+    if (response.data.success === false) {
+      if (response.data.description === 'No token provided') {
+        return page.verifyToken(page.token)
+      } else {
+        page.updateTrigger(params.trigger)
+        return swal('An error occurred!', response.data.description, 'error')
+      }
+    }
+
+    const pages = Math.ceil(response.data.count / 25)
+    const users = response.data.users
+    if (params.pageNum && (users.length === 0)) {
+      page.updateTrigger(params.trigger)
+      if (params.autoPage) {
+        params.pageNum = pages - 1
+        return page.getUsers(params)
+      } else {
+        return swal('An error occurred!', `There are no more users to populate page ${params.pageNum + 1}.`, 'error')
+      }
+    }
+
+    page.currentView = 'users'
+    page.cache = {}
+
+    if (params.pageNum < 0) params.pageNum = Math.max(0, pages + params.pageNum)
+    const pagination = page.paginate(response.data.count, 25, params.pageNum)
+
+    const filter = `
+      <div class="column">
+        <form class="prevent-default">
+          <div class="field has-addons">
+            <div class="control is-expanded">
+              <input id="filters" class="input is-small" type="text" placeholder="Filter users (WIP)" value="${page.escape(params.filters || '')}" disabled>
+            </div>
+            <div class="control">
+              <button type="button" class="button is-small is-primary is-outlined" title="Help? (WIP)" data-action="user-filters-help" disabled>
+                <span class="icon">
+                  <i class="icon-help-circled"></i>
+                </span>
+              </button>
+            </div>
+            <div class="control">
+              <button type="submit" class="button is-small is-info is-outlined" title="Filter users (WIP)" data-action="filter-users" disabled>
+                <span class="icon">
+                  <i class="icon-filter"></i>
+                </span>
+              </button>
+            </div>
+          </div>
+        </form>
+      </div>
+    `
+    const extraControls = `
       <div class="columns">
         ${filter}
         <div class="column is-one-quarter">
@@ -2461,7 +3598,9 @@ page.getUsers = (params = {}) => {
         username: user.username,
         groups: user.groups,
         enabled,
-        displayGroup
+        displayGroup,
+        quotasize: user.quotasize,
+        quotacount: user.quotacount
       }
 
       const prettyDate = user.registration
@@ -2476,8 +3615,8 @@ page.getUsers = (params = {}) => {
       tr.innerHTML = `
         <td class="controls"><input type="checkbox" class="checkbox" title="Select" data-index="${i}" data-action="select"${selected ? ' checked' : ''}></td>
         <th${enabled ? '' : ' class="has-text-grey"'}>${user.username}</td>
-        <th>${user.uploads}</th>
-        <td>${page.getPrettyBytes(user.usage)}</td>
+        <th>${user.uploads}${user.quota && user.quota.count ? ` / ${user.quota.count}` : ''}</th>
+        <td>${page.getPrettyBytes(user.usage)}${user.quota && user.quota.size ? ` / ${page.getPrettyBytes(user.quota.size)}` : ''}</td>
         <td>${displayGroup}</td>
         <td>${prettyDate}</td>
         <td>${prettyTokenUpdate}</td>
@@ -2650,6 +3789,20 @@ page.editUser = id => {
         </div>
       </div>
     </div>
+    <div class="field">
+      <label class="label">Storage quota (MB)</label>
+      <div class="control">
+        <input id="swalQuotaSize" class="input" type="number" min="0" value="${typeof user.quotasize === 'number' ? user.quotasize / 1e6 : ''}"${isDisabledHelper}>
+      </div>
+      <p class="help">Leave empty to use the group's default quota. 0 means unlimited.</p>
+    </div>
+    <div class="field">
+      <label class="label">Uploads quota</label>
+      <div class="control">
+        <input id="swalQuotaCount" class="input" type="number" min="0" step="1" value="${typeof user.quotacount === 'number' ? user.quotacount : ''}"${isDisabledHelper}>
+      </div>
+      <p class="help">Leave empty to use the group's default quota. 0 means unlimited.</p>
+    </div>
     <div class="field">
       <div class="control">
         <label class="checkbox">
@@ -2692,6 +3845,8 @@ page.editUser = id => {
       username: document.querySelector('#swalUsername').value,
       group: document.querySelector('#swalGroup').value,
       enabled: document.querySelector('#swalEnabled').checked,
+      quotasize: document.querySelector('#swalQuotaSize').value,
+      quotacount: document.querySelector('#swalQuotaCount').value,
       resetPassword: document.querySelector('#swalResetPassword').checked
     }).then(response => {
       if (!response) return
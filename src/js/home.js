@@ -4,11 +4,15 @@ const lsKeys = {
   token: 'token',
   chunkSize: 'chunkSize',
   parallelUploads: 'parallelUploads',
+  parallelChunkUploads: 'parallelChunkUploads',
   uploadsHistoryOrder: 'uploadsHistoryOrder',
   previewImages: 'previewImages',
   fileLength: 'fileLength',
   uploadAge: 'uploadAge',
-  stripTags: 'stripTags'
+  maxDownloads: 'maxDownloads',
+  stripTags: 'stripTags',
+  transcodeImages: 'transcodeImages',
+  encryptUploads: 'encryptUploads'
 }
 
 const page = {
@@ -24,15 +28,28 @@ const page = {
   temporaryUploadAges: null,
   fileIdentifierLength: null,
   stripTagsConfig: null,
+  transcodeImagesConfig: null,
+  maxDownloadsConfig: null,
+  filePasswords: false,
+  clientEncryption: false,
+  clientEncryptionMaxSizeBytes: null,
+  maxFilesPerUpload: null,
 
   // store album id that will be used with upload requests
   album: null,
 
+  // store password that will be used with upload requests (never stored in localStorage)
+  uploadPassword: null,
+
   parallelUploads: null,
+  parallelChunkUploads: null,
   previewImages: null,
   fileLength: null,
   uploadAge: null,
+  maxDownloads: null,
   stripTags: null,
+  transcodeImages: null,
+  encryptUploads: false,
 
   maxSizeBytes: null,
   urlMaxSize: null,
@@ -49,9 +66,16 @@ const page = {
   clipboardJS: null,
   lazyLoad: null,
 
+  // BLAKE3 hashing worker for chunked uploads
+  hashWorker: null,
+  hashWorkerWasm: null,
+  hashJobs: {},
+  hashJobsCount: 0,
+
   // additional vars for url uploads
   urlsQueue: [],
   activeUrlsQueue: 0,
+  urlJobsPollInterval: 1000,
 
   // Include BMP for uploads preview only, cause the real images will be used
   // Sharp isn't capable of making their thumbnails for dashboard and album public pages
@@ -157,6 +181,8 @@ page.checkClientVersion = apiVersion => {
 
 page.checkIfPublic = () => {
   return axios.get('api/check', {
+    // Upload limits may differ depending on the user's group
+    headers: page.token ? { token: page.token } : {},
     onDownloadProgress: () => {
       // Only do render and/or newsfeed after this request has been initiated to avoid blocking
       /* global render */
@@ -175,6 +201,10 @@ page.checkIfPublic = () => {
 
     page.maxSize = parseInt(response.data.maxSize)
     page.maxSizeBytes = page.maxSize * 1e6
+    if (response.data.urlMaxSize) {
+      page.urlMaxSize = parseInt(response.data.urlMaxSize)
+      page.urlMaxSizeBytes = page.urlMaxSize * 1e6
+    }
     page.chunkSizeConfig = {
       max: (response.data.chunkSize && parseInt(response.data.chunkSize.max)) || 95,
       default: response.data.chunkSize && parseInt(response.data.chunkSize.default)
@@ -183,6 +213,14 @@ page.checkIfPublic = () => {
     page.temporaryUploadAges = response.data.temporaryUploadAges
     page.fileIdentifierLength = response.data.fileIdentifierLength
     page.stripTagsConfig = response.data.stripTags
+    page.transcodeImagesConfig = response.data.transcodeImages
+    page.maxDownloadsConfig = response.data.maxDownloads
+    page.filePasswords = Boolean(response.data.filePasswords)
+    page.clientEncryption = Boolean(response.data.clientEncryption)
+    if (response.data.clientEncryptionMaxSize) {
+      page.clientEncryptionMaxSizeBytes = parseFloat(response.data.clientEncryptionMaxSize) * 1e6
+    }
+    page.maxFilesPerUpload = parseInt(response.data.maxFilesPerUpload) || null
 
     return page.preparePage()
   }).catch(page.onInitError)
@@ -251,6 +289,13 @@ page.prepareUpload = () => {
     document.querySelector('#loginLinkText').innerHTML = 'Create an account and keep track of your uploads'
   }
 
+  if (page.filePasswords) {
+    document.querySelector('#passwordDiv').classList.remove('is-hidden')
+    document.querySelector('#uploadPassword').addEventListener('input', event => {
+      page.uploadPassword = event.currentTarget.value || null
+    })
+  }
+
   // Prepare & generate config tab
   page.prepareUploadConfig()
 
@@ -259,6 +304,7 @@ page.prepareUpload = () => {
   document.querySelector('#loginToUpload').classList.add('is-hidden')
 
   // Prepare & generate files upload tab
+  page.prepareHashWorker()
   page.prepareDropzone()
 
   // Generate ShareX config file
@@ -267,8 +313,10 @@ page.prepareUpload = () => {
   // Prepare urls upload tab
   const urlMaxSize = document.querySelector('#urlMaxSize')
   if (urlMaxSize) {
-    page.urlMaxSize = parseInt(urlMaxSize.innerHTML)
-    page.urlMaxSizeBytes = page.urlMaxSize * 1e6
+    if (page.urlMaxSize === null) {
+      page.urlMaxSize = parseInt(urlMaxSize.innerHTML)
+      page.urlMaxSizeBytes = page.urlMaxSize * 1e6
+    }
     urlMaxSize.innerHTML = page.getPrettyBytes(page.urlMaxSizeBytes)
   }
 
@@ -279,6 +327,14 @@ page.prepareUpload = () => {
     })
   }
 
+  // Prepare paste tab
+  const uploadPaste = document.querySelector('#uploadPaste')
+  if (uploadPaste) {
+    uploadPaste.addEventListener('click', event => {
+      page.addPasteToQueue()
+    })
+  }
+
   // Get all tabs
   const tabsContainer = document.querySelector('#tabs')
   const tabs = tabsContainer.querySelectorAll('li')
@@ -337,6 +393,54 @@ page.fetchAlbums = () => {
   }).catch(page.onInitError)
 }
 
+page.prepareHashWorker = () => {
+  const mainScript = document.querySelector('#mainScript')
+  if (!mainScript || !mainScript.dataset.hashWorker || !mainScript.dataset.blake3Wasm ||
+    typeof window.Worker === 'undefined' || typeof window.WebAssembly === 'undefined') return
+
+  try {
+    page.hashWorker = new window.Worker(mainScript.dataset.hashWorker)
+  } catch (error) {
+    return console.error(error)
+  }
+
+  // Worker scripts resolve relative URLs against their own location
+  // eslint-disable-next-line compat/compat
+  page.hashWorkerWasm = new window.URL(mainScript.dataset.blake3Wasm, window.location.href).href
+
+  page.hashWorker.addEventListener('message', event => {
+    const job = page.hashJobs[event.data.id]
+    if (!job) return
+    delete page.hashJobs[event.data.id]
+    if (event.data.error) {
+      job.reject(new Error(event.data.error))
+    } else {
+      job.resolve(event.data.hash)
+    }
+  })
+}
+
+// Resolve with null if the file could not be hashed, since its verification is optional
+page.hashFile = file => {
+  // Promise is available wherever the worker could be created
+  // eslint-disable-next-line compat/compat
+  if (!page.hashWorker) return Promise.resolve(null)
+
+  // eslint-disable-next-line compat/compat
+  return new Promise((resolve, reject) => {
+    const id = page.hashJobsCount++
+    page.hashJobs[id] = { resolve, reject }
+    page.hashWorker.postMessage({ id, wasm: page.hashWorkerWasm, file })
+  }).catch(error => {
+    console.error(error)
+    return null
+  })
+}
+
+page.isParallelChunked = file => {
+  return Boolean(file.upload.chunked && page.dropzone && page.dropzone.options.parallelChunkUploads)
+}
+
 page.prepareDropzone = () => {
   // Parse template element
   const previewNode = document.querySelector('#tpl')
@@ -365,6 +469,9 @@ page.prepareDropzone = () => {
     clickable: tabDiv.querySelector('#dropzone'),
     maxFilesize: page.maxSizeBytes / 1024 / 1024, // this option expects MiB
     parallelUploads: page.parallelUploads,
+    // Files are uploaded one per request, but still hold off huge batches the same way the API would
+    maxFiles: page.maxFilesPerUpload,
+    dictMaxFilesExceeded: 'Maximum {{maxFiles}} files at a time. Wait for the current ones to finish uploading.',
     uploadMultiple: false,
     previewsContainer,
     previewTemplate: page.previewTemplate,
@@ -373,10 +480,17 @@ page.prepareDropzone = () => {
     headers: { token: page.token },
     chunking: Boolean(page.chunkSize),
     chunkSize: page.chunkSize * 1e6, // this option expects Bytes
-    parallelChunkUploads: false, // for now, enabling this breaks descriptive upload progress
+    parallelChunkUploads: Boolean(page.parallelChunkUploads),
     timeout: 0,
 
     init () {
+      // Only count files that are still waiting or uploading against maxFiles
+      this.on('queuecomplete', () => {
+        for (const file of this.getAcceptedFiles()) {
+          file.accepted = false
+        }
+      })
+
       this.on('addedfile', file => {
         // Set active tab to file uploads, if necessary
         if (page.activeTab !== 0) page.setActiveTab(0)
@@ -384,8 +498,14 @@ page.prepareDropzone = () => {
         // Add file entry
         tabDiv.querySelector('.uploads').classList.remove('is-hidden')
 
-        file.previewElement.querySelector('.name').innerHTML = file.name
+        file.previewElement.querySelector('.name').innerHTML = file._originalName || file.name
         file.previewElement.querySelector('.descriptive-progress').innerHTML = 'Waiting in queue\u2026'
+
+        // Hash files that will be chunked while they are being uploaded,
+        // so that the server can verify them once their chunks have been rebuilt
+        if (this.options.chunking && file.size > this.options.chunkSize) {
+          file._hash = page.hashFile(file)
+        }
       })
 
       this.on('sending', (file, xhr) => {
@@ -399,8 +519,10 @@ page.prepareDropzone = () => {
         }
 
         // Attach necessary data for initial upload speed calculation
-        if (typeof xhr._uplSpeedCalc === 'undefined') {
-          xhr._uplSpeedCalc = {
+        // Parallel chunks will be calculated as a whole, so attach it to the file instead
+        const calcTarget = page.isParallelChunked(file) ? file : xhr
+        if (typeof calcTarget._uplSpeedCalc === 'undefined') {
+          calcTarget._uplSpeedCalc = {
             lastSent: 0,
             data: [{ timestamp: Date.now(), bytes: 0 }]
           }
@@ -411,11 +533,20 @@ page.prepareDropzone = () => {
           if (page.album !== null) xhr.setRequestHeader('albumid', page.album)
           if (page.fileLength !== null) xhr.setRequestHeader('filelength', page.fileLength)
           if (page.uploadAge !== null) xhr.setRequestHeader('age', page.uploadAge)
+          if (page.maxDownloads !== null) xhr.setRequestHeader('maxdownloads', page.maxDownloads)
           if (page.stripTags !== null) xhr.setRequestHeader('striptags', page.stripTags)
+          if (page.transcodeImages !== null) xhr.setRequestHeader('transcode', page.transcodeImages)
+          if (page.uploadPassword !== null) xhr.setRequestHeader('password', page.uploadPassword)
+          if (file._encryptionKey) xhr.setRequestHeader('encrypted', 1)
         }
 
         if (!file.upload.chunked) {
           file.previewElement.querySelector('.descriptive-progress').innerHTML = 'Uploading\u2026'
+        } else if (page.isParallelChunked(file)) {
+          if (typeof file._uplSending === 'undefined') {
+            file._uplSending = true
+            file.previewElement.querySelector('.descriptive-progress').innerHTML = `Uploading chunks 0/${file.upload.totalChunkCount}\u2026`
+          }
         } else if (file.upload.chunks.length === 1) {
           file.previewElement.querySelector('.descriptive-progress').innerHTML = `Uploading chunk 1/${file.upload.totalChunkCount}\u2026`
         }
@@ -427,14 +558,21 @@ page.prepareDropzone = () => {
         const total = Math.max(file.size, file.upload.total)
         const percentage = (file.upload.bytesSent / total * 100).toFixed(0)
 
-        const upl = file.upload.chunked
+        const parallel = page.isParallelChunked(file)
+        const upl = file.upload.chunked && !parallel
           ? file.upload.chunks[file.upload.chunks.length - 1]
           : file.upload
-        const xhr = upl.xhr || file.xhr
+        const calc = parallel
+          ? file._uplSpeedCalc
+          : (upl.xhr || file.xhr)._uplSpeedCalc
 
         let prefix = 'Uploading\u2026'
         let skipProgress = false
-        if (file.upload.chunked) {
+        if (parallel) {
+          // Chunks may finish in any order, so only count those that have succeeded
+          const done = file.upload.chunks.filter(chunk => chunk.status === Dropzone.SUCCESS).length
+          prefix = `Uploading chunks ${done}/${file.upload.totalChunkCount}\u2026`
+        } else if (file.upload.chunked) {
           const done = upl.bytesSent === upl.total
           const last = file.upload.chunks.length === file.upload.totalChunkCount
           let chunkIndex = file.upload.chunks.length
@@ -449,14 +587,14 @@ page.prepareDropzone = () => {
         let prettyBytesPerSec
         if (!skipProgress) {
           const now = Date.now()
-          const bytesSent = upl.bytesSent - xhr._uplSpeedCalc.lastSent
+          const bytesSent = upl.bytesSent - calc.lastSent
 
           // Push data of current iteration
-          xhr._uplSpeedCalc.lastSent = upl.bytesSent
-          xhr._uplSpeedCalc.data.push({ timestamp: now, bytes: bytesSent })
+          calc.lastSent = upl.bytesSent
+          calc.data.push({ timestamp: now, bytes: bytesSent })
 
           // Wait till at least the 2nd iteration (3 data including initial data)
-          const length = xhr._uplSpeedCalc.data.length
+          const length = calc.data.length
           if (length > 2) {
             // Calculate using data from all iterations
             let elapsed = 0
@@ -466,20 +604,20 @@ page.prepareDropzone = () => {
             while (i--) {
               // Splice data of unrequired iterations
               if (fullSec) {
-                xhr._uplSpeedCalc.data.splice(i, 1)
+                calc.data.splice(i, 1)
                 continue
               }
               // Sum data
-              elapsed = now - xhr._uplSpeedCalc.data[i].timestamp
+              elapsed = now - calc.data[i].timestamp
               if (elapsed > 1000) {
                 const excessDuration = elapsed - 1000
-                const newerIterationElapsed = now - xhr._uplSpeedCalc.data[i + 1].timestamp
+                const newerIterationElapsed = now - calc.data[i + 1].timestamp
                 const duration = elapsed - newerIterationElapsed
-                const fragment = (duration - excessDuration) / duration * xhr._uplSpeedCalc.data[i + 1].bytes
+                const fragment = (duration - excessDuration) / duration * calc.data[i + 1].bytes
                 bytesPerSec += fragment
                 fullSec = true
               } else {
-                bytesPerSec += xhr._uplSpeedCalc.data[i + 1].bytes
+                bytesPerSec += calc.data[i + 1].bytes
               }
             }
 
@@ -540,26 +678,36 @@ page.prepareDropzone = () => {
     },
 
     chunksUploaded (file, done) {
-      file.previewElement.querySelector('.descriptive-progress').innerHTML =
-        `Rebuilding ${file.upload.totalChunkCount} chunks\u2026`
-
-      return axios.post('api/upload/finishchunks', {
-        // This API supports an array of multiple files
-        files: [{
-          uuid: file.upload.uuid,
-          original: file.name,
-          type: file.type,
-          albumid: page.album,
-          filelength: page.fileLength,
-          age: page.uploadAge
-        }]
-      }, {
-        headers: {
-          token: page.token,
-          // Unlike the options above (e.g. albumid, filelength, etc.),
-          // strip tags cannot yet be configured per file with this API
-          striptags: page.stripTags
-        }
+      file.previewElement.querySelector('.descriptive-progress').innerHTML = 'Verifying file\u2026'
+
+      // eslint-disable-next-line compat/compat
+      return Promise.resolve(file._hash || page.hashFile(file)).then(hash => {
+        file.previewElement.querySelector('.descriptive-progress').innerHTML =
+          `Rebuilding ${file.upload.totalChunkCount} chunks\u2026`
+
+        return axios.post('api/upload/finishchunks', {
+          // This API supports an array of multiple files
+          files: [{
+            uuid: file.upload.uuid,
+            original: file.name,
+            type: file.type,
+            albumid: page.album,
+            filelength: page.fileLength,
+            age: page.uploadAge,
+            encrypted: file._encryptionKey ? 1 : undefined,
+            hash
+          }]
+        }, {
+          headers: {
+            token: page.token,
+            // Unlike the options above (e.g. albumid, filelength, etc.),
+            // strip tags and transcode images cannot yet be configured per file with this API
+            striptags: page.stripTags,
+            transcode: page.transcodeImages,
+            maxdownloads: page.maxDownloads,
+            password: page.uploadPassword
+          }
+        })
       }).catch(error => page.onAxiosError(error, true)).then(response => {
         file.previewElement.querySelector('.descriptive-progress').classList.add('is-hidden')
 
@@ -578,6 +726,80 @@ page.prepareDropzone = () => {
       })
     }
   })
+
+  // Encrypt files before they are added into the queue, so that Dropzone will only ever see their ciphertext,
+  // since it decides whether to chunk files, and how to slice them, based on their sizes.
+  // Files are encrypted as a whole in memory, so only encrypt one file at a time.
+  const addFile = page.dropzone.addFile
+  let encryptionQueue = Promise.resolve() // eslint-disable-line compat/compat
+  page.dropzone.addFile = function (file) {
+    if (!page.encryptUploads || file._encryptionKey) return addFile.call(this, file)
+
+    // Display the file while it is being encrypted, until Dropzone adds its own entry for the ciphertext
+    if (page.activeTab !== 0) page.setActiveTab(0)
+    previewsContainer.classList.remove('is-hidden')
+
+    const previewElement = Dropzone.createElement(page.previewTemplate.trim())
+    previewElement.querySelector('.name').textContent = file.name
+    previewsContainer.appendChild(previewElement)
+
+    const progress = previewElement.querySelector('.descriptive-progress')
+    const onError = message => {
+      progress.classList.add('is-hidden')
+      previewElement.querySelector('.error').innerHTML = message
+      previewElement.querySelector('.error').classList.remove('is-hidden')
+      page.updateTemplateIcon(previewElement, 'icon-block')
+    }
+
+    const encryptedSize = page.getEncryptedSize(file)
+    if (page.clientEncryptionMaxSizeBytes && encryptedSize > page.clientEncryptionMaxSizeBytes) {
+      return onError(`File too large to be encrypted (${page.getPrettyBytes(encryptedSize)}). ` +
+        `Maximum file size for encrypted uploads is ${page.getPrettyBytes(page.clientEncryptionMaxSizeBytes)}.`)
+    }
+
+    progress.innerHTML = 'Waiting to be encrypted\u2026'
+    encryptionQueue = encryptionQueue.then(() => {
+      progress.innerHTML = 'Encrypting\u2026'
+      return page.encryptFile(file, fraction => {
+        progress.innerHTML = `Encrypting\u2026 ${(fraction * 100).toFixed(0)}%`
+      })
+    }).then(result => {
+      // Keep the extension, so that the server can still filter it, but not the original name
+      const exec = /\.[\w]+$/.exec(file.name)
+      // eslint-disable-next-line compat/compat
+      const encrypted = new File([result.blob], `encrypted${exec ? exec[0] : ''}`, {
+        type: 'application/octet-stream'
+      })
+      encrypted._encryptionKey = result.key
+      encrypted._originalName = file.name
+      addFile.call(this, encrypted)
+
+      // Replace the temporary entry with Dropzone's, at the same position
+      previewsContainer.insertBefore(encrypted.previewElement, previewElement)
+      previewsContainer.removeChild(previewElement)
+    }).catch(error => {
+      console.error(error)
+      onError(page.escape(error.toString()))
+    })
+  }
+}
+
+// Pastes are uploaded as regular files, so that they will go through the same pipeline (e.g. extensions filter)
+page.addPasteToQueue = () => {
+  const pasteText = document.querySelector('#pasteText')
+  if (!pasteText.value.length) {
+    return swal('An error occurred!', 'You have not entered any text.', 'error')
+  }
+
+  let name = document.querySelector('#pasteName').value.trim() || 'paste'
+  if (!/\.[\w]+$/.test(name)) name += '.txt'
+
+  // eslint-disable-next-line compat/compat
+  const file = new File([pasteText.value], name, { type: 'text/plain' })
+  file._paste = true
+  page.dropzone.addFile(file)
+
+  pasteText.value = ''
 }
 
 page.addUrlsToQueue = () => {
@@ -591,6 +813,10 @@ page.addUrlsToQueue = () => {
     return swal('An error occurred!', 'You have not entered any URLs.', 'error')
   }
 
+  if (page.maxFilesPerUpload && urls.length > page.maxFilesPerUpload) {
+    return swal('An error occurred!', `Maximum ${page.maxFilesPerUpload} URLs at a time.`, 'error')
+  }
+
   const tabDiv = document.querySelector('#tab-urls')
   tabDiv.querySelector('.uploads').classList.remove('is-hidden')
 
@@ -641,20 +867,58 @@ page.processUrlsQueue = () => {
     return shiftQueue()
   }
 
+  function pollUrlJob (file, id) {
+    return axios.get(`api/upload/jobs/${id}`, {
+      headers: {
+        token: page.token
+      }
+    }).catch(error => page.onAxiosError(error, true)).then(response => {
+      if (response.data.success === false) {
+        return finishedUrlUpload(file, response.data)
+      }
+
+      const job = response.data.jobs[0]
+      if (job.status === 'done') {
+        return finishedUrlUpload(file, { success: true, files: [job.file] })
+      } else if (job.status === 'failed' || job.status === 'unknown') {
+        return finishedUrlUpload(file, { success: false, description: job.description })
+      }
+
+      let progress = 'Waiting in server queue\u2026'
+      if (job.status === 'downloading') {
+        progress = job.size
+          ? `Downloading ${page.getPrettyBytes(job.bytes)} / ${page.getPrettyBytes(job.size)} (${Math.floor(job.bytes / job.size * 100)}%)\u2026`
+          : `Downloading ${page.getPrettyBytes(job.bytes)}\u2026`
+      } else if (job.status === 'processing') {
+        progress = 'Processing file\u2026'
+      }
+      file.previewElement.querySelector('.descriptive-progress').innerHTML = progress
+
+      setTimeout(() => pollUrlJob(file, id), page.urlJobsPollInterval)
+    })
+  }
+
   function initUrlUpload (file) {
     file.previewElement.querySelector('.descriptive-progress').innerHTML =
-      'Waiting for server to fetch URL\u2026'
+      'Submitting URL to server\u2026'
 
+    // Let the server download the URL in background, then poll its progress
     return axios.post('api/upload', {
-      urls: [file.url]
+      urls: [file.url],
+      async: true
     }, {
       headers: {
         token: page.token,
         albumid: page.album,
         age: page.uploadAge,
-        filelength: page.fileLength
+        filelength: page.fileLength,
+        maxdownloads: page.maxDownloads,
+        password: page.uploadPassword
       }
     }).catch(error => page.onAxiosError(error, true)).then(response => {
+      if (Array.isArray(response.data.jobs) && response.data.jobs[0]) {
+        return pollUrlJob(file, response.data.jobs[0].id)
+      }
       return finishedUrlUpload(file, response.data)
     })
   }
@@ -680,21 +944,32 @@ page.updateTemplateIcon = (templateElement, iconClass) => {
 page.updateTemplate = (file, response) => {
   if (!response.url) return
 
+  // Links of encrypted uploads will point to the viewer instead, with their keys in the fragments,
+  // and links of pastes will point to the text viewer, if available
+  const encrypted = Boolean(response.viewer && file._encryptionKey)
+  let url = response.url
+  if (encrypted) {
+    url = `${response.viewer}#${file._encryptionKey}`
+  } else if (file._paste && response.viewer) {
+    url = response.viewer
+  }
+
   const link = file.previewElement.querySelector('.link')
   const a = link.querySelector('a')
   const clipboard = file.previewElement.querySelector('.clipboard-mobile > .clipboard-js')
-  a.href = a.innerHTML = clipboard.dataset.clipboardText = response.url
+  a.href = a.innerHTML = clipboard.dataset.clipboardText = url
 
   link.classList.remove('is-hidden')
   clipboard.parentElement.classList.remove('is-hidden')
 
-  const exec = /.[\w]+$/.exec(response.url)
+  // Encrypted uploads are stored with a neutral extension, so use their original names instead
+  const exec = /.[\w]+$/.exec(encrypted ? file._originalName : response.url)
   const extname = exec && exec[0]
     ? exec[0].toLowerCase()
     : null
 
   if (page.imageExts.includes(extname)) {
-    if (page.previewImages) {
+    if (page.previewImages && !encrypted) {
       const img = file.previewElement.querySelector('img')
       img.setAttribute('alt', response.name || '')
       img.dataset.src = response.url
@@ -720,6 +995,12 @@ page.updateTemplate = (file, response) => {
     expiryDate.innerHTML = `EXP: ${page.getPrettyDate(new Date(response.expirydate * 1000))}`
     expiryDate.classList.remove('is-hidden')
   }
+
+  if (response.downloadsleft) {
+    const downloadsLeft = file.previewElement.querySelector('.downloads-left')
+    downloadsLeft.innerHTML = `Downloads left: ${response.downloadsleft}`
+    downloadsLeft.classList.remove('is-hidden')
+  }
 }
 
 page.createAlbum = () => {
@@ -802,7 +1083,7 @@ page.prepareUploadConfig = () => {
   // check out number.default property of each config
   const fallback = {
     chunkSize: page.chunkSizeConfig.default,
-    parallelUploads: 2
+    parallelUploads: Math.min(2, page.maxFilesPerUpload || 2)
   }
 
   const temporaryUploadAges = Array.isArray(page.temporaryUploadAges) &&
@@ -841,6 +1122,20 @@ page.prepareUploadConfig = () => {
       select: [],
       help: 'Whether to automatically delete your uploads after a certain amount of time.'
     },
+    maxDownloads: {
+      display: Boolean(page.maxDownloadsConfig),
+      label: 'Max downloads',
+      number: page.maxDownloadsConfig
+        ? {
+            min: 0,
+            max: page.maxDownloadsConfig,
+            default: 0,
+            round: true
+          }
+        : undefined,
+      help: `Whether to automatically delete your uploads after they have been downloaded a certain amount of times.<br>
+        Set to 1 to make them viewable only once, or 0 to not limit their downloads.`
+    },
     stripTags: {
       display: page.stripTagsConfig,
       label: 'Strip tags',
@@ -854,6 +1149,22 @@ page.prepareUploadConfig = () => {
         This only applies to regular image${page.stripTagsConfig && page.stripTagsConfig.video ? ' and video' : ''} uploads (i.e. not URL uploads).`,
       disabled: page.stripTagsConfig && page.stripTagsConfig.force
     },
+    transcodeImages: {
+      display: Boolean(page.transcodeImagesConfig),
+      label: 'Transcode images',
+      select: page.transcodeImagesConfig
+        ? [
+            { value: 'default', text: page.transcodeImagesConfig.default ? page.transcodeImagesConfig.default.toUpperCase() : 'No' },
+            ...page.transcodeImagesConfig.formats
+              .filter(format => format !== page.transcodeImagesConfig.default)
+              .map(format => ({ value: format, text: format.toUpperCase() })),
+            ...(page.transcodeImagesConfig.default ? [{ value: '0', text: 'No' }] : [])
+          ]
+        : null,
+      help: `Whether to transcode images into more efficient formats, if that would make them smaller.<br>
+        This only applies to regular image uploads (i.e. not URL uploads).`,
+      disabled: page.transcodeImagesConfig && page.transcodeImagesConfig.force
+    },
     chunkSize: {
       display: Boolean(page.chunkSizeConfig.default),
       label: 'Upload chunk size (MB)',
@@ -870,7 +1181,8 @@ page.prepareUploadConfig = () => {
       label: 'Parallel uploads',
       number: {
         min: 1,
-        max: 10,
+        // Never upload more files in parallel than what the user's group may upload at a time
+        max: Math.min(10, page.maxFilesPerUpload || 10),
         default: fallback.parallelUploads,
         round: true
       },
@@ -893,6 +1205,34 @@ page.prepareUploadConfig = () => {
         }
       }
     },
+    parallelChunkUploads: {
+      display: Boolean(page.chunkSizeConfig.default),
+      label: 'Parallel chunk uploads',
+      select: [
+        { value: 'default', text: 'No' },
+        { value: '1', text: 'Yes' }
+      ],
+      help: 'Whether to upload chunks of the same file in parallel.<br>This may speed up uploads of big files on fast connections.',
+      valueHandler (value) {
+        page.parallelChunkUploads = value === '1'
+      }
+    },
+    encryptUploads: {
+      display: page.clientEncryption && page.isEncryptionSupported(),
+      label: 'Encrypt uploads',
+      select: [
+        { value: 'default', text: 'No' },
+        { value: '1', text: 'Yes' }
+      ],
+      help: `Whether to encrypt your files in this browser before uploading them.<br>
+        Their links will include the keys to decrypt them, which will never be sent to our server, so do not lose them.<br>
+        This only applies to regular file uploads (i.e. not URL uploads)${page.clientEncryptionMaxSizeBytes
+          ? `, and only files up to ${page.getPrettyBytes(page.clientEncryptionMaxSizeBytes)} can be encrypted`
+          : ''}.`,
+      valueHandler (value) {
+        page.encryptUploads = value === '1'
+      }
+    },
     previewImages: {
       label: 'Load images for preview',
       select: [
@@ -1100,20 +1440,6 @@ page.prepareUploadConfig = () => {
   tabContent.appendChild(form)
 }
 
-page.getPrettyUploadAge = hours => {
-  if (hours === 0) {
-    return 'Permanent'
-  } else if (hours < 1) {
-    const minutes = hours * 60
-    return `${minutes} minute${minutes === 1 ? '' : 's'}`
-  } else if (hours >= 24) {
-    const days = hours / 24
-    return `${days} day${days === 1 ? '' : 's'}`
-  } else {
-    return `${hours} hour${hours === 1 ? '' : 's'}`
-  }
-}
-
 // Handle image paste event
 window.addEventListener('paste', event => {
   const items = (event.clipboardData || event.originalEvent.clipboardData).items
@@ -0,0 +1,198 @@
+/* global page */
+// This will only be used in browsers that support Web Crypto API (see page.isEncryptionSupported())
+
+// Client-side encryption of uploads, for both the homepage uploader and the viewer.
+// Files are encrypted with AES-GCM in fixed-size records, one slice of the file at a time,
+// so that their ciphertext can be uploaded with chunked uploads as-is.
+//
+// Format (all integers are big-endian):
+// [4] Magic bytes ("LSE1")
+// [4] Size of each plaintext record
+// [8] Random IV prefix
+// [4] Size of the encrypted metadata
+// [n] Encrypted metadata (JSON of original name, type and size)
+// [...] Encrypted records, each being 16 bytes (GCM tag) bigger than their plaintext
+//
+// Each IV is the IV prefix followed by the record's index, and each record authenticates
+// whether it is the last one, so that truncated files will fail to be decrypted.
+
+page.encryption = {
+  magic: 'LSE1',
+  headerSize: 20,
+  recordSize: 1024 * 1024,
+  tagSize: 16,
+  // Record index reserved for the metadata
+  metadataIndex: 0xFFFFFFFF
+}
+
+page.isEncryptionSupported = () => {
+  // eslint-disable-next-line compat/compat
+  return Boolean(window.crypto && window.crypto.subtle && window.TextEncoder && window.TextDecoder)
+}
+
+page.encodeBase64Url = buffer => {
+  const bytes = new Uint8Array(buffer)
+  let binary = ''
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i])
+  }
+  return window.btoa(binary)
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '')
+}
+
+page.decodeBase64Url = string => {
+  const binary = window.atob(string.replace(/-/g, '+').replace(/_/g, '/'))
+  const bytes = new Uint8Array(binary.length)
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i)
+  }
+  return bytes
+}
+
+page.readBlob = blob => {
+  // eslint-disable-next-line compat/compat
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader()
+    reader.onload = () => resolve(reader.result)
+    reader.onerror = () => reject(reader.error)
+    reader.readAsArrayBuffer(blob)
+  })
+}
+
+page.getRecordParams = (prefix, index, last) => {
+  const iv = new Uint8Array(12)
+  iv.set(prefix)
+  new DataView(iv.buffer).setUint32(8, index)
+  return {
+    name: 'AES-GCM',
+    iv,
+    additionalData: new Uint8Array([last ? 1 : 0]),
+    tagLength: page.encryption.tagSize * 8
+  }
+}
+
+page.getEncryptionMetadata = file => {
+  // eslint-disable-next-line compat/compat
+  return new TextEncoder().encode(JSON.stringify({
+    name: file.name,
+    type: file.type,
+    size: file.size
+  }))
+}
+
+// Size of the file once encrypted, so that it can be checked before actually encrypting it
+page.getEncryptedSize = file => {
+  const tagSize = page.encryption.tagSize
+  const records = Math.max(Math.ceil(file.size / page.encryption.recordSize), 1)
+  return page.encryption.headerSize + page.getEncryptionMetadata(file).byteLength + tagSize + file.size + records * tagSize
+}
+
+// Resolves to the ciphertext as a Blob, along with the key that will have to be put in the link's fragment
+page.encryptFile = (file, onProgress) => {
+  const recordSize = page.encryption.recordSize
+  const records = Math.max(Math.ceil(file.size / recordSize), 1)
+  const prefix = window.crypto.getRandomValues(new Uint8Array(8))
+  const parts = []
+  let key
+
+  const encryptRecord = index => {
+    if (index >= records) return
+
+    const last = index === records - 1
+    return page.readBlob(file.slice(index * recordSize, (index + 1) * recordSize))
+      .then(plaintext => window.crypto.subtle.encrypt(page.getRecordParams(prefix, index, last), key, plaintext))
+      .then(ciphertext => {
+        parts.push(ciphertext)
+        if (typeof onProgress === 'function') onProgress((index + 1) / records)
+        return encryptRecord(index + 1)
+      })
+  }
+
+  return window.crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']).then(generated => {
+    key = generated
+    const metadata = page.getEncryptionMetadata(file)
+    return window.crypto.subtle.encrypt(page.getRecordParams(prefix, page.encryption.metadataIndex, false), key, metadata)
+  }).then(encryptedMetadata => {
+    const header = new Uint8Array(page.encryption.headerSize)
+    const view = new DataView(header.buffer)
+    for (let i = 0; i < page.encryption.magic.length; i++) {
+      header[i] = page.encryption.magic.charCodeAt(i)
+    }
+    view.setUint32(4, recordSize)
+    header.set(prefix, 8)
+    view.setUint32(16, encryptedMetadata.byteLength)
+    parts.push(header, encryptedMetadata)
+
+    return encryptRecord(0)
+  }).then(() => window.crypto.subtle.exportKey('raw', key)).then(raw => {
+    return {
+      blob: new Blob(parts, { type: 'application/octet-stream' }),
+      key: page.encodeBase64Url(raw)
+    }
+  })
+}
+
+// Resolves to the original name, type and size, along with the plaintext as a Blob
+page.decryptFile = (buffer, keyString, onProgress) => {
+  const bytes = new Uint8Array(buffer)
+  const view = new DataView(buffer)
+  const invalid = new Error('This file does not appear to be an encrypted upload.')
+
+  if (buffer.byteLength < page.encryption.headerSize) return Promise.reject(invalid)
+  for (let i = 0; i < page.encryption.magic.length; i++) {
+    if (bytes[i] !== page.encryption.magic.charCodeAt(i)) return Promise.reject(invalid)
+  }
+
+  const recordSize = view.getUint32(4)
+  const prefix = bytes.slice(8, 16)
+  const metadataEnd = page.encryption.headerSize + view.getUint32(16)
+  if (!recordSize || metadataEnd > buffer.byteLength) return Promise.reject(invalid)
+
+  const encryptedRecordSize = recordSize + page.encryption.tagSize
+  const records = Math.max(Math.ceil((buffer.byteLength - metadataEnd) / encryptedRecordSize), 1)
+  const parts = []
+  let key
+  let metadata
+
+  const decryptRecord = index => {
+    if (index >= records) return
+
+    const start = metadataEnd + index * encryptedRecordSize
+    const ciphertext = bytes.subarray(start, Math.min(start + encryptedRecordSize, buffer.byteLength))
+    return window.crypto.subtle.decrypt(page.getRecordParams(prefix, index, index === records - 1), key, ciphertext)
+      .then(plaintext => {
+        parts.push(plaintext)
+        if (typeof onProgress === 'function') onProgress((index + 1) / records)
+        return decryptRecord(index + 1)
+      })
+  }
+
+  // eslint-disable-next-line compat/compat
+  return Promise.resolve().then(() => {
+    return window.crypto.subtle.importKey('raw', page.decodeBase64Url(keyString), 'AES-GCM', false, ['decrypt'])
+  }).then(imported => {
+    key = imported
+    const encryptedMetadata = bytes.subarray(page.encryption.headerSize, metadataEnd)
+    return window.crypto.subtle.decrypt(page.getRecordParams(prefix, page.encryption.metadataIndex, false), key, encryptedMetadata)
+  }).then(decrypted => {
+    // eslint-disable-next-line compat/compat
+    metadata = JSON.parse(new TextDecoder('utf-8').decode(decrypted))
+    return decryptRecord(0)
+  }).then(() => {
+    const type = metadata.type || 'application/octet-stream'
+    return {
+      name: metadata.name || '',
+      type,
+      size: metadata.size,
+      blob: new Blob(parts, { type })
+    }
+  }).catch(error => {
+    // Web Crypto API only throws a generic OperationError when decryption fails
+    if (error && error.name === 'OperationError') {
+      throw new Error('Failed to decrypt the file. The key may be incorrect, or the file may be corrupted.')
+    }
+    throw error
+  })
+}
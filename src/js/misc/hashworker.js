@@ -0,0 +1,89 @@
+/* eslint-env worker */
+/* global WebAssembly */
+// This will only be loaded in browsers that support WebAssembly
+
+// BLAKE3 hashing worker for the homepage uploader.
+// This loads the same WebAssembly build of blake3 package that the server uses,
+// so that files can be hashed in parallel with their uploads without blocking the page.
+// Its bindings are tied to blake3 v2.1.x, since the package only ships them as ES module.
+
+const worker = {
+  wasm: null,
+  loading: null,
+  // eslint-disable-next-line compat/compat
+  decoder: new TextDecoder('utf-8'),
+
+  // Size of each slice to read from the file
+  sliceSize: 4 * 1024 * 1024
+}
+
+worker.load = url => {
+  if (!worker.loading) {
+    worker.loading = fetch(url)
+      .then(response => {
+        if (!response.ok) throw new Error(`Failed to load BLAKE3 module (${response.status}).`)
+        return response.arrayBuffer()
+      })
+      .then(bytes => WebAssembly.instantiate(bytes, {
+        wbg: {
+          __wbindgen_throw (ptr, len) {
+            throw new Error(worker.decoder.decode(new Uint8Array(worker.wasm.memory.buffer, ptr, len)))
+          }
+        }
+      }))
+      .then(result => {
+        worker.wasm = result.instance.exports
+      })
+  }
+  return worker.loading
+}
+
+// Copy bytes into WebAssembly memory, then return their pointer
+worker.pass = bytes => {
+  const ptr = worker.wasm.__wbindgen_malloc(bytes.length)
+  new Uint8Array(worker.wasm.memory.buffer).set(bytes, ptr)
+  return ptr
+}
+
+worker.hash = file => {
+  const wasm = worker.wasm
+  const hasher = wasm.create_hasher()
+  try {
+    const reader = new FileReaderSync()
+    for (let offset = 0; offset < file.size; offset += worker.sliceSize) {
+      const bytes = new Uint8Array(reader.readAsArrayBuffer(file.slice(offset, offset + worker.sliceSize)))
+      // Input bytes will be freed by the module itself
+      wasm.blake3hash_update(hasher, worker.pass(bytes), bytes.length)
+    }
+
+    const out = new Uint8Array(32)
+    const ptr = worker.pass(out)
+    wasm.blake3hash_digest(hasher, ptr, out.length)
+    out.set(new Uint8Array(wasm.memory.buffer, ptr, out.length))
+    wasm.__wbindgen_free(ptr, out.length)
+
+    let hex = ''
+    for (let i = 0; i < out.length; i++) {
+      hex += (out[i] < 16 ? '0' : '') + out[i].toString(16)
+    }
+    return hex
+  } finally {
+    wasm.__wbg_blake3hash_free(hasher)
+  }
+}
+
+// Messages are processed one at a time, in the order they were received
+// eslint-disable-next-line compat/compat
+let queue = Promise.resolve()
+
+self.addEventListener('message', event => {
+  const { id, wasm, file } = event.data
+  queue = queue
+    .then(() => worker.load(wasm))
+    .then(() => {
+      self.postMessage({ id, hash: worker.hash(file) })
+    })
+    .catch(error => {
+      self.postMessage({ id, error: error.toString() })
+    })
+})
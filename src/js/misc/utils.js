@@ -16,6 +16,7 @@ page.prepareShareX = () => {
 
   headers.filelength = page.fileLength || ''
   headers.age = page.uploadAge || ''
+  headers.maxdownloads = page.maxDownloads || ''
   headers.striptags = page.stripTags || ''
 
   const origin = (window.location.host + window.location.pathname).replace(/\/(dashboard)?$/, '')
@@ -76,6 +77,20 @@ page.getPrettyBytes = num => {
   return `${neg}${numStr} ${pre}B`
 }
 
+page.getPrettyUploadAge = hours => {
+  if (hours === 0) {
+    return 'Permanent'
+  } else if (hours < 1) {
+    const minutes = hours * 60
+    return `${minutes} minute${minutes === 1 ? '' : 's'}`
+  } else if (hours >= 24) {
+    const days = hours / 24
+    return `${days} day${days === 1 ? '' : 's'}`
+  } else {
+    return `${hours} hour${hours === 1 ? '' : 's'}`
+  }
+}
+
 page.getPrettyUptime = seconds => {
   const days = Math.floor(seconds / 86400)
   seconds %= 86400
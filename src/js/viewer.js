@@ -0,0 +1,165 @@
+/* global swal, axios */
+// This will only decrypt files in browsers that support Web Crypto API (see page.isEncryptionSupported())
+
+// eslint-disable-next-line no-unused-vars
+const lsKeys = {}
+
+// eslint-disable-next-line no-unused-vars
+const page = {
+  urlIdentifier: null,
+  key: null,
+
+  title: document.querySelector('#title'),
+  status: document.querySelector('#viewerStatus'),
+  downloadBtn: document.querySelector('#downloadBtn'),
+  uploadRoot: null,
+  titleFormat: null,
+
+  viewerContainer: document.querySelector('#viewerContainer'),
+
+  // Only preview text files up to this size, since they will be rendered as a whole
+  textMaxSize: 1024 * 1024,
+  textTypes: ['application/json', 'application/javascript', 'application/xml']
+}
+
+// Handler for regular JS errors
+page.onError = error => {
+  console.error(error)
+
+  const content = document.createElement('div')
+  content.innerHTML = `
+    <p><code>${error.toString()}</code></p>
+    <p>Please check your console for more information.</p>
+  `
+  return swal({
+    title: 'An error occurred!',
+    icon: 'error',
+    content
+  })
+}
+
+// Handler for Axios errors
+page.onAxiosError = error => {
+  // Better Cloudflare errors
+  const cloudflareErrors = {
+    520: 'Unknown Error',
+    521: 'Web Server Is Down',
+    522: 'Connection Timed Out',
+    523: 'Origin Is Unreachable',
+    524: 'A Timeout Occurred',
+    525: 'SSL Handshake Failed',
+    526: 'Invalid SSL Certificate',
+    527: 'Railgun Error',
+    530: 'Origin DNS Error'
+  }
+
+  const statusText = cloudflareErrors[error.response.status] || error.response.statusText
+
+  const description = error.response.data && error.response.data.description
+    ? error.response.data.description
+    : ''
+  return swal(`${error.response.status} ${statusText}`, description, 'error')
+}
+
+page.setStatus = text => {
+  if (text) {
+    page.status.innerHTML = text
+    page.status.classList.remove('is-hidden')
+  } else {
+    page.status.classList.add('is-hidden')
+  }
+}
+
+page.render = result => {
+  page.title.textContent = result.name || page.urlIdentifier
+  if (page.titleFormat) {
+    document.title = page.titleFormat.replace(/%name%/g, result.name || page.urlIdentifier)
+  }
+
+  // Always download as binary data, so that browsers will never open the plaintext on this origin (e.g. HTML files)
+  const download = new Blob([result.blob], { type: 'application/octet-stream' })
+  // eslint-disable-next-line compat/compat
+  page.downloadBtn.href = URL.createObjectURL(download)
+  page.downloadBtn.setAttribute('download', result.name || page.urlIdentifier)
+  page.downloadBtn.removeAttribute('disabled')
+
+  const type = result.type.split(';')[0].trim().toLowerCase()
+  let element
+  if (type.startsWith('image/')) {
+    element = document.createElement('img')
+    element.alt = result.name
+  } else if (type.startsWith('video/') || type.startsWith('audio/')) {
+    element = document.createElement(type.startsWith('video/') ? 'video' : 'audio')
+    element.controls = true
+  } else if (type.startsWith('text/') || page.textTypes.includes(type)) {
+    if (result.size > page.textMaxSize) {
+      return page.setStatus(`This text file is too large to be previewed (${page.getPrettyBytes(result.size)}), but you can still download it.`)
+    }
+    element = document.createElement('pre')
+    return page.readBlob(result.blob).then(buffer => {
+      element.textContent = new TextDecoder('utf-8').decode(buffer)
+      page.viewerContainer.appendChild(element)
+      page.setStatus(null)
+    })
+  } else {
+    return page.setStatus(`This file cannot be previewed (${page.escape(type)}), but you can still download it.`)
+  }
+
+  // eslint-disable-next-line compat/compat
+  element.src = URL.createObjectURL(result.blob)
+  element.onerror = () => {
+    element.classList.add('is-hidden')
+    page.setStatus('Your browser could not preview this file, but you can still download it.')
+  }
+  page.viewerContainer.appendChild(element)
+  page.setStatus(null)
+}
+
+page.load = () => {
+  page.setStatus('Downloading\u2026')
+
+  axios.get(`${page.uploadRoot}/${page.urlIdentifier}`, {
+    responseType: 'arraybuffer',
+    onDownloadProgress: event => {
+      if (!event.total) return
+      page.setStatus(`Downloading\u2026 ${(event.loaded / event.total * 100).toFixed(0)}%`)
+    }
+  }).then(response => {
+    page.setStatus('Decrypting\u2026')
+    return page.decryptFile(response.data, page.key, progress => {
+      page.setStatus(`Decrypting\u2026 ${(progress * 100).toFixed(0)}%`)
+    })
+  }).then(page.render).catch(error => {
+    page.setStatus('Failed to load this file.')
+    if (typeof error.response !== 'undefined') page.onAxiosError(error)
+    else page.onError(error)
+  })
+}
+
+window.addEventListener('DOMContentLoaded', () => {
+  const mainScript = document.querySelector('#mainScript')
+  if (!mainScript || typeof mainScript.dataset.uploadRoot === 'undefined') return
+
+  page.uploadRoot = mainScript.dataset.uploadRoot
+  page.titleFormat = mainScript.dataset.titleFormat
+
+  const match = window.location.pathname.match(/.*\/(.*)$/)
+  if (!match || !match[1]) {
+    return swal('An error occurred!', 'Failed to parse upload identifier from URL.', 'error')
+  }
+  page.urlIdentifier = match[1]
+
+  if (!page.isEncryptionSupported()) {
+    page.setStatus('Your browser does not support decrypting files.')
+    return
+  }
+
+  // 256-bit keys encoded with unpadded Base64URL
+  page.key = window.location.hash.substring(1)
+  if (!/^[\w-]{43}$/.test(page.key)) {
+    page.setStatus('This link is missing its decryption key (the part after "#").')
+    return
+  }
+
+  page.load()
+})